@@ -0,0 +1,306 @@
+import { compileExpression, ExpressionError } from './expression.js';
+
+// Attractor registry
+//
+// Each entry fully describes one system: its derivative function, the
+// parameter schema used to build the sliders, the initial state and the
+// scale applied when the state is drawn. An entry may also suggest where a
+// Poincaré section cuts the flow well; otherwise the plane x = 0 is used.
+// The integrator and the UI are generated from this table, so adding a
+// system only means adding an entry.
+//
+// derivatives(x, y, z, params, t) returns { dx, dy, dz }. Entries with
+// dimension: 4 have a fourth coordinate w, take derivatives(x, y, z, w,
+// params, t) and also return dw; they are drawn through a projection. Forced
+// entries depend on the time t, which starts at 0 on every reset; their z
+// follows the driving term, so the flow is drawn against the phase of the
+// drive.
+export const attractors = {
+  lorenz: {
+    name: 'Lorenz',
+    params: {
+      sigma: { label: 'Sigma', value: 10, min: 1, max: 20, step: 0.1 },
+      rho: { label: 'Rho', value: 28, min: 0, max: 100, step: 0.1 },
+      beta: { label: 'Beta', value: 2.666, min: 0, max: 10, step: 0.001 },
+      dt: { label: 'Speed', value: 0.01, min: 0.001, max: 0.05, step: 0.001 }
+    },
+    initial: [0.1, 0, 0],
+    scale: 1,
+    // Through both lobes, at the height of the non-trivial fixed points
+    section: { axis: 'z', offset: 27 },
+    derivatives(x, y, z, params) {
+      const { sigma, rho, beta } = params;
+      const dx = sigma * (y - x);
+      const dy = x * (rho - z) - y;
+      const dz = x * y - beta * z;
+      return { dx, dy, dz };
+    }
+  },
+
+  aizawa: {
+    name: 'Aizawa',
+    params: {
+      a: { label: 'a', value: 0.95, min: 0.1, max: 2, step: 0.01 },
+      b: { label: 'b', value: 0.7, min: 0.1, max: 2, step: 0.01 },
+      c: { label: 'c', value: 0.6, min: 0.1, max: 2, step: 0.01 },
+      d: { label: 'd', value: 3.5, min: 1, max: 10, step: 0.1 },
+      e: { label: 'e', value: 0.25, min: 0.1, max: 1, step: 0.01 },
+      f: { label: 'f', value: 0.1, min: 0.01, max: 0.5, step: 0.01 },
+      dt: { label: 'Speed', value: 0.01, min: 0.001, max: 0.05, step: 0.001 }
+    },
+    initial: [0.1, 0, 0],
+    // The attractor spans about one unit, so draw it ten times larger
+    scale: 10,
+    derivatives(x, y, z, params) {
+      const { a, b, c, d, e, f } = params;
+      const dx = (z - b) * x - d * y;
+      const dy = d * x + (z - b) * y;
+      const dz = c + a * z - z * z * z / 3 - (x * x + y * y) * (1 + e * z) + f * z * x * x * x;
+      return { dx, dy, dz };
+    }
+  },
+
+  rossler: {
+    name: 'Rössler',
+    params: {
+      a: { label: 'a', value: 0.2, min: 0.1, max: 0.4, step: 0.01 },
+      b: { label: 'b', value: 0.2, min: 0.1, max: 0.4, step: 0.01 },
+      c: { label: 'c', value: 5.7, min: 1, max: 14, step: 0.1 },
+      dt: { label: 'Speed', value: 0.01, min: 0.001, max: 0.05, step: 0.001 }
+    },
+    initial: [0.1, 0, 0],
+    scale: 1,
+    derivatives(x, y, z, params) {
+      const { a, b, c } = params;
+      const dx = -y - z;
+      const dy = x + a * y;
+      const dz = b + z * (x - c);
+      return { dx, dy, dz };
+    }
+  },
+
+  chen: {
+    name: 'Chen',
+    params: {
+      a: { label: 'a', value: 35, min: 20, max: 50, step: 0.1 },
+      b: { label: 'b', value: 3, min: 1, max: 10, step: 0.1 },
+      c: { label: 'c', value: 28, min: 10, max: 40, step: 0.1 },
+      dt: { label: 'Speed', value: 0.001, min: 0.0001, max: 0.01, step: 0.0001 }
+    },
+    initial: [0.1, 0, 0],
+    scale: 1,
+    section: { axis: 'z', offset: 24 },
+    derivatives(x, y, z, params) {
+      const { a, b, c } = params;
+      const dx = a * (y - x);
+      const dy = (c - a) * x - x * z + c * y;
+      const dz = x * y - b * z;
+      return { dx, dy, dz };
+    }
+  },
+
+  thomas: {
+    name: 'Thomas',
+    params: {
+      b: { label: 'b', value: 0.208186, min: 0.1, max: 0.3, step: 0.001 },
+      dt: { label: 'Speed', value: 0.05, min: 0.01, max: 0.1, step: 0.01 }
+    },
+    initial: [0.1, 0, 0],
+    scale: 1,
+    derivatives(x, y, z, params) {
+      const { b } = params;
+      const dx = Math.sin(y) - b * x;
+      const dy = Math.sin(z) - b * y;
+      const dz = Math.sin(x) - b * z;
+      return { dx, dy, dz };
+    }
+  },
+
+  dadras: {
+    name: 'Dadras',
+    params: {
+      a: { label: 'a', value: 3, min: 1, max: 5, step: 0.1 },
+      b: { label: 'b', value: 2.7, min: 1, max: 5, step: 0.1 },
+      c: { label: 'c', value: 1.7, min: 0.5, max: 3, step: 0.1 },
+      d: { label: 'd', value: 2, min: 0.5, max: 5, step: 0.1 },
+      e: { label: 'e', value: 9, min: 5, max: 15, step: 0.1 },
+      dt: { label: 'Speed', value: 0.01, min: 0.001, max: 0.05, step: 0.001 }
+    },
+    initial: [0.1, 0, 0],
+    scale: 1,
+    derivatives(x, y, z, params) {
+      const { a, b, c, d, e } = params;
+      const dx = y - a * x + b * y * z;
+      const dy = c * y - x * z + z;
+      const dz = d * x * y - e * z;
+      return { dx, dy, dz };
+    }
+  },
+
+  // Hyperchaotic Rössler (1979): two positive Lyapunov exponents
+  hyperRossler: {
+    name: 'Hyperchaotic Rössler (4D)',
+    dimension: 4,
+    params: {
+      a: { label: 'a', value: 0.25, min: 0.1, max: 0.4, step: 0.01 },
+      b: { label: 'b', value: 3, min: 1, max: 5, step: 0.1 },
+      c: { label: 'c', value: 0.5, min: 0.1, max: 1, step: 0.01 },
+      d: { label: 'd', value: 0.05, min: 0, max: 0.1, step: 0.001 },
+      dt: { label: 'Speed', value: 0.01, min: 0.001, max: 0.05, step: 0.001 }
+    },
+    initial: [-10, -6, 0, 10],
+    // z spikes to a few hundred
+    scale: 0.1,
+    derivatives(x, y, z, w, params) {
+      const { a, b, c, d } = params;
+      const dx = -y - z;
+      const dy = x + a * y + w;
+      const dz = b + x * z;
+      const dw = -c * z + d * w;
+      return { dx, dy, dz, dw };
+    }
+  },
+
+  // Lorenz–Stenflo: the Lorenz system with the rotation of the atmosphere
+  lorenzStenflo: {
+    name: 'Lorenz–Stenflo (4D)',
+    dimension: 4,
+    params: {
+      a: { label: 'a', value: 1, min: 0.1, max: 5, step: 0.1 },
+      b: { label: 'b', value: 0.7, min: 0.1, max: 3, step: 0.01 },
+      c: { label: 'c', value: 1.5, min: 0, max: 5, step: 0.1 },
+      r: { label: 'r', value: 26, min: 0, max: 60, step: 0.1 },
+      dt: { label: 'Speed', value: 0.01, min: 0.001, max: 0.05, step: 0.001 }
+    },
+    initial: [1, 1, 1, 1],
+    scale: 1,
+    derivatives(x, y, z, w, params) {
+      const { a, b, c, r } = params;
+      const dx = a * (y - x) + c * w;
+      const dy = x * (r - z) - y;
+      const dz = x * y - b * z;
+      const dw = -x - a * w;
+      return { dx, dy, dz, dw };
+    }
+  },
+
+  // Duffing oscillator x'' + δx' + αx + βx³ = γ cos ωt
+  duffing: {
+    name: 'Forced Duffing',
+    forced: true,
+    params: {
+      delta: { label: 'δ (damping)', value: 0.3, min: 0, max: 1, step: 0.01 },
+      alpha: { label: 'α', value: -1, min: -2, max: 2, step: 0.01 },
+      beta: { label: 'β', value: 1, min: 0, max: 2, step: 0.01 },
+      gamma: { label: 'γ (drive)', value: 0.5, min: 0, max: 2, step: 0.01 },
+      omega: { label: 'ω', value: 1.2, min: 0.1, max: 3, step: 0.01 },
+      dt: { label: 'Speed', value: 0.02, min: 0.001, max: 0.1, step: 0.001 }
+    },
+    initial: [1, 0, 0.5],
+    scale: 5,
+    derivatives(x, y, z, params, t) {
+      const { delta, alpha, beta, gamma, omega } = params;
+      const drive = gamma * Math.cos(omega * t);
+      const dx = y;
+      const dy = -delta * y - alpha * x - beta * x * x * x + drive;
+      const dz = -gamma * omega * Math.sin(omega * t) + (drive - z);
+      return { dx, dy, dz };
+    }
+  },
+
+  // van der Pol oscillator x'' − μ(1 − x²)x' + x = A cos ωt
+  vanDerPol: {
+    name: 'Forced van der Pol',
+    forced: true,
+    params: {
+      mu: { label: 'μ', value: 8.53, min: 0, max: 15, step: 0.01 },
+      amplitude: { label: 'A (drive)', value: 1.2, min: 0, max: 5, step: 0.01 },
+      omega: { label: 'ω', value: 0.63, min: 0.1, max: 3, step: 0.01 },
+      dt: { label: 'Speed', value: 0.01, min: 0.001, max: 0.05, step: 0.001 }
+    },
+    initial: [0.1, 0, 1.2],
+    scale: 2,
+    derivatives(x, y, z, params, t) {
+      const { mu, amplitude, omega } = params;
+      const drive = amplitude * Math.cos(omega * t);
+      const dx = y;
+      const dy = mu * (1 - x * x) * y - x + drive;
+      const dz = -amplitude * omega * Math.sin(omega * t) + (drive - z);
+      return { dx, dy, dz };
+    }
+  },
+
+  // User-editable equations, starting from the Halvorsen system
+  custom: customAttractor({
+    dx: '-a*x - 4*y - 4*z - y^2',
+    dy: '-a*y - 4*z - 4*x - z^2',
+    dz: '-a*z - 4*x - 4*y - x^2'
+  }, { a: 1.89 })
+};
+
+// Parameter values taken from the schema defaults
+export function defaultParams(attractor) {
+  const values = {};
+  Object.entries(attractor.params).forEach(([key, spec]) => {
+    values[key] = spec.value;
+  });
+  return values;
+}
+
+// Raised by customAttractor with the ExpressionError of each failing equation
+export class EquationError extends Error {
+  constructor(errors) {
+    super(Object.entries(errors).map(([axis, error]) => `${axis}: ${error.message}`).join('\n'));
+    this.name = 'EquationError';
+    this.errors = errors;
+  }
+}
+
+// Build an attractor definition from typed dx, dy and dz expressions.
+// Every identifier other than x, y, z and the built-in functions becomes a
+// parameter; values carries over slider positions from a previous build.
+export function customAttractor(equations, values = {}) {
+  const compiled = {};
+  const errors = {};
+  const names = [];
+  ['dx', 'dy', 'dz'].forEach(axis => {
+    try {
+      compiled[axis] = compileExpression(equations[axis], ['x', 'y', 'z'], ['dt']);
+      compiled[axis].parameters.forEach(name => {
+        if (!names.includes(name)) {
+          names.push(name);
+        }
+      });
+    } catch (error) {
+      if (!(error instanceof ExpressionError)) {
+        throw error;
+      }
+      errors[axis] = error;
+    }
+  });
+  if (Object.keys(errors).length > 0) {
+    throw new EquationError(errors);
+  }
+
+  const params = {};
+  names.forEach(name => {
+    const value = Object.hasOwn(values, name) ? values[name] : 1;
+    params[name] = { label: name, value, min: Math.min(-10, value), max: Math.max(10, value), step: 0.01 };
+  });
+  params.dt = { label: 'Speed', value: values.dt ?? 0.005, min: 0.0005, max: 0.05, step: 0.0005 };
+
+  const fx = compiled.dx.fn;
+  const fy = compiled.dy.fn;
+  const fz = compiled.dz.fn;
+  return {
+    name: 'Custom',
+    equations: { ...equations },
+    params,
+    initial: [0.1, 0, 0],
+    scale: 1,
+    derivatives(x, y, z, params) {
+      const vars = [x, y, z];
+      return { dx: fx(vars, params), dy: fy(vars, params), dz: fz(vars, params) };
+    }
+  };
+}
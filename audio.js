@@ -0,0 +1,317 @@
+// Sonification of the trajectory through the Web Audio API
+
+// Raised when sound cannot be produced or rendered
+export class SoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SoundError';
+  }
+}
+
+// Sound parameters a coordinate can drive, with the range a mapping spans
+// by default and the range it may be set to. Exponential targets are
+// interpolated geometrically, so equal steps of the coordinate are equal
+// musical intervals.
+export const soundTargets = {
+  pitch: { name: 'Pitch', unit: 'Hz', low: 110, high: 880, min: 20, max: 5000, exponential: true },
+  pan: { name: 'Pan', unit: '', low: -1, high: 1, min: -1, max: 1, exponential: false },
+  cutoff: { name: 'Filter cutoff', unit: 'Hz', low: 300, high: 6000, min: 20, max: 20000, exponential: true }
+};
+
+// Both modes drive the same oscillator through the mappings. A mapped
+// oscillator has a fixed shape; in waveform mode one coordinate's recent
+// trace is played as its waveform, so the sound's timbre is the attractor's.
+export const soundModes = {
+  mapped: { name: 'Mapped oscillator' },
+  waveform: { name: 'Coordinate as waveform' }
+};
+
+export const oscillatorTypes = ['sine', 'triangle', 'sawtooth', 'square'];
+
+// Coordinates a target can follow; 'none' holds it at the middle of its range
+export const soundSources = ['x', 'y', 'z', 'none'];
+
+// Harmonics in the waveform built from a coordinate's recent trace
+const harmonics = 64;
+
+export function defaultSoundSettings() {
+  const mappings = {};
+  Object.entries(soundTargets).forEach(([key, { low, high }], i) => {
+    mappings[key] = { source: soundSources[i], low, high };
+  });
+  return {
+    mode: 'mapped',
+    oscillator: 'triangle',
+    waveform: 'x',
+    period: 512, // trajectory points in one period of the waveform
+    mappings,
+    volume: 0.3,
+    muted: false
+  };
+}
+
+// Each coordinate of state scaled to 0..1 across ranges [[min, max], ...]
+function soundLevels(state, ranges) {
+  return state.map((value, axis) => {
+    const [min, max] = ranges[axis];
+    return max > min ? Math.min(1, Math.max(0, (value - min) / (max - min))) : 0.5;
+  });
+}
+
+// Value of a target under mapping for coordinate levels
+function mappedValue(key, mapping, levels) {
+  const level = mapping.source === 'none' ? 0.5 : levels['xyz'.indexOf(mapping.source)];
+  if (soundTargets[key].exponential) {
+    return mapping.low * Math.pow(mapping.high / mapping.low, level);
+  }
+  return mapping.low + (mapping.high - mapping.low) * level;
+}
+
+// Fourier coefficients of samples taken as one period, without the mean
+function waveCoefficients(samples) {
+  const real = new Float32Array(harmonics + 1);
+  const imag = new Float32Array(harmonics + 1);
+  const n = samples.length;
+  for (let k = 1; k <= harmonics && k < n / 2; k++) {
+    let a = 0;
+    let b = 0;
+    for (let i = 0; i < n; i++) {
+      const phase = 2 * Math.PI * k * i / n;
+      a += samples[i] * Math.cos(phase);
+      b += samples[i] * Math.sin(phase);
+    }
+    real[k] = a * 2 / n;
+    imag[k] = b * 2 / n;
+  }
+  return { real, imag };
+}
+
+// Oscillator → low-pass filter → panner → volume in context, shared by live
+// playback and offline rendering so both sound the same
+function createVoice(context, settings) {
+  const oscillator = context.createOscillator();
+  const filter = context.createBiquadFilter();
+  const panner = context.createStereoPanner();
+  const gain = context.createGain();
+  filter.type = 'lowpass';
+  gain.gain.value = 0;
+  oscillator.connect(filter).connect(panner).connect(gain).connect(context.destination);
+  oscillator.start();
+  let open = true;
+  const params = { pitch: oscillator.frequency, pan: panner.pan, cutoff: filter.frequency };
+
+  // Glide every target to its value for levels, from time on
+  function apply(levels, time, smoothing = 0.02) {
+    Object.entries(settings.mappings).forEach(([key, mapping]) => {
+      params[key].setTargetAtTime(mappedValue(key, mapping, levels), time, smoothing);
+    });
+  }
+
+  // Play samples, a coordinate's recent trace, as one period of the waveform
+  function setWave(samples) {
+    if (samples.length < 4) {
+      return;
+    }
+    const { real, imag } = waveCoefficients(samples);
+    oscillator.setPeriodicWave(context.createPeriodicWave(real, imag));
+  }
+
+  // Take up changed settings, and open or close the gate that silences the
+  // voice without losing its volume
+  function configure(next) {
+    settings = next;
+    if (settings.mode === 'mapped') {
+      oscillator.type = settings.oscillator;
+    }
+    gain.gain.setTargetAtTime(open && !settings.muted ? settings.volume : 0, context.currentTime, 0.02);
+  }
+
+  function setGate(value) {
+    open = value;
+    configure(settings);
+  }
+
+  configure(settings);
+  return {
+    apply,
+    setWave,
+    configure,
+    setGate
+  };
+}
+
+// Live sonification
+//
+// The audio context is only created by start(), which has to be called from
+// a user gesture for browsers to allow sound. The main thread feeds in each
+// newest state with the ranges to scale it by, and in waveform mode the
+// recent trace of the chosen coordinate.
+export function createSonifier() {
+  let context = null;
+  let voice = null;
+  let settings = defaultSoundSettings();
+
+  async function start() {
+    const AudioContext = globalThis.AudioContext ?? globalThis.webkitAudioContext;
+    if (!AudioContext) {
+      throw new SoundError('This browser does not support Web Audio');
+    }
+    if (!context) {
+      context = new AudioContext();
+      voice = createVoice(context, settings);
+    }
+    await context.resume();
+  }
+
+  async function stop() {
+    if (context) {
+      await context.suspend();
+    }
+  }
+
+  function configure(next) {
+    settings = next;
+    voice?.configure(settings);
+  }
+
+  // Follow state (attractor coordinates) scaled across ranges
+  function update(state, ranges) {
+    if (context?.state === 'running') {
+      voice.apply(soundLevels(state, ranges), context.currentTime);
+    }
+  }
+
+  function setWave(samples) {
+    if (context?.state === 'running' && settings.mode === 'waveform') {
+      voice.setWave(samples);
+    }
+  }
+
+  return {
+    start,
+    stop,
+    configure,
+    update,
+    setWave,
+    setGate(open) { voice?.setGate(open); },
+    get running() { return context?.state === 'running'; }
+  };
+}
+
+// Render a trajectory to sound offline, so the same trajectory and settings
+// always give the same audio. trajectory is { times, positions, dimension? }
+// in attractor coordinates, played at stepsPerSecond points a second and
+// scaled across its own range; only x, y and z are heard. Controls are
+// updated controlRate times a second and the waveform ten times a second, as
+// in live playback.
+export async function renderSound(trajectory, settings, { stepsPerSecond, sampleRate = 44100, controlRate = 100 }) {
+  const OfflineAudioContext = globalThis.OfflineAudioContext ?? globalThis.webkitOfflineAudioContext;
+  if (!OfflineAudioContext) {
+    throw new SoundError('This browser does not support offline audio rendering');
+  }
+  const { positions, dimension = 3 } = trajectory;
+  const count = positions.length / dimension;
+  if (count < 2) {
+    throw new SoundError('No points to render');
+  }
+  const duration = (count - 1) / stepsPerSecond;
+  const context = new OfflineAudioContext(2, Math.ceil(duration * sampleRate), sampleRate);
+  const voice = createVoice(context, { ...settings, muted: false });
+  // The first error of a waveform update, raised once rendering ends
+  let failure = null;
+
+  const ranges = [0, 1, 2].map(axis => {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = axis; i < positions.length; i += dimension) {
+      min = Math.min(min, positions[i]);
+      max = Math.max(max, positions[i]);
+    }
+    return [min, max];
+  });
+  const stateAt = n => [positions[n * dimension], positions[n * dimension + 1], positions[n * dimension + 2]];
+  for (let k = 0; k <= duration * controlRate; k++) {
+    const n = Math.min(count - 1, Math.round(k / controlRate * stepsPerSecond));
+    voice.apply(soundLevels(stateAt(n), ranges), k / controlRate);
+  }
+
+  if (settings.mode === 'waveform') {
+    const axis = 'xyz'.indexOf(settings.waveform);
+    const traceAt = n => {
+      const first = Math.max(0, n - settings.period + 1);
+      const samples = new Float32Array(n - first + 1);
+      for (let i = first; i <= n; i++) {
+        samples[i - first] = positions[i * dimension + axis];
+      }
+      return samples;
+    };
+    voice.setWave(traceAt(0));
+    // The context pauses at each update, in whole render quanta, so the
+    // waveform can be swapped in between. It can only pause once at each
+    // time and before the end of the rendering.
+    const quantum = 128 / sampleRate;
+    const end = context.length / sampleRate;
+    let suspendedAt = 0;
+    for (let k = 1; k < duration * 10; k++) {
+      const time = Math.round(k / 10 / quantum) * quantum;
+      if (time <= suspendedAt || time >= end) {
+        continue;
+      }
+      suspendedAt = time;
+      const n = Math.min(count - 1, Math.round(time * stepsPerSecond));
+      context.suspend(time)
+        .then(() => {
+          try {
+            voice.setWave(traceAt(n));
+          } finally {
+            context.resume();
+          }
+        })
+        .catch(error => {
+          failure ??= error;
+        });
+    }
+  }
+  const buffer = await context.startRendering();
+  if (failure) {
+    throw failure;
+  }
+  return buffer;
+}
+
+// Encode an AudioBuffer as a 16-bit PCM WAV file
+export function encodeWav(buffer) {
+  const channels = buffer.numberOfChannels;
+  const frames = buffer.length;
+  const bytes = frames * channels * 2;
+  const view = new DataView(new ArrayBuffer(44 + bytes));
+  const text = (offset, value) => {
+    for (let i = 0; i < value.length; i++) {
+      view.setUint8(offset + i, value.charCodeAt(i));
+    }
+  };
+  text(0, 'RIFF');
+  view.setUint32(4, 36 + bytes, true);
+  text(8, 'WAVE');
+  text(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * channels * 2, true);
+  view.setUint16(32, channels * 2, true);
+  view.setUint16(34, 16, true);
+  text(36, 'data');
+  view.setUint32(40, bytes, true);
+
+  const data = Array.from({ length: channels }, (_, c) => buffer.getChannelData(c));
+  let offset = 44;
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels; c++) {
+      const sample = Math.min(1, Math.max(-1, data[c][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += 2;
+    }
+  }
+  return new Blob([view], { type: 'audio/wav' });
+}
@@ -0,0 +1,175 @@
+import * as THREE from 'three';
+
+// Planes the grid can lie in, as the axes spanning them
+export const gridPlanes = {
+  none: { name: 'None', axes: null },
+  xy: { name: 'XY', axes: [0, 1] },
+  xz: { name: 'XZ', axes: [0, 2] },
+  yz: { name: 'YZ', axes: [1, 2] }
+};
+
+const axisColors = ['#ff6b6b', '#6bdf8f', '#6bb5ff'];
+
+// Tick spacing of 1, 2 or 5 times a power of ten giving about five ticks
+// over span
+function tickStep(span) {
+  const raw = span / 5;
+  const power = 10 ** Math.floor(Math.log10(raw));
+  const mantissa = raw / power;
+  return (mantissa < 1.5 ? 1 : mantissa < 3.5 ? 2 : mantissa < 7.5 ? 5 : 10) * power;
+}
+
+// Text drawn on a sprite height display units tall, facing the camera
+function textSprite(text, color, height) {
+  const canvas = document.createElement('canvas');
+  const font = '28px monospace';
+  const ctx = canvas.getContext('2d');
+  ctx.font = font;
+  canvas.width = Math.ceil(ctx.measureText(text).width) + 8;
+  canvas.height = 36;
+  ctx.font = font;
+  ctx.fillStyle = color;
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, 4, canvas.height / 2);
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthWrite: false }));
+  sprite.scale.set(height * canvas.width / canvas.height, height, 1);
+  return sprite;
+}
+
+// Axes, tick labels and grid sized to the data
+//
+// The axes run through the origin across the data's extent, rounded out to
+// whole ticks and always including the origin. All three share one tick
+// spacing so the scene's proportions read correctly, and ticks are labelled
+// in attractor coordinates. The grid covers the same range in one
+// coordinate plane. Everything is rebuilt only when the rounded ranges or
+// the spacing change, so tracking a growing trail is cheap.
+export function createAxes() {
+  const group = new THREE.Group();
+  let key = '';
+  let plane = 'xy';
+  let last = null;
+  // Names of the drawn coordinates, which differ from x, y and z when a
+  // four-dimensional system is projected
+  let names = ['x', 'y', 'z'];
+
+  function clear() {
+    group.children.slice().forEach(child => {
+      group.remove(child);
+      // Sprites share one geometry
+      if (!child.isSprite) {
+        child.geometry.dispose();
+      }
+      child.material.map?.dispose();
+      child.material.dispose();
+    });
+  }
+
+  // Fit to box (display units) of an attractor drawn at scale
+  function update(box, scale) {
+    if (box.isEmpty()) {
+      return;
+    }
+    const min = box.min.toArray().map(value => Math.min(value / scale, 0));
+    const max = box.max.toArray().map(value => Math.max(value / scale, 0));
+    const span = Math.max(...max.map((value, i) => value - min[i]));
+    if (!(span > 0) || !Number.isFinite(span)) {
+      return;
+    }
+    const step = tickStep(span);
+    const from = min.map(value => Math.floor(value / step - 1e-9));
+    const to = max.map(value => Math.ceil(value / step + 1e-9));
+    const next = JSON.stringify([from, to, step, scale, plane, names]);
+    if (next === key) {
+      return;
+    }
+    key = next;
+    last = { box: box.clone(), scale };
+    clear();
+
+    const display = step * scale;
+    const tick = display * 0.1;
+    const labelHeight = display * 0.22;
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+    [0, 1, 2].forEach(axis => {
+      const color = new THREE.Color(axisColors[axis]);
+      const vertices = [];
+      const along = value => [0, 1, 2].map(i => i === axis ? value : 0);
+      vertices.push(...along(from[axis] * display), ...along(to[axis] * display));
+      // Ticks cross the axis in the direction of the next one
+      const across = (axis + 1) % 3;
+      for (let k = from[axis]; k <= to[axis]; k++) {
+        const p = along(k * display);
+        const a = p.slice();
+        const b = p.slice();
+        a[across] -= tick;
+        b[across] += tick;
+        vertices.push(...a, ...b);
+        if (k !== 0) {
+          const label = textSprite((k * step).toFixed(decimals), axisColors[axis], labelHeight);
+          label.position.fromArray(p);
+          label.position.setComponent(across, -tick - labelHeight);
+          group.add(label);
+        }
+      }
+      const geometry = new THREE.BufferGeometry().setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+      group.add(new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color })));
+      const name = textSprite(names[axis], axisColors[axis], labelHeight * 1.5);
+      name.position.fromArray(along((to[axis] + 0.5) * display));
+      group.add(name);
+    });
+
+    const axes = gridPlanes[plane].axes;
+    if (axes) {
+      const [u, v] = axes;
+      const vertices = [];
+      const point = (a, b) => [0, 1, 2].map(i => i === u ? a * display : i === v ? b * display : 0);
+      for (let k = from[u]; k <= to[u]; k++) {
+        vertices.push(...point(k, from[v]), ...point(k, to[v]));
+      }
+      for (let k = from[v]; k <= to[v]; k++) {
+        vertices.push(...point(from[u], k), ...point(to[u], k));
+      }
+      const geometry = new THREE.BufferGeometry().setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+      group.add(new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+        color: 0xffffff,
+        transparent: true,
+        opacity: 0.15,
+        depthWrite: false
+      })));
+    }
+  }
+
+  // Lay the grid in one of the gridPlanes
+  function setGrid(value) {
+    plane = value;
+    if (last) {
+      update(last.box, last.scale);
+    }
+  }
+
+  // Label the three axes with these names
+  function setNames(value) {
+    names = value.slice();
+    if (last) {
+      update(last.box, last.scale);
+    }
+  }
+
+  function reset() {
+    clear();
+    key = '';
+    last = null;
+  }
+
+  return {
+    object: group,
+    update,
+    setGrid,
+    setNames,
+    reset,
+    get grid() { return plane; }
+  };
+}
@@ -0,0 +1,95 @@
+import { attractors, customAttractor, defaultParams } from './attractors.js';
+import { advance, integrators } from './integrators.js';
+import { vectorField } from './simulation.js';
+
+// Bifurcation sweep worker
+//
+// Sweeps one parameter across a range. For each column it integrates past
+// the transient, then records either the local maxima of one coordinate or
+// that coordinate wherever the trajectory crosses a plane. Each column starts
+// from where the previous one ended, which follows a branch of the attractor
+// and keeps the transients short. Cancelling terminates the worker.
+//
+// Message in:
+//   sweep   { attractor, equations?, params, parameter, from, to, columns,
+//             transient, record, integrator, options, mode, coordinate,
+//             plane: { normal, offset, direction } }
+// Messages out:
+//   column  { index, value, points }  Float32Array of recorded values
+//   done
+
+// Recorded values kept per column
+const maxPointsPerColumn = 400;
+
+function sweep(request) {
+  if (request.equations) {
+    attractors.custom = customAttractor(request.equations, request.params);
+  }
+  const attractor = attractors[request.attractor];
+  const params = { ...defaultParams(attractor), ...request.params };
+  const integrator = integrators[request.integrator];
+  const { dt } = params;
+  const c = request.coordinate;
+  const f = vectorField(attractor, params);
+  const transientSteps = Math.round(request.transient / dt);
+  const recordSteps = Math.round(request.record / dt);
+  const { normal, offset, direction } = request.plane;
+  const distance = s => normal[0] * s[0] + normal[1] * s[1] + normal[2] * s[2] - offset;
+
+  let state = attractor.initial.slice();
+  // Forced systems depend on the time, which runs on across the columns
+  let time = 0;
+  for (let index = 0; index < request.columns; index++) {
+    const value = request.columns === 1
+      ? request.from
+      : request.from + (request.to - request.from) * index / (request.columns - 1);
+    params[request.parameter] = value;
+
+    for (let i = 0; i < transientSteps && Number.isFinite(state[0]); i++) {
+      state = advance(integrator, f, state, dt, request.options, time);
+      time += dt;
+    }
+
+    const points = [];
+    let older = state[c];
+    let previous = state;
+    for (let i = 0; i < recordSteps && points.length < maxPointsPerColumn; i++) {
+      const next = advance(integrator, f, previous, dt, request.options, time);
+      time += dt;
+      if (!next.every(Number.isFinite)) {
+        break;
+      }
+      if (request.mode === 'maxima') {
+        // Peak of the parabola through three consecutive samples
+        const y0 = older, y1 = previous[c], y2 = next[c];
+        if (i > 0 && y1 > y0 && y1 >= y2) {
+          const curvature = y0 - 2 * y1 + y2;
+          points.push(curvature === 0 ? y1 : y1 - (y0 - y2) * (y0 - y2) / (8 * curvature));
+        }
+      } else {
+        const d0 = distance(previous);
+        const d1 = distance(next);
+        const up = d0 < 0 && d1 >= 0;
+        const down = d0 > 0 && d1 <= 0;
+        if ((up && direction !== 'down') || (down && direction !== 'up')) {
+          const alpha = d0 / (d0 - d1);
+          points.push(previous[c] + alpha * (next[c] - previous[c]));
+        }
+      }
+      older = previous[c];
+      previous = next;
+    }
+    // A diverged column restarts the next one from the initial state
+    state = previous.every(Number.isFinite) ? previous : attractor.initial.slice();
+
+    const values = new Float32Array(points);
+    self.postMessage({ type: 'column', index, value, points: values }, [values.buffer]);
+  }
+  self.postMessage({ type: 'done' });
+}
+
+self.onmessage = event => {
+  if (event.data.type === 'sweep') {
+    sweep(event.data);
+  }
+};
@@ -0,0 +1,133 @@
+// Bifurcation diagram
+//
+// Runs a parameter sweep in its own worker (see bifurcation-worker.js) and
+// plots the recorded values column by column as they arrive. The sweep is
+// cancelled by terminating the worker, which stops it immediately.
+export function createBifurcationDiagram(canvas) {
+  const pad = 36;
+  let worker = null;
+  let request = null;
+  let columns = [];
+  let completed = 0;
+  let yMin = Infinity;
+  let yMax = -Infinity;
+
+  // Start a sweep, replacing any running one. onProgress receives the
+  // completed fraction after each column and onDone fires at the end;
+  // onError receives the message if the worker fails instead.
+  function start(sweepRequest, { onProgress, onDone, onError }) {
+    cancel();
+    request = sweepRequest;
+    columns = new Array(request.columns);
+    completed = 0;
+    yMin = Infinity;
+    yMax = -Infinity;
+
+    const sweepWorker = new Worker(new URL('./bifurcation-worker.js', import.meta.url), { type: 'module' });
+    worker = sweepWorker;
+    sweepWorker.onmessage = event => {
+      // Ignore anything still queued from a cancelled sweep
+      if (worker !== sweepWorker) {
+        return;
+      }
+      const message = event.data;
+      if (message.type === 'column') {
+        columns[message.index] = message;
+        completed++;
+        message.points.forEach(value => {
+          yMin = Math.min(yMin, value);
+          yMax = Math.max(yMax, value);
+        });
+        onProgress(completed / request.columns);
+      } else if (message.type === 'done') {
+        sweepWorker.terminate();
+        worker = null;
+        onDone();
+      }
+    };
+    sweepWorker.onerror = event => {
+      if (worker !== sweepWorker) {
+        return;
+      }
+      sweepWorker.terminate();
+      worker = null;
+      onError(event.message ?? 'the worker stopped');
+    };
+    sweepWorker.postMessage({ type: 'sweep', ...request });
+  }
+
+  function cancel() {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+  }
+
+  const plotWidth = () => canvas.width - 2 * pad;
+  const plotHeight = () => canvas.height - 2 * pad;
+
+  // Parameter value of the column under canvas x coordinate px, or null
+  // outside the plot
+  function valueAt(px) {
+    if (!request || px < pad || px > canvas.width - pad) {
+      return null;
+    }
+    const t = (px - pad) / plotWidth();
+    const index = Math.round(t * (request.columns - 1));
+    return request.columns === 1
+      ? request.from
+      : request.from + (request.to - request.from) * index / (request.columns - 1);
+  }
+
+  // Redraw every finished column, with a vertical line at marker (the live
+  // parameter value) when it is given
+  function draw(marker) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+    ctx.fillRect(0, 0, width, height);
+    if (!request) {
+      return;
+    }
+
+    const { from, to } = request;
+    const span = yMax - yMin || 1;
+    const sx = value => pad + (value - from) / ((to - from) || 1) * plotWidth();
+    const sy = value => height - pad - (value - yMin) / span * plotHeight();
+
+    ctx.fillStyle = 'white';
+    ctx.font = '11px Arial, sans-serif';
+    const recorded = request.mode === 'maxima' ? `max ${'xyz'[request.coordinate]}` : `${'xyz'[request.coordinate]} at section`;
+    ctx.fillText(recorded, 4, 14);
+    ctx.fillText(request.parameter, width - pad - ctx.measureText(request.parameter).width, height - 6);
+    ctx.fillText(String(from), pad, height - pad + 14);
+    ctx.fillText(String(to), width - pad - ctx.measureText(String(to)).width, height - pad + 14);
+    if (Number.isFinite(yMin)) {
+      ctx.fillText(yMax.toPrecision(3), 4, pad);
+      ctx.fillText(yMin.toPrecision(3), 4, height - pad);
+    }
+
+    ctx.fillStyle = 'rgba(102, 204, 255, 0.6)';
+    columns.forEach(column => {
+      const x = sx(column.value);
+      column.points.forEach(value => ctx.fillRect(x, sy(value), 1, 1));
+    });
+
+    if (marker !== undefined && marker >= Math.min(from, to) && marker <= Math.max(from, to)) {
+      ctx.strokeStyle = 'rgba(255, 107, 107, 0.8)';
+      ctx.beginPath();
+      ctx.moveTo(sx(marker), pad);
+      ctx.lineTo(sx(marker), height - pad);
+      ctx.stroke();
+    }
+  }
+
+  return {
+    start,
+    cancel,
+    valueAt,
+    draw,
+    get running() { return worker !== null; },
+    get request() { return request; }
+  };
+}
@@ -0,0 +1,181 @@
+import * as THREE from 'three';
+
+// Still images, video recording and turntable camera moves
+
+// Raised when the browser cannot produce the requested capture
+export class CaptureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CaptureError';
+  }
+}
+
+// Rows read back from the GPU at a time, which bounds the readback buffer
+const stripRows = 256;
+
+const encodeSRGB = c => c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+const clamp01 = value => Math.min(1, Math.max(0, value));
+
+// Render one frame at width × height into an offscreen target and encode it
+// as a PNG blob. The target holds half floats in linear colour, since three
+// only converts to sRGB when drawing to the screen; the conversion is done
+// here on readback. With a transparent background the clear alpha is zero
+// and the blended colours are un-premultiplied before encoding. draw(target)
+// renders the frame, by default the scene alone.
+export function renderStill(renderer, scene, camera, { width, height, transparent, draw }) {
+  const previousTarget = renderer.getRenderTarget();
+  const clearColor = renderer.getClearColor(new THREE.Color());
+  const clearAlpha = renderer.getClearAlpha();
+  const aspect = camera.aspect;
+
+  // The image is allocated first, since a huge one can fail, and the
+  // renderer and camera are put back whatever happens after that
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(width, height);
+  const target = new THREE.WebGLRenderTarget(width, height, { type: THREE.HalfFloatType, samples: 4 });
+  try {
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    renderer.setClearColor(clearColor, transparent ? 0 : 1);
+    if (draw) {
+      draw(target);
+    } else {
+      renderer.setRenderTarget(target);
+      renderer.render(scene, camera);
+    }
+
+    const buffer = new Uint16Array(width * stripRows * 4);
+    const half = THREE.DataUtils.fromHalfFloat;
+    for (let y0 = 0; y0 < height; y0 += stripRows) {
+      const rows = Math.min(stripRows, height - y0);
+      renderer.readRenderTargetPixels(target, 0, y0, width, rows, buffer);
+      for (let r = 0; r < rows; r++) {
+        // GL rows run bottom to top
+        let out = (height - 1 - y0 - r) * width * 4;
+        let i = r * width * 4;
+        for (let x = 0; x < width; x++, i += 4, out += 4) {
+          const alpha = transparent ? clamp01(half(buffer[i + 3])) : 1;
+          for (let c = 0; c < 3; c++) {
+            const value = half(buffer[i + c]);
+            image.data[out + c] = Math.round(encodeSRGB(clamp01(alpha > 0 ? value / alpha : 0)) * 255);
+          }
+          image.data[out + 3] = Math.round(alpha * 255);
+        }
+      }
+    }
+  } finally {
+    renderer.setRenderTarget(previousTarget);
+    renderer.setClearColor(clearColor, clearAlpha);
+    camera.aspect = aspect;
+    camera.updateProjectionMatrix();
+    target.dispose();
+  }
+
+  ctx.putImageData(image, 0, 0);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new CaptureError(`A ${width} × ${height} image is too large for this browser to encode`));
+      }
+    }, 'image/png');
+  });
+}
+
+// WebM recording of a canvas through MediaRecorder
+export function createRecorder(canvas) {
+  let recorder = null;
+  let chunks = [];
+
+  // Start recording at up to fps frames per second; throws a CaptureError
+  // when the browser cannot record WebM
+  function start({ fps = 60, bitrate = 8e6 } = {}) {
+    const mimeType = typeof MediaRecorder === 'undefined'
+      ? undefined
+      : ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType || !canvas.captureStream) {
+      throw new CaptureError('This browser cannot record WebM video');
+    }
+    chunks = [];
+    recorder = new MediaRecorder(canvas.captureStream(fps), { mimeType, videoBitsPerSecond: bitrate });
+    recorder.ondataavailable = event => {
+      if (event.data.size > 0) {
+        chunks.push(event.data);
+      }
+    };
+    // Collect the data every second rather than all at the end
+    recorder.start(1000);
+  }
+
+  // Stop recording, resolving with the video as a blob
+  function stop() {
+    const stopping = recorder;
+    recorder = null;
+    return new Promise(resolve => {
+      stopping.onstop = () => {
+        stopping.stream.getTracks().forEach(track => track.stop());
+        resolve(new Blob(chunks, { type: stopping.mimeType }));
+      };
+      stopping.stop();
+    });
+  }
+
+  return {
+    start,
+    stop,
+    get recording() { return recorder !== null; }
+  };
+}
+
+// One full turn of the camera about the vertical axis through the orbit
+// target, at speed degrees per second of wall-clock time
+export function createTurntable(camera, controls) {
+  const axis = new THREE.Vector3(0, 1, 0);
+  const offset = new THREE.Vector3();
+  let running = false;
+  let turned = 0;
+  let lastTime = null;
+  let speed = 0;
+
+  function start(degreesPerSecond) {
+    speed = degreesPerSecond;
+    turned = 0;
+    lastTime = null;
+    running = true;
+  }
+
+  function stop() {
+    running = false;
+  }
+
+  // Advance the orbit to time now (ms); returns true on the frame the turn
+  // completes
+  function update(now) {
+    if (!running) {
+      return false;
+    }
+    const step = lastTime === null ? 0 : Math.min(360 - turned, (now - lastTime) / 1000 * speed);
+    lastTime = now;
+    offset.subVectors(camera.position, controls.target).applyAxisAngle(axis, THREE.MathUtils.degToRad(step));
+    camera.position.copy(controls.target).add(offset);
+    camera.lookAt(controls.target);
+    turned += step;
+    if (turned >= 360) {
+      running = false;
+      return true;
+    }
+    return false;
+  }
+
+  return {
+    start,
+    stop,
+    update,
+    get running() { return running; },
+    get progress() { return turned / 360; }
+  };
+}
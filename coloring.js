@@ -0,0 +1,138 @@
+import * as THREE from 'three';
+
+// Trail colouring
+//
+// A colour quantity maps each trajectory point to a scalar, which is placed
+// in a range and looked up in a palette. Palettes are lists of sRGB colour
+// stops; they are resampled into a 256-entry table of linear RGB, the space
+// vertex colours are given in.
+
+// Perceptually uniform palettes from matplotlib, as evenly spaced stops
+export const palettes = {
+  viridis: {
+    name: 'Viridis',
+    stops: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#fde725']
+  },
+  magma: {
+    name: 'Magma',
+    stops: ['#000004', '#1c1044', '#4f127b', '#812581', '#b5367a', '#e55064', '#fb8761', '#fec287', '#fcfdbf']
+  },
+  cividis: {
+    name: 'Cividis',
+    stops: ['#00224e', '#123570', '#3b496c', '#575d6d', '#707173', '#8a8678', '#a59c74', '#c3b369', '#fee838']
+  }
+};
+
+// A palette's stops as [{ position, color }], the form a custom gradient uses
+export function paletteStops(key) {
+  const { stops } = palettes[key];
+  return stops.map((color, i) => ({ position: i / (stops.length - 1), color }));
+}
+
+const lutSize = 256;
+
+// Lookup table for colour stops [{ position in 0..1, color: '#rrggbb' }],
+// interpolated in sRGB and stored as linear RGB
+export function createPaletteLUT(stops) {
+  const sorted = stops.slice().sort((a, b) => a.position - b.position);
+  const colors = sorted.map(stop => new THREE.Color(stop.color).convertLinearToSRGB());
+  const lut = new Float32Array(lutSize * 3);
+  const color = new THREE.Color();
+  for (let i = 0; i < lutSize; i++) {
+    const t = i / (lutSize - 1);
+    let k = 0;
+    while (k < sorted.length - 2 && t > sorted[k + 1].position) {
+      k++;
+    }
+    const a = sorted[k];
+    const b = sorted[Math.min(k + 1, sorted.length - 1)];
+    const span = b.position - a.position;
+    const s = span > 0 ? Math.min(1, Math.max(0, (t - a.position) / span)) : 0;
+    color.copy(colors[k]).lerp(colors[Math.min(k + 1, sorted.length - 1)], s).convertSRGBToLinear();
+    lut[i * 3] = color.r;
+    lut[i * 3 + 1] = color.g;
+    lut[i * 3 + 2] = color.b;
+  }
+  return lut;
+}
+
+// Colour for t in 0..1 (clamped; NaN maps to 0)
+export function lookupColor(lut, t) {
+  const i = Math.round((Number.isFinite(t) ? Math.min(1, Math.max(0, t)) : 0) * (lutSize - 1)) * 3;
+  return { r: lut[i], g: lut[i + 1], b: lut[i + 2] };
+}
+
+// Curvature |v × a| / |v|³ of the flow f at p, with the acceleration a = J v
+// taken as a central difference of f along v
+function curvature(f, p) {
+  const v = f(p);
+  const speed = Math.hypot(...v);
+  if (speed === 0) {
+    return 0;
+  }
+  const h = 1e-6 * Math.max(1, Math.hypot(...p)) / speed;
+  const plus = f(p.map((pi, i) => pi + h * v[i]));
+  const minus = f(p.map((pi, i) => pi - h * v[i]));
+  const a = plus.map((value, i) => (value - minus[i]) / (2 * h));
+  const cross = Math.hypot(v[1] * a[2] - v[2] * a[1], v[2] * a[0] - v[0] * a[2], v[0] * a[1] - v[1] * a[0]);
+  return cross / (speed * speed * speed);
+}
+
+// What a point's colour shows. value(p, t, context) receives the point in
+// attractor coordinates, its time, and { f, point }: the current vector
+// field, called as f(p, t), and the reference point for distances. The
+// rainbow has no value; it colours by position in the trail's ring buffer.
+export const colorQuantities = {
+  index: { name: 'Rainbow along the trail' },
+  speed: { name: 'Speed', label: '|v|', value: (p, t, { f }) => Math.hypot(...f(p)) },
+  time: { name: 'Elapsed time', label: 't', value: (p, t) => t },
+  x: { name: 'x coordinate', label: 'x', value: p => p[0] },
+  y: { name: 'y coordinate', label: 'y', value: p => p[1] },
+  z: { name: 'z coordinate', label: 'z', value: p => p[2] },
+  w: { name: 'w coordinate (4D systems)', label: 'w', value: p => p[3] ?? 0 },
+  curvature: { name: 'Curvature', label: 'κ', value: (p, t, { f }) => curvature(f, p) },
+  distance: {
+    name: 'Distance from a point',
+    label: '|p − q|',
+    value: (p, t, { point }) => Math.hypot(p[0] - point[0], p[1] - point[1], p[2] - point[2])
+  }
+};
+
+// The 1st to 99th percentile of sampled values, so that a few extreme points
+// (curvature spikes where the flow nearly stops) do not wash out the rest
+export function robustRange(samples) {
+  const finite = samples.filter(Number.isFinite).sort((a, b) => a - b);
+  if (finite.length === 0) {
+    return null;
+  }
+  const at = q => finite[Math.min(finite.length - 1, Math.floor(q * finite.length))];
+  return { min: at(0.01), max: at(0.99) };
+}
+
+// Vertical colour bar with the range and the quantity's label
+export function drawColorBar(canvas, lut, { min, max, label }) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const pad = 14;
+  const barWidth = 16;
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  ctx.fillRect(0, 0, width, height);
+
+  const color = new THREE.Color();
+  for (let y = pad; y < height - pad; y++) {
+    const t = 1 - (y - pad) / (height - 2 * pad - 1);
+    const { r, g, b } = lookupColor(lut, t);
+    // The table is linear; the canvas wants sRGB
+    ctx.fillStyle = `#${color.setRGB(r, g, b).getHexString()}`;
+    ctx.fillRect(pad, y, barWidth, 1);
+  }
+
+  ctx.fillStyle = 'white';
+  ctx.font = '11px Arial, sans-serif';
+  const x = pad + barWidth + 4;
+  ctx.fillText(max.toPrecision(3), x, pad + 8);
+  ctx.fillText(((min + max) / 2).toPrecision(3), x, height / 2 + 4);
+  ctx.fillText(min.toPrecision(3), x, height - pad);
+  ctx.fillText(label, 2, 10);
+}
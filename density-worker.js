@@ -0,0 +1,114 @@
+import { maps } from './maps.js';
+
+// Density worker
+//
+// Iterates a discrete map and counts its points into a histogram over a
+// box fitted to the attractor. The counts so far are posted a few times a
+// second, so the picture sharpens as points accumulate. Cancelling
+// terminates the worker.
+//
+// Message in:
+//   accumulate  { map, params, axes, resolution, limit }  axes are the
+//               coordinates counted, two for an image or three for a voxel
+//               grid; resolution is the number of cells along the longest
+//               side of the box, with the other sides' cells the same size
+// Messages out:
+//   density     { counts, size, bounds, max, total, done }  counts is a
+//               Uint32Array, first axis fastest; size and bounds ([min, max]
+//               per axis) describe the grid, max is the fullest cell and
+//               total the number of points counted
+//   failed      { message, density? }  density is the last message's
+//               fields for the points counted before the map escaped
+
+// Iterates dropped before counting, and sampled to fit the box
+const transient = 1000;
+const boxSamples = 50000;
+// Points further than this from the origin are taken to be escaping
+const escapeLimit = 1e6;
+const postInterval = 250; // ms
+const escapeMessage = 'The map escapes to infinity with these parameters';
+
+function escaped({ x, y, z }) {
+  return !(Math.abs(x) < escapeLimit && Math.abs(y) < escapeLimit && Math.abs(z) < escapeLimit);
+}
+
+function accumulate(request) {
+  const map = maps[request.map];
+  const { params, axes, resolution, limit } = request;
+  const fail = () => self.postMessage({ type: 'failed', message: escapeMessage });
+  const [x, y, z] = map.initial;
+  let point = { x, y, z };
+  const coordinate = axis => axis === 0 ? point.x : axis === 1 ? point.y : point.z;
+
+  for (let n = 0; n < transient; n++) {
+    point = map.iterate(point.x, point.y, point.z, params);
+    if (escaped(point)) {
+      fail();
+      return;
+    }
+  }
+
+  // Fit the box to a sample of the attractor, with a margin for the parts
+  // the sample missed
+  const low = axes.map(() => Infinity);
+  const high = axes.map(() => -Infinity);
+  for (let n = 0; n < boxSamples; n++) {
+    point = map.iterate(point.x, point.y, point.z, params);
+    if (escaped(point)) {
+      fail();
+      return;
+    }
+    axes.forEach((axis, k) => {
+      low[k] = Math.min(low[k], coordinate(axis));
+      high[k] = Math.max(high[k], coordinate(axis));
+    });
+  }
+  const margin = 0.02 * Math.max(...axes.map((axis, k) => high[k] - low[k]), 1e-6);
+  const bounds = axes.map((axis, k) => [low[k] - margin, high[k] + margin]);
+  const cell = Math.max(...bounds.map(([min, max]) => max - min)) / resolution;
+  const size = bounds.map(([min, max]) => Math.max(1, Math.min(resolution, Math.ceil((max - min) / cell))));
+  const counts = new Uint32Array(size.reduce((product, n) => product * n, 1));
+  const stride = size.map((n, k) => size.slice(0, k).reduce((product, m) => product * m, 1));
+
+  let max = 0;
+  let total = 0;
+  let postedAt = performance.now();
+  const density = () => ({ counts: counts.slice(), size, bounds, max, total });
+  const post = done => {
+    const message = { type: 'density', ...density(), done };
+    self.postMessage(message, [message.counts.buffer]);
+  };
+  for (let n = 0; n < limit; n++) {
+    point = map.iterate(point.x, point.y, point.z, params);
+    if (escaped(point)) {
+      const partial = density();
+      self.postMessage({ type: 'failed', message: escapeMessage, density: partial }, [partial.counts.buffer]);
+      return;
+    }
+    let index = 0;
+    let inside = true;
+    for (let k = 0; k < axes.length; k++) {
+      const c = Math.floor((coordinate(axes[k]) - bounds[k][0]) / cell);
+      if (c < 0 || c >= size[k]) {
+        inside = false;
+        break;
+      }
+      index += c * stride[k];
+    }
+    if (inside) {
+      max = Math.max(max, ++counts[index]);
+      total++;
+    }
+    if ((n & 0xffff) === 0 && performance.now() - postedAt > postInterval) {
+      post(false);
+      postedAt = performance.now();
+    }
+  }
+  post(true);
+}
+
+self.onmessage = event => {
+  if (event.data.type === 'accumulate') {
+    accumulate(event.data);
+  }
+};
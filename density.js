@@ -0,0 +1,146 @@
+import * as THREE from 'three';
+
+// Density rendering of discrete maps
+//
+// A map's iterates are counted into a histogram by density-worker.js, and
+// the counts are tone-mapped here: log(1 + count) relative to the fullest
+// cell, scaled by the exposure and gamma-corrected. Colour and brightness
+// both follow the tone-mapped value, looked up in a palette table from
+// coloring.js, so empty cells stay black. A density is the worker's
+// message, { counts, size, bounds, max, total }.
+
+// Ways of showing a density, with the histogram resolutions each offers
+// (cells along the longest side)
+export const densityRenderers = {
+  image: { name: '2D image', resolutions: [256, 512, 1024, 2048], resolution: 1024 },
+  cloud: { name: '3D point density', resolutions: [64, 96, 128, 160], resolution: 128 }
+};
+
+// Brightness in 0..1 of a cell with count points when the fullest has max
+function toneMap(count, max, { exposure, gamma }) {
+  if (count === 0) {
+    return 0;
+  }
+  const level = Math.min(1, exposure * Math.log1p(count) / Math.log1p(max));
+  return Math.pow(level, 1 / gamma);
+}
+
+// sRGB bytes of a linear palette table, for canvas pixels
+function srgbBytes(lut) {
+  const bytes = new Uint8ClampedArray(lut.length);
+  const color = new THREE.Color();
+  for (let i = 0; i < lut.length; i += 3) {
+    color.setRGB(lut[i], lut[i + 1], lut[i + 2]).convertLinearToSRGB();
+    bytes[i] = color.r * 255;
+    bytes[i + 1] = color.g * 255;
+    bytes[i + 2] = color.b * 255;
+  }
+  return bytes;
+}
+
+// Density of a two-dimensional histogram drawn into canvas, fitted to it
+// with the first axis across and the second up
+export function createDensityImage(canvas) {
+  const image = document.createElement('canvas');
+
+  function draw(density, settings, lut) {
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'black';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!density || density.max === 0) {
+      return;
+    }
+    const { counts, size: [nx, ny], max } = density;
+    const palette = srgbBytes(lut);
+    const entries = palette.length / 3;
+    image.width = nx;
+    image.height = ny;
+    const imageCtx = image.getContext('2d');
+    const pixels = imageCtx.createImageData(nx, ny);
+    for (let j = 0; j < ny; j++) {
+      for (let i = 0; i < nx; i++) {
+        const value = toneMap(counts[j * nx + i], max, settings);
+        const entry = Math.round(value * (entries - 1)) * 3;
+        const pixel = ((ny - 1 - j) * nx + i) * 4;
+        pixels.data[pixel] = palette[entry] * value;
+        pixels.data[pixel + 1] = palette[entry + 1] * value;
+        pixels.data[pixel + 2] = palette[entry + 2] * value;
+        pixels.data[pixel + 3] = 255;
+      }
+    }
+    imageCtx.putImageData(pixels, 0, 0);
+    const fit = Math.min(canvas.width / nx, canvas.height / ny) * 0.95;
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(image, (canvas.width - nx * fit) / 2, (canvas.height - ny * fit) / 2, nx * fit, ny * fit);
+  }
+
+  return {
+    draw
+  };
+}
+
+// Longest side of the point cloud in display units
+const cloudSize = 40;
+// Cells dimmer than this are left out of the cloud
+const cloudThreshold = 0.02;
+
+// Density of a three-dimensional histogram as a cloud of additive points,
+// one per occupied cell, centred on the origin. A two-dimensional map's
+// histogram is one cell thick, so its cloud is flat.
+export function createDensityCloud() {
+  const points = new THREE.Points(
+    new THREE.BufferGeometry(),
+    new THREE.PointsMaterial({
+      size: 0.5,
+      vertexColors: true,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    })
+  );
+  points.frustumCulled = false;
+  points.visible = false;
+  const box = new THREE.Box3();
+
+  function update(density, settings, lut) {
+    const { counts, size, max } = density;
+    const [nx, ny, nz = 1] = size;
+    // The cells are cubes, so this is their side in display units
+    const unit = cloudSize / Math.max(...size);
+    const positions = [];
+    const colors = [];
+    for (let k = 0; k < nz; k++) {
+      for (let j = 0; j < ny; j++) {
+        for (let i = 0; i < nx; i++) {
+          const value = toneMap(counts[(k * ny + j) * nx + i], max, settings);
+          if (value < cloudThreshold) {
+            continue;
+          }
+          positions.push((i - nx / 2 + 0.5) * unit, (j - ny / 2 + 0.5) * unit, (k - nz / 2 + 0.5) * unit);
+          const entry = Math.round(value * (lut.length / 3 - 1)) * 3;
+          colors.push(lut[entry] * value, lut[entry + 1] * value, lut[entry + 2] * value);
+        }
+      }
+    }
+    points.geometry.dispose();
+    points.geometry = new THREE.BufferGeometry();
+    points.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    points.geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    points.material.size = unit * 1.5;
+    box.set(new THREE.Vector3(-nx, -ny, -nz).multiplyScalar(unit / 2), new THREE.Vector3(nx, ny, nz).multiplyScalar(unit / 2));
+  }
+
+  function clear() {
+    points.geometry.dispose();
+    points.geometry = new THREE.BufferGeometry();
+    box.makeEmpty();
+  }
+
+  return {
+    object: points,
+    update,
+    clear,
+    // Display-space box the cloud fills
+    get box() { return box.clone(); }
+  };
+}
@@ -0,0 +1,16 @@
+// Save a Blob to the user's downloads through a temporary link
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Save a string as a text file
+export function downloadText(text, filename, type = 'text/plain') {
+  downloadBlob(new Blob([text], { type }), filename);
+}
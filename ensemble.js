@@ -0,0 +1,165 @@
+import * as THREE from 'three';
+
+// Cloud of particles integrated in lockstep
+//
+// The particle states are integrated by the simulation worker; this module
+// seeds them and draws the positions it sends back. Each particle is drawn
+// as a point with a short tail. The tails share one ring index because every
+// particle advances at the same time, and their colours are fixed at seeding
+// time: the hue comes from where the particle started inside the blob and
+// the brightness fades along the tail, so the stretching and folding of the
+// initial blob stays visible.
+export function createEnsemble() {
+  const group = new THREE.Group();
+  const points = new THREE.Points(
+    new THREE.BufferGeometry(),
+    new THREE.PointsMaterial({ size: 0.25, vertexColors: true })
+  );
+  const tails = new THREE.LineSegments(
+    new THREE.BufferGeometry(),
+    new THREE.LineBasicMaterial({
+      vertexColors: true,
+      transparent: true,
+      opacity: 0.6,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    })
+  );
+  points.frustumCulled = false;
+  tails.frustumCulled = false;
+  group.add(tails, points);
+
+  let count = 0;
+  let tailLength = 0;
+  let scale = 1;
+  // Last tailLength display positions of every particle, newest at head - 1
+  let history = new Float32Array(0);
+  let head = 0;
+
+  // Scatter particles uniformly in a ball, or on a regular grid filling the
+  // cube that encloses it, around center. Returns the initial states in
+  // attractor coordinates for the integrator.
+  function seed({ count: n, center, radius, distribution, tailLength: length, scale: displayScale }) {
+    count = n;
+    tailLength = Math.max(2, length);
+    scale = displayScale;
+    const states = new Float64Array(count * 3);
+    history = new Float32Array(count * tailLength * 3);
+    head = 0;
+
+    const side = Math.max(2, Math.ceil(Math.cbrt(count)));
+    const offsets = new Float64Array(count * 3);
+    for (let p = 0; p < count; p++) {
+      let ox, oy, oz;
+      if (distribution === 'grid') {
+        ox = (p % side) / (side - 1) * 2 - 1;
+        oy = (Math.floor(p / side) % side) / (side - 1) * 2 - 1;
+        oz = Math.floor(p / (side * side)) / (side - 1) * 2 - 1;
+      } else {
+        do {
+          ox = Math.random() * 2 - 1;
+          oy = Math.random() * 2 - 1;
+          oz = Math.random() * 2 - 1;
+        } while (ox * ox + oy * oy + oz * oz > 1);
+      }
+      offsets[p * 3] = ox;
+      offsets[p * 3 + 1] = oy;
+      offsets[p * 3 + 2] = oz;
+      states[p * 3] = center[0] + ox * radius;
+      states[p * 3 + 1] = center[1] + oy * radius;
+      states[p * 3 + 2] = center[2] + oz * radius;
+      for (let k = 0; k < tailLength; k++) {
+        const i = (p * tailLength + k) * 3;
+        history[i] = states[p * 3] * scale;
+        history[i + 1] = states[p * 3 + 1] * scale;
+        history[i + 2] = states[p * 3 + 2] * scale;
+      }
+    }
+
+    const pointColors = new Float32Array(count * 3);
+    const segments = tailLength - 1;
+    const tailColors = new Float32Array(count * segments * 6);
+    for (let p = 0; p < count; p++) {
+      const r = offsets[p * 3] * 0.5 + 0.5;
+      const g = offsets[p * 3 + 1] * 0.5 + 0.5;
+      const b = offsets[p * 3 + 2] * 0.5 + 0.5;
+      pointColors.set([r, g, b], p * 3);
+      for (let a = 0; a < segments; a++) {
+        const near = 1 - a / segments;
+        const far = 1 - (a + 1) / segments;
+        tailColors.set([r * near, g * near, b * near, r * far, g * far, b * far], (p * segments + a) * 6);
+      }
+    }
+
+    points.geometry.dispose();
+    points.geometry = new THREE.BufferGeometry();
+    points.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3).setUsage(THREE.DynamicDrawUsage));
+    points.geometry.setAttribute('color', new THREE.BufferAttribute(pointColors, 3));
+    tails.geometry.dispose();
+    tails.geometry = new THREE.BufferGeometry();
+    tails.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * segments * 6), 3).setUsage(THREE.DynamicDrawUsage));
+    tails.geometry.setAttribute('color', new THREE.BufferAttribute(tailColors, 3));
+    flush();
+    return states;
+  }
+
+  // Record a new set of particle positions, already in display coordinates
+  function push(positions) {
+    if (positions.length !== count * 3) {
+      return;
+    }
+    for (let p = 0; p < count; p++) {
+      const h = (p * tailLength + head) * 3;
+      history[h] = positions[p * 3];
+      history[h + 1] = positions[p * 3 + 1];
+      history[h + 2] = positions[p * 3 + 2];
+    }
+    head = (head + 1) % tailLength;
+  }
+
+  // Copy the current positions and tails, newest segment first, into the
+  // geometry buffers
+  function flush() {
+    if (count === 0) {
+      return;
+    }
+    const pointPositions = points.geometry.attributes.position.array;
+    const tailPositions = tails.geometry.attributes.position.array;
+    const segments = tailLength - 1;
+    for (let p = 0; p < count; p++) {
+      const base = p * tailLength;
+      const newest = (base + (head + tailLength - 1) % tailLength) * 3;
+      pointPositions[p * 3] = history[newest];
+      pointPositions[p * 3 + 1] = history[newest + 1];
+      pointPositions[p * 3 + 2] = history[newest + 2];
+      for (let a = 0; a < segments; a++) {
+        const from = (base + (head + 2 * tailLength - 1 - a) % tailLength) * 3;
+        const to = (base + (head + 2 * tailLength - 2 - a) % tailLength) * 3;
+        const v = (p * segments + a) * 6;
+        tailPositions[v] = history[from];
+        tailPositions[v + 1] = history[from + 1];
+        tailPositions[v + 2] = history[from + 2];
+        tailPositions[v + 3] = history[to];
+        tailPositions[v + 4] = history[to + 1];
+        tailPositions[v + 5] = history[to + 2];
+      }
+    }
+    points.geometry.attributes.position.needsUpdate = true;
+    tails.geometry.attributes.position.needsUpdate = true;
+  }
+
+  function clear() {
+    count = 0;
+    points.geometry.setDrawRange(0, 0);
+    tails.geometry.setDrawRange(0, 0);
+  }
+
+  return {
+    object: group,
+    seed,
+    push,
+    flush,
+    clear,
+    get count() { return count; }
+  };
+}
@@ -0,0 +1,272 @@
+import * as THREE from 'three';
+
+// Equilibria of a vector field and their linear stability
+//
+// Fixed points are found by Newton's method from many seeds, with the
+// Jacobian taken by central differences so any attractor works without a
+// hand-written one. Each point is classified from the eigenvalues of its
+// Jacobian, and drawn as a marker with its eigendirections: arrows along the
+// real eigenvectors, pointing outwards when unstable and inwards when
+// stable, and a ring in the plane a complex pair spirals in.
+
+// Kinds of equilibrium, with the colour of their markers
+export const equilibriumTypes = {
+  'stable-node': { name: 'Stable node', color: '#6bdf8f' },
+  'stable-focus': { name: 'Stable focus', color: '#3fb8a0' },
+  'unstable-node': { name: 'Unstable node', color: '#ff6b6b' },
+  'unstable-focus': { name: 'Unstable focus', color: '#ff9f5a' },
+  saddle: { name: 'Saddle', color: '#ffd54f' },
+  'saddle-focus': { name: 'Saddle-focus', color: '#c792ea' },
+  'non-hyperbolic': { name: 'Non-hyperbolic', color: '#b0b0b0' }
+};
+
+const stableColor = '#6bb5ff';
+const unstableColor = '#ff6b6b';
+
+// Newton iterations per seed, and the residual |f| counted as zero relative
+// to the size of the point
+const maxIterations = 50;
+const tolerance = 1e-9;
+
+const norm = v => Math.hypot(v[0], v[1], v[2]);
+
+// Jacobian of f at p as rows, by central differences, in as many
+// dimensions as p has
+export function jacobian(f, p) {
+  const columns = p.map((_, j) => {
+    const h = 1e-6 * Math.max(1, Math.abs(p[j]));
+    const plus = f(p.map((value, i) => i === j ? value + h : value));
+    const minus = f(p.map((value, i) => i === j ? value - h : value));
+    return plus.map((value, i) => (value - minus[i]) / (2 * h));
+  });
+  return p.map((_, i) => columns.map(column => column[i]));
+}
+
+const determinant = m =>
+  m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+  m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+  m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+
+// Solve m x = b by Cramer's rule, or null if m is singular
+function solve(m, b) {
+  const det = determinant(m);
+  if (!Number.isFinite(det) || Math.abs(det) < 1e-300) {
+    return null;
+  }
+  return [0, 1, 2].map(j => determinant(m.map((row, i) => row.map((value, k) => k === j ? b[i] : value))) / det);
+}
+
+// Newton's method from seed, halving steps that do not reduce |f|. Returns
+// the fixed point, or null if it does not converge.
+function newton(f, seed) {
+  let p = seed.slice();
+  let fp = f(p);
+  for (let n = 0; n < maxIterations; n++) {
+    if (!fp.every(Number.isFinite)) {
+      return null;
+    }
+    if (norm(fp) < tolerance * Math.max(1, norm(p))) {
+      return p;
+    }
+    const delta = solve(jacobian(f, p), fp.map(value => -value));
+    if (!delta) {
+      return null;
+    }
+    let scale = 1;
+    let next, fNext;
+    do {
+      next = p.map((value, i) => value + scale * delta[i]);
+      fNext = f(next);
+      scale /= 2;
+    } while (!(norm(fNext) < norm(fp)) && scale > 1e-3);
+    p = next;
+    fp = fNext;
+  }
+  return norm(fp) < tolerance * Math.max(1, norm(p)) ? p : null;
+}
+
+// Roots of λ³ + aλ² + bλ + c as { re, im }
+function cubicRoots(a, b, c) {
+  const q = (a * a - 3 * b) / 9;
+  const r = (2 * a * a * a - 9 * a * b + 27 * c) / 54;
+  if (r * r < q * q * q) {
+    const theta = Math.acos(r / Math.sqrt(q * q * q));
+    const m = -2 * Math.sqrt(q);
+    return [0, 2 * Math.PI, -2 * Math.PI].map(shift => ({ re: m * Math.cos((theta + shift) / 3) - a / 3, im: 0 }));
+  }
+  const A = -Math.sign(r) * Math.cbrt(Math.abs(r) + Math.sqrt(r * r - q * q * q));
+  const B = A === 0 ? 0 : q / A;
+  const re = -(A + B) / 2 - a / 3;
+  const im = Math.sqrt(3) / 2 * (A - B);
+  // A repeated real root comes out with a rounding-sized imaginary part
+  const pairIm = Math.abs(im) > 1e-9 * Math.max(1, Math.abs(re)) ? Math.abs(im) : 0;
+  return [{ re: A + B - a / 3, im: 0 }, { re, im: pairIm }, { re, im: -pairIm }];
+}
+
+// Eigenvalues of a 3 × 3 matrix, largest real part first
+export function eigenvalues(m) {
+  const trace = m[0][0] + m[1][1] + m[2][2];
+  const minors =
+    m[0][0] * m[1][1] - m[0][1] * m[1][0] +
+    m[0][0] * m[2][2] - m[0][2] * m[2][0] +
+    m[1][1] * m[2][2] - m[1][2] * m[2][1];
+  return cubicRoots(-trace, minors, -determinant(m)).sort((p, q) => q.re - p.re || q.im - p.im);
+}
+
+// Complex arithmetic on [re, im] pairs, for the eigenvectors of complex pairs
+const cmul = ([a, b], [c, d]) => [a * c - b * d, a * d + b * c];
+const csub = ([a, b], [c, d]) => [a - c, b - d];
+
+// Null vector of m − λI as [re, im] components: the cross product of the
+// two rows that give the largest one
+function eigenvector(m, { re, im }) {
+  const rows = m.map((row, i) => row.map((value, j) => i === j ? [value - re, -im] : [value, 0]));
+  const cross = (u, v) => [
+    csub(cmul(u[1], v[2]), cmul(u[2], v[1])),
+    csub(cmul(u[2], v[0]), cmul(u[0], v[2])),
+    csub(cmul(u[0], v[1]), cmul(u[1], v[0]))
+  ];
+  const size = v => Math.hypot(...v.flat());
+  return [cross(rows[0], rows[1]), cross(rows[1], rows[2]), cross(rows[0], rows[2])]
+    .reduce((best, v) => size(v) > size(best) ? v : best);
+}
+
+// Unit real eigenvector, or null for a repeated root without a clear one
+function realDirection(m, lambda) {
+  const v = eigenvector(m, lambda).map(([re]) => re);
+  const length = norm(v);
+  return length > 1e-12 ? v.map(value => value / length) : null;
+}
+
+// Orthonormal basis of the real plane of a complex eigenvector
+function spiralPlane(m, lambda) {
+  const v = eigenvector(m, lambda);
+  const u = v.map(([re]) => re);
+  const w = v.map(([, im]) => im);
+  const uLength = norm(u);
+  if (uLength < 1e-12) {
+    return null;
+  }
+  const e1 = u.map(value => value / uLength);
+  const dot = e1[0] * w[0] + e1[1] * w[1] + e1[2] * w[2];
+  const e2 = w.map((value, i) => value - dot * e1[i]);
+  const e2Length = norm(e2);
+  return e2Length > 1e-12 ? [e1, e2.map(value => value / e2Length)] : null;
+}
+
+// Type of equilibrium from its eigenvalues
+function classify(values) {
+  const scale = Math.max(1, ...values.map(({ re, im }) => Math.hypot(re, im)));
+  if (values.some(({ re }) => Math.abs(re) < 1e-7 * scale)) {
+    return 'non-hyperbolic';
+  }
+  const unstable = values.filter(({ re }) => re > 0).length;
+  const spiral = values.some(({ im }) => im !== 0);
+  if (unstable === 0) {
+    return spiral ? 'stable-focus' : 'stable-node';
+  }
+  if (unstable === 3) {
+    return spiral ? 'unstable-focus' : 'unstable-node';
+  }
+  return spiral ? 'saddle-focus' : 'saddle';
+}
+
+// Find the equilibria of f reached by Newton's method from seeds, with
+// their eigenvalues, type and eigendirections:
+//   { point, eigenvalues: [{ re, im }], type, directions: [{ vector,
+//     unstable }], spiral: { plane: [u, v], unstable } | null }
+export function findEquilibria(f, seeds) {
+  const found = [];
+  seeds.forEach(seed => {
+    const point = newton(f, seed);
+    if (!point || norm(point) > 1e6) {
+      return;
+    }
+    const same = found.some(other => norm(other.point.map((value, i) => value - point[i])) < 1e-6 * Math.max(1, norm(point)));
+    if (same) {
+      return;
+    }
+    const m = jacobian(f, point);
+    const values = eigenvalues(m);
+    const directions = values
+      .filter(({ im }) => im === 0)
+      .map(lambda => ({ vector: realDirection(m, lambda), unstable: lambda.re > 0 }))
+      .filter(({ vector }) => vector);
+    const pair = values.find(({ im }) => im > 0);
+    const plane = pair ? spiralPlane(m, pair) : null;
+    found.push({
+      point,
+      eigenvalues: values,
+      type: classify(values),
+      directions,
+      spiral: plane ? { plane, unstable: pair.re > 0 } : null
+    });
+  });
+  return found.sort((a, b) => a.point[0] - b.point[0] || a.point[1] - b.point[1] || a.point[2] - b.point[2]);
+}
+
+// Markers for a list of equilibria from findEquilibria()
+export function createEquilibriumMarkers() {
+  const group = new THREE.Group();
+  const sphere = new THREE.SphereGeometry(1, 16, 12);
+  const ringPoints = Array.from({ length: 48 }, (_, k) => 2 * Math.PI * k / 48);
+  const materials = {};
+  const material = color => {
+    materials[color] ??= new THREE.MeshBasicMaterial({ color });
+    return materials[color];
+  };
+
+  function clear() {
+    group.children.slice().forEach(child => {
+      group.remove(child);
+      // The spheres share their geometry and materials
+      if (child.isMesh) {
+        return;
+      }
+      if (child instanceof THREE.ArrowHelper) {
+        child.dispose();
+      } else {
+        child.geometry.dispose();
+        child.material.dispose();
+      }
+    });
+  }
+
+  // Show equilibria in attractor coordinates, drawn at display scale with
+  // markers of radius size (display units)
+  function update(equilibria, scale, size) {
+    clear();
+    equilibria.forEach(({ point, type, directions, spiral }) => {
+      const center = new THREE.Vector3(...point).multiplyScalar(scale);
+      const marker = new THREE.Mesh(sphere, material(equilibriumTypes[type].color));
+      marker.position.copy(center);
+      marker.scale.setScalar(size);
+      group.add(marker);
+
+      const length = size * 8;
+      directions.forEach(({ vector, unstable }) => {
+        const color = unstable ? unstableColor : stableColor;
+        [1, -1].forEach(sign => {
+          const direction = new THREE.Vector3(...vector).multiplyScalar(sign);
+          const origin = unstable ? center.clone().addScaledVector(direction, size) : center.clone().addScaledVector(direction, length + size);
+          group.add(new THREE.ArrowHelper(unstable ? direction : direction.clone().negate(), origin, length, color, size * 2, size * 1.2));
+        });
+      });
+
+      if (spiral) {
+        const [u, v] = spiral.plane.map(axis => new THREE.Vector3(...axis));
+        const radius = size * 5;
+        const geometry = new THREE.BufferGeometry().setFromPoints(ringPoints.map(angle => center.clone()
+          .addScaledVector(u, radius * Math.cos(angle))
+          .addScaledVector(v, radius * Math.sin(angle))));
+        group.add(new THREE.LineLoop(geometry, new THREE.LineBasicMaterial({ color: spiral.unstable ? unstableColor : stableColor })));
+      }
+    });
+  }
+
+  return {
+    object: group,
+    update,
+    clear
+  };
+}
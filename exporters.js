@@ -0,0 +1,145 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+
+// Trajectory export formats
+//
+// A trajectory is { times, positions, dimension? }: Float64Arrays of
+// simulation time and of interleaved x, y, z in attractor coordinates, or
+// x, y, z, w when dimension is 4. The geometry formats keep x, y, z. The
+// metadata describes how it was produced,
+//
+//   { attractor, name, params, equations?, initial, integrator: { method,
+//     atol?, rtol? }, source: 'trail' | 'fresh' }
+//
+// and is written into every format that has room for it. Each format's
+// write() returns the file contents as a string or ArrayBuffer, or a promise
+// of one.
+
+// Ten significant digits, enough for the data without float noise
+const number = value => String(Number(value.toPrecision(10)));
+
+function describe(metadata) {
+  const lines = [
+    `attractor: ${metadata.name} (${metadata.attractor})`,
+    `params: ${Object.entries(metadata.params).map(([key, value]) => `${key}=${value}`).join(', ')}`
+  ];
+  if (metadata.equations) {
+    ['dx', 'dy', 'dz'].forEach(axis => lines.push(`${axis}/dt = ${metadata.equations[axis]}`));
+  }
+  const { method, ...tolerances } = metadata.integrator;
+  const settings = Object.entries(tolerances).map(([key, value]) => ` ${key}=${value}`).join('');
+  lines.push(`initial: ${metadata.initial.join(', ')}`);
+  lines.push(`integrator: ${method}${settings}`);
+  lines.push(`source: ${metadata.source === 'fresh' ? 'fresh trajectory' : 'visible trail'}`);
+  return lines;
+}
+
+const coordinateNames = ['x', 'y', 'z', 'w'];
+
+// Rows of t, x, y, z (and w) after '#' comment lines with the metadata,
+// which pandas skips with read_csv(..., comment='#')
+function toCSV({ times, positions, dimension = 3 }, metadata) {
+  const rows = describe(metadata).map(line => `# ${line}`);
+  rows.push(['t', ...coordinateNames.slice(0, dimension)].join(','));
+  for (let n = 0; n < times.length; n++) {
+    const state = Array.from(positions.subarray(n * dimension, (n + 1) * dimension), number);
+    rows.push([number(times[n]), ...state].join(','));
+  }
+  return rows.join('\n') + '\n';
+}
+
+// The metadata with one array per column
+function toJSON({ times, positions, dimension = 3 }, metadata) {
+  const column = offset => Array.from({ length: times.length }, (_, n) => Number(positions[n * dimension + offset].toPrecision(10)));
+  const columns = {};
+  coordinateNames.slice(0, dimension).forEach((name, offset) => {
+    columns[name] = column(offset);
+  });
+  return JSON.stringify({
+    ...metadata,
+    count: times.length,
+    t: Array.from(times, value => Number(value.toPrecision(10))),
+    ...columns
+  }) + '\n';
+}
+
+// x, y, z of a trajectory's points, dropping w
+function spatial({ positions, dimension = 3 }) {
+  if (dimension === 3) {
+    return positions;
+  }
+  const out = new Float64Array(positions.length / dimension * 3);
+  for (let n = 0; n < out.length / 3; n++) {
+    out.set(positions.subarray(n * dimension, n * dimension + 3), n * 3);
+  }
+  return out;
+}
+
+// ASCII PLY with the points as vertices joined by edges
+function toPLY(trajectory, metadata) {
+  const positions = spatial(trajectory);
+  const count = positions.length / 3;
+  const lines = [
+    'ply',
+    'format ascii 1.0',
+    ...describe(metadata).map(line => `comment ${line}`),
+    `element vertex ${count}`,
+    'property float x',
+    'property float y',
+    'property float z',
+    `element edge ${Math.max(0, count - 1)}`,
+    'property int vertex1',
+    'property int vertex2',
+    'end_header'
+  ];
+  for (let n = 0; n < count; n++) {
+    lines.push(`${number(positions[n * 3])} ${number(positions[n * 3 + 1])} ${number(positions[n * 3 + 2])}`);
+  }
+  for (let n = 1; n < count; n++) {
+    lines.push(`${n - 1} ${n}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Wavefront OBJ polyline. Long lines are split into overlapping 'l' records,
+// which some importers need.
+function toOBJ(trajectory, metadata) {
+  const positions = spatial(trajectory);
+  const count = positions.length / 3;
+  const lines = describe(metadata).map(line => `# ${line}`);
+  lines.push('o trajectory');
+  for (let n = 0; n < count; n++) {
+    lines.push(`v ${number(positions[n * 3])} ${number(positions[n * 3 + 1])} ${number(positions[n * 3 + 2])}`);
+  }
+  const chunk = 1000;
+  for (let start = 0; start < count - 1; start += chunk - 1) {
+    const indices = [];
+    for (let n = start; n < Math.min(count, start + chunk); n++) {
+      indices.push(n + 1);
+    }
+    lines.push(`l ${indices.join(' ')}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Binary glTF holding one line strip, with the metadata in its extras
+function toGLB(trajectory, metadata) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(spatial(trajectory)), 3));
+  // The exporter maps MeshBasicMaterial onto an unlit glTF material
+  const line = new THREE.Line(geometry, new THREE.MeshBasicMaterial({ color: 0xffffff }));
+  line.name = `${metadata.name} trajectory`;
+  line.userData = metadata;
+  return new GLTFExporter().parseAsync(line, { binary: true }).finally(() => {
+    geometry.dispose();
+    line.material.dispose();
+  });
+}
+
+export const exportFormats = {
+  csv: { name: 'CSV', extension: 'csv', type: 'text/csv', write: toCSV },
+  json: { name: 'JSON', extension: 'json', type: 'application/json', write: toJSON },
+  ply: { name: 'PLY polyline', extension: 'ply', type: 'text/plain', write: toPLY },
+  obj: { name: 'OBJ polyline', extension: 'obj', type: 'text/plain', write: toOBJ },
+  glb: { name: 'glTF (binary)', extension: 'glb', type: 'model/gltf-binary', write: toGLB }
+};
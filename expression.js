@@ -0,0 +1,251 @@
+// Math expression parser
+//
+// Turns strings such as "sigma * (y - x)" into plain JavaScript closures
+// without going through eval or Function. Supported syntax: numbers,
+// identifiers, + - * / ^ (or **), unary minus, parentheses and the
+// functions listed below.
+
+// Functions callable from an expression, with their argument counts
+const functions = {
+  sin: [Math.sin, 1],
+  cos: [Math.cos, 1],
+  tan: [Math.tan, 1],
+  asin: [Math.asin, 1],
+  acos: [Math.acos, 1],
+  atan: [Math.atan, 1],
+  sinh: [Math.sinh, 1],
+  cosh: [Math.cosh, 1],
+  tanh: [Math.tanh, 1],
+  exp: [Math.exp, 1],
+  log: [Math.log, 1],
+  sqrt: [Math.sqrt, 1],
+  abs: [Math.abs, 1],
+  sign: [Math.sign, 1],
+  floor: [Math.floor, 1],
+  atan2: [Math.atan2, 2],
+  pow: [Math.pow, 2],
+  min: [Math.min, 2],
+  max: [Math.max, 2]
+};
+
+const constants = {
+  pi: Math.PI
+};
+
+// Error raised for malformed input; position is the 0-based column
+export class ExpressionError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at column ${position + 1}`);
+    this.name = 'ExpressionError';
+    this.position = position;
+  }
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]), position: i });
+      i += number[0].length;
+      continue;
+    }
+    const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+    if (name) {
+      tokens.push({ type: 'name', value: name[0], position: i });
+      i += name[0].length;
+      continue;
+    }
+    if (source.startsWith('**', i)) {
+      tokens.push({ type: '^', position: i });
+      i += 2;
+      continue;
+    }
+    if ('+-*/^(),'.includes(ch)) {
+      tokens.push({ type: ch, position: i });
+      i++;
+      continue;
+    }
+    throw new ExpressionError(`Unexpected character '${ch}'`, i);
+  }
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+}
+
+// Recursive-descent parser producing a small AST
+function parseExpression(source) {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const expect = type => {
+    const token = next();
+    if (token.type !== type) {
+      throw new ExpressionError(`Expected '${type}'`, token.position);
+    }
+    return token;
+  };
+
+  function parseSum() {
+    let node = parseProduct();
+    while (peek().type === '+' || peek().type === '-') {
+      const op = next().type;
+      node = { type: 'binary', op, left: node, right: parseProduct() };
+    }
+    return node;
+  }
+
+  function parseProduct() {
+    let node = parseUnary();
+    while (peek().type === '*' || peek().type === '/') {
+      const op = next().type;
+      node = { type: 'binary', op, left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (peek().type === '-') {
+      next();
+      return { type: 'negate', operand: parseUnary() };
+    }
+    if (peek().type === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  // Right-associative, and binds tighter than unary minus: -x^2 is -(x^2)
+  function parsePower() {
+    const base = parsePrimary();
+    if (peek().type === '^') {
+      next();
+      return { type: 'binary', op: '^', left: base, right: parseUnary() };
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (token.type === 'number') {
+      return { type: 'number', value: token.value };
+    }
+    if (token.type === '(') {
+      const node = parseSum();
+      expect(')');
+      return node;
+    }
+    if (token.type === 'name') {
+      if (peek().type !== '(') {
+        return { type: 'name', name: token.value, position: token.position };
+      }
+      next();
+      const args = [];
+      if (peek().type !== ')') {
+        args.push(parseSum());
+        while (peek().type === ',') {
+          next();
+          args.push(parseSum());
+        }
+      }
+      expect(')');
+      return { type: 'call', name: token.value, args, position: token.position };
+    }
+    if (token.type === 'end') {
+      throw new ExpressionError('Unexpected end of expression', token.position);
+    }
+    throw new ExpressionError(`Unexpected '${token.type}'`, token.position);
+  }
+
+  if (peek().type === 'end') {
+    throw new ExpressionError('Expression is empty');
+  }
+  const ast = parseSum();
+  if (peek().type !== 'end') {
+    throw new ExpressionError(`Unexpected '${peek().value ?? peek().type}'`, peek().position);
+  }
+  return ast;
+}
+
+// Compile an expression into fn(vars, params), where vars holds the values
+// of `variables` in order and params maps every other identifier to a
+// number. The identifiers that resolved to parameters are returned in the
+// order they first appear.
+export function compileExpression(source, variables, reserved = []) {
+  const ast = parseExpression(source);
+  const parameters = [];
+
+  function build(node) {
+    switch (node.type) {
+      case 'number': {
+        const { value } = node;
+        return () => value;
+      }
+      case 'name': {
+        const { name } = node;
+        const slot = variables.indexOf(name);
+        if (slot !== -1) {
+          return vars => vars[slot];
+        }
+        if (Object.hasOwn(constants, name)) {
+          const value = constants[name];
+          return () => value;
+        }
+        if (Object.hasOwn(functions, name)) {
+          throw new ExpressionError(`'${name}' is a function`, node.position);
+        }
+        // __proto__ cannot be a key of the plain objects parameters live in
+        if (reserved.includes(name) || name === '__proto__') {
+          throw new ExpressionError(`'${name}' is reserved`, node.position);
+        }
+        if (!parameters.includes(name)) {
+          parameters.push(name);
+        }
+        return (vars, params) => params[name];
+      }
+      case 'negate': {
+        const operand = build(node.operand);
+        return (vars, params) => -operand(vars, params);
+      }
+      case 'binary': {
+        const left = build(node.left);
+        const right = build(node.right);
+        switch (node.op) {
+          case '+': return (vars, params) => left(vars, params) + right(vars, params);
+          case '-': return (vars, params) => left(vars, params) - right(vars, params);
+          case '*': return (vars, params) => left(vars, params) * right(vars, params);
+          case '/': return (vars, params) => left(vars, params) / right(vars, params);
+          case '^': return (vars, params) => Math.pow(left(vars, params), right(vars, params));
+        }
+        break;
+      }
+      case 'call': {
+        if (!Object.hasOwn(functions, node.name)) {
+          throw new ExpressionError(`Unknown function '${node.name}'`, node.position);
+        }
+        const [fn, arity] = functions[node.name];
+        if (node.args.length !== arity) {
+          throw new ExpressionError(`${node.name}() takes ${arity} argument${arity === 1 ? '' : 's'}`, node.position);
+        }
+        const args = node.args.map(build);
+        if (arity === 1) {
+          const [a] = args;
+          return (vars, params) => fn(a(vars, params));
+        }
+        const [a, b] = args;
+        return (vars, params) => fn(a(vars, params), b(vars, params));
+      }
+    }
+    throw new ExpressionError(`Unsupported node '${node.type}'`);
+  }
+
+  return { fn: build(ast), parameters };
+}
@@ -0,0 +1,78 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+
+// Bloom post-processing
+//
+// With bloom off the scene is drawn straight to the screen. With it on, it
+// goes through an EffectComposer: rendered into a half-float target, the
+// blurred highlights added on top, then converted to the screen's colour
+// space. The composer and its targets are created the first time bloom is
+// turned on, sized to the view, which in the split layout is one quadrant
+// of the canvas; render() then draws into the renderer's current viewport.
+export function createGlow(renderer, scene, camera) {
+  let composer = null;
+  let bloom = null;
+  const settings = { enabled: false, strength: 1, radius: 0.4, threshold: 0 };
+  // Size of the view in CSS pixels
+  const size = renderer.getSize(new THREE.Vector2());
+
+  function build() {
+    composer = new EffectComposer(renderer);
+    composer.setSize(size.x, size.y);
+    bloom = new UnrealBloomPass(size, settings.strength, settings.radius, settings.threshold);
+    composer.addPass(new RenderPass(scene, camera));
+    composer.addPass(bloom);
+    composer.addPass(new OutputPass());
+  }
+
+  // Change any of { enabled, strength, radius, threshold }
+  function configure(options) {
+    Object.assign(settings, options);
+    if (settings.enabled && !composer) {
+      build();
+    }
+    if (bloom) {
+      bloom.strength = settings.strength;
+      bloom.radius = settings.radius;
+      bloom.threshold = settings.threshold;
+    }
+  }
+
+  function setSize(width, height) {
+    size.set(width, height);
+    if (composer) {
+      composer.setSize(width, height);
+    }
+  }
+
+  function render() {
+    if (settings.enabled) {
+      composer.render();
+    } else {
+      renderer.render(scene, camera);
+    }
+  }
+
+  // Draw into target in linear colour, for still captures at their own
+  // size. The bloom pass is made for the target and adds its blur in place.
+  function renderTo(target) {
+    renderer.setRenderTarget(target);
+    renderer.render(scene, camera);
+    if (settings.enabled) {
+      const pass = new UnrealBloomPass(new THREE.Vector2(target.width, target.height), settings.strength, settings.radius, settings.threshold);
+      pass.render(renderer, null, target, 0, false);
+      pass.dispose();
+    }
+  }
+
+  return {
+    configure,
+    setSize,
+    render,
+    renderTo,
+    get settings() { return { ...settings }; }
+  };
+}
@@ -0,0 +1,137 @@
+// Numerical integrators
+//
+// Every integrator advances a state array by one step of the system f,
+// where f(state, t) returns the array of derivatives at time t. step() is
+// given the time t at the start of the step, which autonomous systems
+// ignore, and returns the new state together with the step size actually
+// taken, an error estimate (null for the fixed-step methods) and the step
+// size to try next.
+
+// out = a + h * b, componentwise
+function axpy(a, h, b) {
+  const out = new Array(a.length);
+  for (let i = 0; i < a.length; i++) {
+    out[i] = a[i] + h * b[i];
+  }
+  return out;
+}
+
+// a + h * sum(weights[j] * ks[j]), skipping zero weights
+function combine(a, h, weights, ks) {
+  const out = a.slice();
+  weights.forEach((w, j) => {
+    if (w !== 0) {
+      const k = ks[j];
+      for (let i = 0; i < out.length; i++) {
+        out[i] += h * w * k[i];
+      }
+    }
+  });
+  return out;
+}
+
+// Dormand–Prince 5(4) tableau
+const dopriC = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const dopriA = [
+  [],
+  [1 / 5],
+  [3 / 40, 9 / 40],
+  [44 / 45, -56 / 15, 32 / 9],
+  [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+  [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+  [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+// Difference between the 5th- and 4th-order weights
+const dopriE = [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40];
+
+export const integrators = {
+  euler: {
+    name: 'Euler',
+    order: 1,
+    step(f, state, h, options, t = 0) {
+      return { state: axpy(state, h, f(state, t)), h, error: null, next: h };
+    }
+  },
+
+  midpoint: {
+    name: 'Midpoint',
+    order: 2,
+    step(f, state, h, options, t = 0) {
+      const k1 = f(state, t);
+      const k2 = f(axpy(state, h / 2, k1), t + h / 2);
+      return { state: axpy(state, h, k2), h, error: null, next: h };
+    }
+  },
+
+  rk4: {
+    name: 'RK4',
+    order: 4,
+    step(f, state, h, options, t = 0) {
+      const k1 = f(state, t);
+      const k2 = f(axpy(state, h / 2, k1), t + h / 2);
+      const k3 = f(axpy(state, h / 2, k2), t + h / 2);
+      const k4 = f(axpy(state, h, k3), t + h);
+      return { state: combine(state, h, [1 / 6, 1 / 3, 1 / 3, 1 / 6], [k1, k2, k3, k4]), h, error: null, next: h };
+    }
+  },
+
+  // Adaptive Dormand–Prince RK45. h is the first step size to try; steps
+  // are rejected and retried until the scaled error estimate is at most 1.
+  // The step never grows beyond options.maxStep.
+  rk45: {
+    name: 'Dormand–Prince RK45',
+    order: 5,
+    adaptive: true,
+    step(f, state, h, { atol = 1e-6, rtol = 1e-6, maxStep = Infinity, minStep = 1e-10 } = {}, t = 0) {
+      h = Math.min(h, maxStep);
+      for (;;) {
+        const ks = [f(state, t)];
+        for (let s = 1; s < 7; s++) {
+          ks.push(f(combine(state, h, dopriA[s], ks), t + dopriC[s] * h));
+        }
+        // The 7th stage is evaluated at the 5th-order solution (FSAL)
+        const next = combine(state, h, dopriA[6], ks);
+
+        let sum = 0;
+        for (let i = 0; i < state.length; i++) {
+          let e = 0;
+          for (let s = 0; s < 7; s++) {
+            e += dopriE[s] * ks[s][i];
+          }
+          const scale = atol + rtol * Math.max(Math.abs(state[i]), Math.abs(next[i]));
+          sum += (h * e / scale) ** 2;
+        }
+        const error = Math.sqrt(sum / state.length);
+
+        // Standard controller with a 0.9 safety factor, limited to 5x growth
+        let factor = error === 0 ? 5 : Math.min(5, Math.max(0.2, 0.9 * error ** -0.2));
+        if (Number.isNaN(factor)) {
+          factor = 1;
+        }
+        if (error <= 1 || h <= minStep || Number.isNaN(error)) {
+          return { state: next, h, error, next: Math.min(Math.max(h * factor, minStep), maxStep) };
+        }
+        h = Math.max(h * factor, minStep);
+      }
+    }
+  }
+};
+
+// Advance state by exactly `interval` from time t. Fixed-step methods take
+// a single step; adaptive ones take as many accepted substeps as they need,
+// starting from options.initialStep. Used where several trajectories must
+// stay in lockstep regardless of the method.
+export function advance(integrator, f, state, interval, options = {}, time = 0) {
+  if (!integrator.adaptive) {
+    return integrator.step(f, state, interval, options, time).state;
+  }
+  let t = 0;
+  let h = options.initialStep ?? interval;
+  for (let i = 0; i < 1000 && interval - t > interval * 1e-9; i++) {
+    const result = integrator.step(f, state, Math.min(h, interval - t), { ...options, maxStep: interval }, time + t);
+    state = result.state;
+    t += result.h;
+    h = result.next;
+  }
+  return state;
+}
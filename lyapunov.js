@@ -0,0 +1,95 @@
+import { advance } from './integrators.js';
+
+// Lyapunov spectrum estimator (Benettin's method)
+//
+// Integrates the trajectory together with one tangent vector per dimension.
+// The tangent vectors follow the linearised flow, dv/dt = J(x) v, with J v
+// taken as a central difference of f along v, so any attractor works without
+// a hand-written Jacobian. After every step the vectors are re-orthonormalised
+// with Gram–Schmidt; the average log-stretch of each one converges to the
+// exponents, largest first.
+export function createLyapunovEstimator(dimension = 3) {
+  let state = null;
+  const sums = new Array(dimension).fill(0);
+  let time = 0;
+  // Simulation time of the point it started from, for forced systems
+  let start = 0;
+
+  // Start again from point, reached at time t, with the tangent vectors
+  // along the axes
+  function restart(point, t = 0) {
+    state = point.slice(0, dimension);
+    for (let k = 0; k < dimension; k++) {
+      for (let i = 0; i < dimension; i++) {
+        state.push(i === k ? 1 : 0);
+      }
+    }
+    sums.fill(0);
+    time = 0;
+    start = t;
+  }
+
+  // Vector field of the trajectory followed by each tangent vector
+  function tangentField(f) {
+    return (s, t) => {
+      const x = s.slice(0, dimension);
+      const out = f(x, t);
+      const size = Math.max(1, Math.hypot(...x));
+      for (let k = 1; k <= dimension; k++) {
+        const v = s.slice(k * dimension, (k + 1) * dimension);
+        const eps = 1e-6 * size / (Math.hypot(...v) || 1);
+        const plus = f(x.map((xi, i) => xi + eps * v[i]), t);
+        const minus = f(x.map((xi, i) => xi - eps * v[i]), t);
+        for (let i = 0; i < dimension; i++) {
+          out.push((plus[i] - minus[i]) / (2 * eps));
+        }
+      }
+      return out;
+    };
+  }
+
+  // Gram–Schmidt on the tangent vectors, accumulating each one's log-stretch
+  function orthonormalize() {
+    const vectors = [];
+    for (let k = 1; k <= dimension; k++) {
+      const v = state.slice(k * dimension, (k + 1) * dimension);
+      vectors.forEach(u => {
+        let dot = 0;
+        for (let i = 0; i < dimension; i++) {
+          dot += v[i] * u[i];
+        }
+        for (let i = 0; i < dimension; i++) {
+          v[i] -= dot * u[i];
+        }
+      });
+      const norm = Math.hypot(...v);
+      sums[k - 1] += Math.log(norm);
+      for (let i = 0; i < dimension; i++) {
+        v[i] /= norm;
+        state[k * dimension + i] = v[i];
+      }
+      vectors.push(v);
+    }
+  }
+
+  // Advance by one dt of the system f with the given integrator
+  function step(f, integrator, dt, options) {
+    if (!state) {
+      return;
+    }
+    state = advance(integrator, tangentField(f), state, dt, options, start + time);
+    time += dt;
+    orthonormalize();
+  }
+
+  function estimate() {
+    return { exponents: sums.map(sum => sum / time), time };
+  }
+
+  return {
+    restart,
+    step,
+    estimate,
+    get running() { return state !== null && time > 0; }
+  };
+}
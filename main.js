@@ -1,5 +1,70 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { attractors, customAttractor, defaultParams, EquationError } from './attractors.js';
+import { integrators } from './integrators.js';
+import { createEnsemble } from './ensemble.js';
+import { createPoincareSection } from './poincare.js';
+import { createBifurcationDiagram } from './bifurcation.js';
+import { maps } from './maps.js';
+import { createDensityCloud, createDensityImage, densityRenderers } from './density.js';
+import { CaptureError, createRecorder, createTurntable, renderStill } from './capture.js';
+import {
+  colorQuantities,
+  createPaletteLUT,
+  drawColorBar,
+  lookupColor,
+  palettes,
+  paletteStops,
+  robustRange
+} from './coloring.js';
+import { downloadBlob, downloadText } from './download.js';
+import { exportFormats } from './exporters.js';
+import {
+  builtinPresets,
+  decodePermalink,
+  encodePermalink,
+  loadPresets,
+  parsePresetLibrary,
+  PresetError,
+  presetLibraryJSON,
+  savePresets,
+  upsertPreset
+} from './presets.js';
+import { createEquilibriumMarkers, eigenvalues, equilibriumTypes, findEquilibria, jacobian } from './equilibria.js';
+import { createGlow } from './glow.js';
+import { createSeeds } from './seeds.js';
+// The trajectory is stepped by createSimulation in worker.js, which streams
+// the states here; the main thread only evaluates the field itself, for
+// colouring, equilibria and explaining divergences
+import { dimensionOf, runawayLimit, vectorField } from './simulation.js';
+import {
+  applyProjection,
+  drawnAxisNames,
+  identityProjection,
+  invertProjection,
+  multiplyProjections,
+  projectionMatrix,
+  projectionModes,
+  rotationPlanes
+} from './projection.js';
+import { createTimeline, easings } from './timeline.js';
+import { createTrail, trailStyles } from './trail.js';
+import { createAxes, gridPlanes } from './axes.js';
+import { createCameraRig, loadViews, saveViews, viewDirections } from './view.js';
+import { createMarker } from './marker.js';
+import { createSplitView } from './split-view.js';
+import { createStripChart } from './strip-chart.js';
+import {
+  createSonifier,
+  defaultSoundSettings,
+  encodeWav,
+  oscillatorTypes,
+  renderSound,
+  SoundError,
+  soundModes,
+  soundSources,
+  soundTargets
+} from './audio.js';
 
 // Scene setup
 const scene = new THREE.Scene();
@@ -9,400 +74,2644 @@ const renderer = new THREE.WebGLRenderer({ antialias: true });
 renderer.setSize(window.innerWidth, window.innerHeight);
 document.body.appendChild(renderer.domElement);
 
+// Lighting, which only the tube trail style uses: a light at the camera so
+// the side facing the viewer is always lit
+const headlight = new THREE.DirectionalLight(0xffffff, 2);
+camera.add(headlight);
+scene.add(camera, new THREE.AmbientLight(0xffffff, 0.6));
+
+// Optional bloom, applied when the frame is drawn
+const glow = createGlow(renderer, scene, camera);
+
 // Orbit controls
 const controls = new OrbitControls(camera, renderer.domElement);
 controls.enableDamping = true;
 controls.dampingFactor = 0.05;
 
-// Set up attractor system
-const maxPoints = 10000;
-const positions = new Float32Array(maxPoints * 3);
-let pointCount = 0;
+// Set up attractor system. The trail keeps the last trailLength points in a
+// ring buffer, and stepsPerFrame integration steps are appended each frame.
+const minTrailLength = 100;
+const maxTrailLength = 1000000;
+let trailLength = 10000;
+let stepsPerFrame = 1;
+
+// WebGL caps plain line widths at 1 pixel on most systems, so the trail
+// can also be drawn as thick screen-space lines, a lit tube or points
+const trail = createTrail(trailLength);
+trail.setResolution(window.innerWidth, window.innerHeight);
+scene.add(trail.object);
+const trailAppearance = {
+  style: 'line',
+  width: 3, // pixels
+  radius: 0.15, // display units
+  size: 0.3,
+  opacity: 0.8,
+  fade: 0
+};
+trail.setAppearance(trailAppearance);
+
+// Trail colouring: what each point's colour shows, the palette and the value
+// range mapped onto it. With an automatic range the range is re-measured
+// twice a second and the trail recoloured when it has moved.
+const colorSettings = {
+  quantity: 'index',
+  palette: 'viridis',
+  customStops: null,
+  auto: true,
+  min: 0,
+  max: 1,
+  point: [0, 0, 0]
+};
+let paletteLUT = createPaletteLUT(paletteStops(colorSettings.palette));
+let colorRangeCheckedAt = 0;
 
-// Geometry and material for line
-const geometry = new THREE.BufferGeometry();
-geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+// Particle ensemble, integrated instead of the single trajectory when enabled
+const ensemble = createEnsemble();
+scene.add(ensemble.object);
+const ensembleSettings = {
+  enabled: false,
+  count: 5000,
+  radius: 0.5, // in display units
+  distribution: 'ball',
+  tailLength: 12
+};
 
-// Add color attribute for rainbow effect
-const colors = new Float32Array(maxPoints * 3);
-geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+// Poincaré section plane; crossings are plotted in a separate 2D overlay
+const section = createPoincareSection();
+scene.add(section.object);
+const sectionSettings = {
+  enabled: false,
+  plot: 'section'
+};
+let sectionNeedsDraw = false;
+let sectionDrawnAt = 0;
 
-const material = new THREE.LineBasicMaterial({
-  vertexColors: true,
-  linewidth: 2, // Note: linewidth may be capped at 1 on some systems
-  transparent: true,
-  opacity: 0.8
+// Extra trajectories from chosen initial states, advanced with the main one
+// and drawn in the trail's style. While seedClicks is on, a click in the
+// scene drops a seed; seedPointer is where the press started, so a drag to
+// orbit the camera is not taken for a click.
+const seeds = createSeeds();
+scene.add(seeds.object);
+seeds.configure({
+  length: trailLength,
+  style: trailAppearance.style,
+  appearance: trailAppearance,
+  resolution: [window.innerWidth, window.innerHeight]
 });
+let seedClicks = false;
+let seedPointer = null;
+let separationNeedsDraw = false;
+let separationDrawnAt = 0;
 
-const line = new THREE.Line(geometry, material);
-scene.add(line);
-
-// Add axes helper
-const axesHelper = new THREE.AxesHelper(20);
-scene.add(axesHelper);
-
-// Current point coordinates
-let x = 0.1, y = 0, z = 0;
-
-// Attractor parameters
-let params = {
-  // Lorenz parameters
-  lorenz: {
-    sigma: 10,
-    rho: 28,
-    beta: 2.666,
-    dt: 0.01
-  },
-  // Aizawa parameters
-  aizawa: {
-    a: 0.95,
-    b: 0.7,
-    c: 0.6,
-    d: 3.5,
-    e: 0.25,
-    f: 0.1,
-    dt: 0.01
-  },
-  // Rössler parameters
-  rossler: {
-    a: 0.2,
-    b: 0.2,
-    c: 5.7,
-    dt: 0.01
-  },
-  // Chen parameters
-  chen: {
-    a: 35,
-    b: 3,
-    c: 28,
-    dt: 0.001
-  },
-  // Thomas parameters
-  thomas: {
-    b: 0.208186,
-    dt: 0.05
-  },
-  // Dadras parameters
-  dadras: {
-    a: 3,
-    b: 2.7,
-    c: 1.7,
-    d: 2,
-    e: 9,
-    dt: 0.01
-  }
+// Equilibria of the current vector field, found again when the parameters
+// change and every couple of seconds as the trail reaches new regions
+const equilibriumMarkers = createEquilibriumMarkers();
+scene.add(equilibriumMarkers.object);
+let equilibriaEnabled = false;
+let equilibriaNeedUpdate = true;
+let equilibria = [];
+let equilibriaFoundAt = 0;
+
+// Bifurcation diagram, created with its canvas in createUI()
+let bifurcation = null;
+let bifurcationNeedsDraw = false;
+let bifurcationDrawnAt = 0;
+
+// Discrete maps, shown instead of the flow while enabled. Their iterates are
+// counted by densityWorker into a histogram, which arrives a few times a
+// second as density and is tone-mapped into an image over the scene or a
+// point cloud in it. The flow is paused meanwhile and its objects hidden;
+// hiddenFlowObjects are the ones to show again. A parameter change starts
+// the count over.
+const mapSettings = {
+  enabled: false,
+  map: 'clifford',
+  renderer: 'image',
+  resolution: densityRenderers.image.resolution,
+  plane: 'xy',
+  exposure: 1,
+  gamma: 2.2,
+  limit: 100 // millions of points
 };
+const mapParams = {};
+Object.entries(maps).forEach(([key, map]) => {
+  mapParams[key] = defaultParams(map);
+});
+const mapPlanes = { xy: [0, 1], xz: [0, 2], yz: [1, 2] };
+let densityImage = null; // created with its canvas in createUI()
+const densityCloud = createDensityCloud();
+scene.add(densityCloud.object);
+let densityWorker = null;
+let density = null;
+let densityNeedsDraw = false;
+let densityDrawnAt = 0;
+let densityNeedsFit = false;
+let mapNeedsRestart = false;
+let pausedBeforeMap = false;
+let hiddenFlowObjects = [];
+
+// Video capture. A turntable capture records one turn of the camera, and
+// for its first growthFramesLeft frames lets the attractor grow from empty.
+const recorder = createRecorder(renderer.domElement);
+const turntable = createTurntable(camera, controls);
+let growthFramesLeft = 0;
+let pausedBeforeTurntable = false;
+
+// Worker integrating a fresh trajectory for export, while one runs
+let exportWorker = null;
+
+// Sonification. The newest state of every batch drives the sound, scaled
+// across the trail's extent in soundRanges (attractor coordinates); in
+// waveform mode the chosen coordinate's newest soundSettings.period points
+// are sent as the waveform at most ten times a second. soundWorker
+// integrates a fresh trajectory for an offline render while one runs.
+const sonifier = createSonifier();
+const soundSettings = defaultSoundSettings();
+let soundEnabled = false;
+let soundRanges = [[-1, 1], [-1, 1], [-1, 1]];
+let soundWaveAt = 0;
+let soundWorker = null;
+
+// Axes and grid sized to the trail, and eased camera moves. With autoFit on
+// the view follows the trail's bounding box until the user moves the camera;
+// a new attractor is framed once either way. Named viewpoints are saved per
+// attractor.
+const axes = createAxes();
+scene.add(axes.object);
+const rig = createCameraRig(camera, controls);
+const viewSettings = { autoFit: true, autoRotate: false };
+// Unreadable saved views count as none, with the problem shown once the
+// panel is built
+let savedViews = {};
+let viewLoadError = null;
+try {
+  savedViews = loadViews();
+} catch (error) {
+  viewLoadError = error;
+}
+let viewNeedsFit = true;
+let viewCheckedAt = 0;
+
+// Attractor parameters, seeded from each registry entry's defaults
+let params = {};
+Object.entries(attractors).forEach(([key, attractor]) => {
+  params[key] = defaultParams(attractor);
+});
 
-// Current attractor type
+// Current attractor type and the state its trajectory starts from
 let currentAttractor = 'lorenz';
+let initialState = attractors[currentAttractor].initial.slice();
 
-// Handle window resize
-window.addEventListener('resize', () => {
-  camera.aspect = window.innerWidth / window.innerHeight;
+// Parameter keyframes, one timeline per attractor. While the current one
+// plays, updateParametersFromUI() takes the animated parameters from it and
+// moves their sliders to match.
+const timelines = {};
+const easingOptions = Object.entries(easings)
+  .map(([key, easing]) => `<option value="${key}">${easing.name}</option>`)
+  .join('');
+
+// Presets saved in localStorage. The URL hash is rewritten a couple of times
+// per second to hold a permalink to the current view. Unreadable saved
+// presets count as none, with the problem shown once the panel is built.
+let savedPresets = [];
+let presetLoadError = null;
+try {
+  savedPresets = loadPresets();
+} catch (error) {
+  presetLoadError = error;
+}
+let permalinkWrittenAt = 0;
+
+// Integrator selection. Adaptive methods carry their step size between
+// steps and use the attractor's dt as the largest step they may take.
+let currentIntegrator = 'rk4';
+const integratorOptions = { atol: 1e-6, rtol: 1e-6 };
+let lastStep = { h: params[currentAttractor].dt, error: null };
+
+// The simulation runs in a worker. Each frame asks it for stepsPerFrame more
+// steps unless a batch is still in flight, so a slow integration lowers the
+// point rate instead of the frame rate. generation is bumped on every reset
+// so that batches computed before it are dropped.
+const worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+let awaitingBatch = false;
+let generation = 0;
+let paused = false;
+
+// Playback. timeScale multiplies the steps asked for each frame, with the
+// fraction carried over so slow motion takes a step every few frames. While
+// paused the marker shows a point of the recorded trail: scrubIndex, oldest
+// first, or the newest point when it is null. Single steps wait in
+// queuedSteps for the next request to the worker.
+const timeScales = [0.125, 0.25, 0.5, 1, 2, 4, 8, 16];
+let timeScale = 1;
+let stepCarry = 0;
+let queuedSteps = 0;
+let scrubIndex = null;
+const marker = createMarker();
+scene.add(marker.object);
+
+// Split layout: the perspective view and the XY, XZ and YZ projections in
+// four quadrants above a strip chart of the newest stripSpan time units.
+// hoverTime is the time of the trail point under the pointer in any of the
+// panels, marked by cursor in all of them; hoverPointer is where the
+// pointer last moved over the quadrants, looked up once per frame.
+const layoutSettings = {
+  split: false,
+  stripSpan: 40
+};
+const stripHeight = 160;
+const splitView = createSplitView(renderer, stripHeight);
+let stripChart = null; // created with its canvas in createUI()
+let stripNeedsDraw = false;
+let stripDrawnAt = 0;
+let hoverTime = null;
+let hoverPointer = null;
+const cursor = createMarker();
+cursor.object.material.color.set(0xffd34d);
+scene.add(cursor.object);
+
+// What to do when the trajectory diverges: 'warn' pauses with a warning,
+// 'retry' halves dt and starts over, and 'reset' starts over as it is. By
+// the time a state counts as diverged it is usually far from the attractor,
+// so carrying on from it rarely recovers. The automatic ones give way to the
+// warning after maxAutoRecoveries in a row. lastChangedParam is the parameter
+// the user moved last, the usual suspect when a trajectory escapes.
+let divergenceMode = 'warn';
+const maxAutoRecoveries = 8;
+let autoRecoveries = 0;
+let lastChangedParam = null;
+
+// Lyapunov estimates received from the worker, oldest first. The history is
+// thinned to every other sample when full so it always spans the whole run.
+let lyapunovEnabled = true;
+const lyapunovHistory = [];
+const maxLyapunovSamples = 400;
+const lyapunovColors = ['#ff6b6b', '#6bdf8f', '#6bb5ff', '#ffd34d'];
+
+// Four-dimensional systems are drawn through a projection: three of their
+// coordinates, or all four turning through a plane at speed degrees a
+// second. projection is the matrix the trails are drawn with and
+// unprojection its inverse; each drawn point keeps the coordinate the
+// projection left out, so a new projection carries the trails over. The
+// rotating projection's turn is applied by the trails' shaders, so turning
+// leaves the points alone.
+const projectionSettings = {
+  mode: 'xyz',
+  plane: 'xw',
+  speed: 20,
+  angle: 0 // radians
+};
+let projection = identityProjection;
+let unprojection = identityProjection;
+let projectedAt = 0;
+
+worker.onmessage = event => {
+  if (event.data.type === 'batch') {
+    receiveBatch(event.data);
+  }
+};
+
+// Size the camera, renderer and lines to the window, or in the split layout
+// to the quadrants, and the strip chart to the window's width
+function resizeView() {
+  const { innerWidth: width, innerHeight: height } = window;
+  const [quadrant] = splitView.viewports(width, height);
+  const [viewWidth, viewHeight] = layoutSettings.split ? [quadrant.width, quadrant.height] : [width, height];
+  camera.aspect = viewWidth / viewHeight;
   camera.updateProjectionMatrix();
-  renderer.setSize(window.innerWidth, window.innerHeight);
-});
+  renderer.setSize(width, height);
+  glow.setSize(viewWidth, viewHeight);
+  trail.setResolution(viewWidth, viewHeight);
+  seeds.configure({ resolution: [viewWidth, viewHeight] });
+  const strip = document.getElementById('strip-chart');
+  if (strip) {
+    strip.width = width;
+    stripNeedsDraw = true;
+  }
+  const densityCanvas = document.getElementById('density-image');
+  if (densityCanvas) {
+    densityCanvas.width = width;
+    densityCanvas.height = height;
+    densityNeedsDraw = true;
+  }
+  splitView.fit(trailBox(), quadrant.width / quadrant.height);
+}
+
+// Handle window resize
+window.addEventListener('resize', resizeView);
+
+// Reset function
+function resetAttractor() {
+  generation++;
+  queuedSteps = 0;
+  worker.postMessage({ type: 'reset', generation, initial: initialState, seeds: seeds.initials });
+  trail.clear();
+  seeds.restart();
+  scrubIndex = null;
+  showPlayhead();
+  document.getElementById('divergence-warning').style.display = 'none';
+  separationNeedsDraw = true;
+  stripNeedsDraw = true;
+  section.clear();
+  sectionNeedsDraw = true;
+  if (ensembleSettings.enabled) {
+    seedEnsemble();
+  }
+  updateUIFromParams();
+}
+
+// Update UI to reflect current parameters
+function updateUIFromParams() {
+  document.querySelectorAll('.attractor-params').forEach(el => {
+    el.style.display = 'none';
+  });
+  const currentParamDiv = document.getElementById(`${currentAttractor}-params`);
+  if (currentParamDiv) {
+    currentParamDiv.style.display = 'block';
+  }
+  document.getElementById('attractor-type').value = currentAttractor;
+  const currentParams = params[currentAttractor];
+  if (currentParams) {
+    Object.keys(currentParams).forEach(key => {
+      const input = document.getElementById(`${currentAttractor}-${key}`);
+      if (input) {
+        setSliderValue(input, currentParams[key]);
+      }
+    });
+  }
+}
+
+// Update parameters from UI, returning whether any of them changed
+function updateParametersFromUI() {
+  const currentParams = params[currentAttractor];
+  let changed = false;
+  if (currentParams) {
+    if (currentTimeline().playing) {
+      showTimelineValues();
+    }
+    Object.keys(currentParams).forEach(key => {
+      const input = document.getElementById(`${currentAttractor}-${key}`);
+      if (input) {
+        const value = parseFloat(input.value);
+        if (value !== currentParams[key]) {
+          changed = true;
+          lastChangedParam = key;
+          autoRecoveries = 0;
+        }
+        currentParams[key] = value;
+      }
+    });
+  }
+  return changed;
+}
+
+// Send the whole simulation setup to the worker
+function configureWorker() {
+  worker.postMessage({
+    type: 'configure',
+    attractor: currentAttractor,
+    equations: attractors[currentAttractor].equations,
+    params: params[currentAttractor],
+    integrator: currentIntegrator,
+    options: integratorOptions,
+    lyapunov: lyapunovEnabled
+  });
+}
+
+// Change attractor type, starting from initial (by default the registry's)
+function changeAttractor(type, initial = attractors[type].initial) {
+  currentTimeline().pause();
+  currentAttractor = type;
+  initialState = initial.slice();
+  configureWorker();
+  initialState.forEach((value, i) => {
+    document.getElementById(`initial-${'xyzw'[i]}`).value = value;
+  });
+  initialState.slice(0, 3).forEach((value, i) => {
+    document.getElementById(`ensemble-${'xyz'[i]}`).value = value;
+  });
+  updateProjectionPanel();
+  seeds.clear();
+  buildSeedList();
+  autoRecoveries = 0;
+  lastChangedParam = null;
+  axes.reset();
+  viewNeedsFit = true;
+  updateViewList();
+  updatePresetList();
+  updateTimelinePanel();
+  resetSectionPlane();
+  updateBifurcationParameters();
+  bifurcationNeedsDraw = true;
+  equilibria = [];
+  equilibriaNeedUpdate = true;
+  resetAttractor();
+}
 
-function lorenzDerivatives2(x, y, z, params) {
-  const { sigma, rho, beta } = params;
-  const dx = (x*x);
-  const dy = 0;
-  const dz = 0;
-  return { dx, dy, dz };
+// Switch integration method, restarting adaptive stepping from dt
+function changeIntegrator(type) {
+  currentIntegrator = type;
+  worker.postMessage({ type: 'configure', integrator: type });
+  document.getElementById('integrator-tolerances').style.display = integrators[type].adaptive ? 'block' : 'none';
 }
 
-// Derivative functions for each attractor
-function lorenzDerivatives(x, y, z, params) {
-  const { sigma, rho, beta } = params;
-  const dx = sigma * (y - x);
-  const dy = x * (rho - z) - y;
-  const dz = x * y - beta * z;
-  return { dx, dy, dz };
+// Describe a divergence at time after a step of size h from the last good
+// state, with its likely cause: a step too large for how fast the field
+// changes there, judged by the largest eigenvalue of its Jacobian, or else
+// parameters under which trajectories escape
+function divergenceMessage({ cause, time, h, state }) {
+  const what = cause === 'runaway'
+    ? `The trajectory ran away beyond ${runawayLimit.toExponential(0)}`
+    : 'The state overflowed to Infinity or NaN';
+  const attractor = attractors[currentAttractor];
+  const field = vectorField(attractor, params[currentAttractor]);
+  // The eigenvalues are only solved for in three dimensions
+  const rate = state.length === 3
+    ? Math.max(...eigenvalues(jacobian(p => field(p, time), state)).map(({ re, im }) => Math.hypot(re, im)))
+    : 0;
+  let likely;
+  if (rate * h > 2) {
+    likely = `the step ${h.toPrecision(3)} is too large for how fast the system changes there (|λ|·h ≈ ${(rate * h).toPrecision(2)}).`;
+  } else if (lastChangedParam) {
+    const label = attractor.params[lastChangedParam]?.label ?? lastChangedParam;
+    likely = `${label} = ${params[currentAttractor][lastChangedParam]} makes the system unstable, so trajectories escape.`;
+  } else {
+    likely = 'trajectories escape from this initial state with these parameters.';
+  }
+  return `${what} at t = ${time.toFixed(2)}. Likely cause: ${likely}`;
 }
 
-function aizawaDerivatives(x, y, z, params, k) {
-  const { a, b, c, d, e, f } = params;
-  const dx = ((z / k - b) * x - d * y);
-  const dy = (d * x + (z / k - b) * y);
-  const dz = (k * c + a * z - z * z * z / (3 * k * k) - (x * x + y * y) / k * (1 + e * z / k) + f * z * x * x * x / (k * k * k));
-  return { dx, dy, dz };
+// React to a divergence reported by the worker, which has stopped stepping
+function handleDivergence(divergence) {
+  const message = divergenceMessage(divergence);
+  if (divergenceMode !== 'warn' && autoRecoveries < maxAutoRecoveries) {
+    autoRecoveries++;
+    const note = divergenceMode === 'retry' ? `Restarted with dt = ${halveStep()}.` : 'Restarted.';
+    resetAttractor();
+    showIntegratorNote(`${message} ${note}`);
+    return;
+  }
+  setPaused(true);
+  document.getElementById('divergence-message').textContent = message;
+  document.getElementById('divergence-warning').style.display = 'block';
 }
 
-function rosslerDerivatives(x, y, z, params) {
-  const { a, b, c } = params;
-  const dx = -y - z;
-  const dy = x + a * y;
-  const dz = b + z * (x - c);
-  return { dx, dy, dz };
+// Halve the current attractor's dt, returning the new value
+function halveStep() {
+  const dt = Number((params[currentAttractor].dt / 2).toPrecision(6));
+  params[currentAttractor].dt = dt;
+  setSliderValue(document.getElementById(`${currentAttractor}-dt`), dt);
+  worker.postMessage({ type: 'configure', params: params[currentAttractor] });
+  return dt;
 }
 
-function chenDerivatives(x, y, z, params) {
-  const { a, b, c } = params;
-  const dx = a * (y - x);
-  const dy = (c - a) * x - x * z + c * y;
-  const dz = x * y - b * z;
-  return { dx, dy, dz };
+// Leave the divergence warning through one of its buttons
+function recoverFromDivergence(action) {
+  document.getElementById('divergence-warning').style.display = 'none';
+  autoRecoveries = 0;
+  if (action === 'halve') {
+    showIntegratorNote(`Restarted with dt = ${halveStep()}.`);
+  }
+  resetAttractor();
+  setPaused(false);
 }
 
-function thomasDerivatives(x, y, z, params) {
-  const { b } = params;
-  const dx = Math.sin(y) - b * x;
-  const dy = Math.sin(z) - b * y;
-  const dz = Math.sin(x) - b * z;
-  return { dx, dy, dz };
+function showIntegratorNote(message) {
+  document.getElementById('integrator-note').textContent = message;
 }
 
-function dadrasDerivatives(x, y, z, params) {
-  const { a, b, c, d, e } = params;
-  const dx = y - a * x + b * y * z;
-  const dy = c * y - x * z + z;
-  const dz = d * x * y - e * z;
-  return { dx, dy, dz };
+// Show the last step size and error estimate
+function updateIntegratorStatus() {
+  const error = lastStep.error === null ? 'n/a' : lastStep.error.toExponential(2);
+  document.getElementById('integrator-status').textContent = `Step: ${lastStep.h.toPrecision(3)}  Error: ${error}`;
 }
 
-// Reset function
-function resetAttractor() {
-  const k = 10;
-  if (currentAttractor === 'aizawa') {
-    x = 0.1 * k; // Scale initial x
-    y = 0 * k;
-    z = 0 * k;
+// Append a batch of points from the worker, unless it predates a reset
+function receiveBatch(batch) {
+  awaitingBatch = false;
+  if (batch.generation !== generation) {
+    return;
+  }
+  lastStep = batch.step;
+  if (batch.lyapunov) {
+    updateLyapunov(batch.lyapunov);
+  }
+  if (batch.divergence) {
+    handleDivergence(batch.divergence);
+  }
+
+  if (batch.ensemble) {
+    ensemble.push(projectStates(batch.ensemble, batch.dimension).positions);
+    ensemble.flush();
+  }
+  const { times } = batch;
+  const { positions, hidden } = projectStates(batch.positions, batch.dimension);
+  for (let i = 0; i < positions.length; i += 3) {
+    const w = hidden ? hidden[i / 3] : 0;
+    const value = colorValue(positions[i], positions[i + 1], positions[i + 2], times[i / 3], w);
+    const color = colorFor(value, trail.head, trail.capacity);
+    trail.push(positions[i], positions[i + 1], positions[i + 2], color.r, color.g, color.b, times[i / 3], value, w);
+  }
+  trail.flush();
+  if (positions.length > 0) {
+    showPlayhead();
+    stripNeedsDraw = true;
+    if (soundEnabled) {
+      sonifyBatch(positions);
+    }
+  }
+  if (batch.seeds.length > 0) {
+    seeds.receive(batch.seeds.map(seed => ({ ...seed, ...projectStates(seed.positions, batch.dimension) })), times);
+    separationNeedsDraw = true;
+  }
+
+  if (sectionSettings.enabled && positions.length > 0) {
+    const { scale } = attractors[currentAttractor];
+    for (let i = 0; i < positions.length; i += 3) {
+      if (section.observe(positions[i] / scale, positions[i + 1] / scale, positions[i + 2] / scale)) {
+        sectionNeedsDraw = true;
+      }
+    }
+    section.updateMesh(scale);
+  }
+}
+
+// Display states from the worker, dimension to a point, as drawn positions
+// and, for four-dimensional systems, the coordinate each point's projection
+// left out
+function projectStates(states, dimension) {
+  if (dimension !== 4) {
+    return { positions: states, hidden: null };
+  }
+  const count = states.length / 4;
+  const positions = new Float32Array(count * 3);
+  const hidden = new Float32Array(count);
+  for (let n = 0; n < count; n++) {
+    const [x, y, z, w] = applyProjection(projection, states.subarray(n * 4, n * 4 + 4));
+    positions[n * 3] = x;
+    positions[n * 3 + 1] = y;
+    positions[n * 3 + 2] = z;
+    hidden[n] = w;
+  }
+  return { positions, hidden };
+}
+
+// State in attractor coordinates of a point drawn at x, y, z display
+// coordinates, with w the coordinate its projection left out
+function stateAt(x, y, z, w = 0) {
+  const attractor = attractors[currentAttractor];
+  const point = dimensionOf(attractor) === 4 ? applyProjection(unprojection, [x, y, z, w]) : [x, y, z];
+  return point.map(value => value / attractor.scale);
+}
+
+// Draw four-dimensional systems through matrix from now on, carrying the
+// trails already drawn over to it
+function setProjection(matrix) {
+  const change = multiplyProjections(matrix, unprojection);
+  projection = matrix;
+  unprojection = invertProjection(matrix);
+  trail.reproject(change, projectionTurn());
+  seeds.reproject(change, projectionTurn());
+  stripNeedsDraw = true;
+}
+
+// The turn of the rotating projection as the trails take it, or null
+function projectionTurn() {
+  if (projectionSettings.mode !== 'rotate' || dimensionOf(attractors[currentAttractor]) !== 4) {
+    return null;
+  }
+  return { axis: rotationPlanes[projectionSettings.plane].axis, angle: projectionSettings.angle };
+}
+
+// Take up the projection panel's settings. A new set of drawn coordinates
+// clears the section's crossings, which were taken in the old ones, and
+// frames the view again.
+function applyProjectionSettings() {
+  const mode = document.getElementById('projection-mode').value;
+  const modeChanged = mode !== projectionSettings.mode;
+  projectionSettings.mode = mode;
+  projectionSettings.plane = document.getElementById('projection-plane').value;
+  projectionSettings.speed = parseFloat(document.getElementById('projection-speed').value);
+  document.getElementById('projection-rotation').style.display = mode === 'rotate' ? 'block' : 'none';
+  if (dimensionOf(attractors[currentAttractor]) === 4) {
+    setProjection(projectionMatrix(mode, projectionSettings.plane, projectionSettings.angle));
+    axes.setNames(drawnNames());
+  }
+  if (modeChanged) {
+    section.clear();
+    sectionNeedsDraw = true;
+    viewNeedsFit = true;
+  }
+}
+
+// Show the projection panel for four-dimensional systems only, and draw a
+// newly chosen system through the projection it asks for. The trail is
+// about to be cleared, so nothing is carried over.
+function updateProjectionPanel() {
+  const fourD = dimensionOf(attractors[currentAttractor]) === 4;
+  document.getElementById('projection-panel').style.display = fourD ? 'block' : 'none';
+  document.getElementById('initial-w').style.display = fourD ? 'inline-block' : 'none';
+  projection = fourD ? projectionMatrix(projectionSettings.mode, projectionSettings.plane, projectionSettings.angle) : identityProjection;
+  unprojection = invertProjection(projection);
+  trail.setTurn(projectionTurn());
+  seeds.setTurn(projectionTurn());
+  axes.setNames(drawnNames());
+}
+
+// Names of the coordinates drawn along the three display axes
+function drawnNames() {
+  if (dimensionOf(attractors[currentAttractor]) !== 4) {
+    return ['x', 'y', 'z'];
+  }
+  return drawnAxisNames(projectionSettings.mode, projectionSettings.plane);
+}
+
+// Turn the rotating projection
+function updateProjection(now) {
+  const elapsed = Math.min(now - projectedAt, 100);
+  projectedAt = now;
+  if (!projectionTurn() || projectionSettings.speed === 0) {
+    return;
+  }
+  projectionSettings.angle = (projectionSettings.angle + projectionSettings.speed * Math.PI / 180 * elapsed / 1000) % (2 * Math.PI);
+  projection = projectionMatrix('rotate', projectionSettings.plane, projectionSettings.angle);
+  unprojection = invertProjection(projection);
+  trail.setTurn(projectionTurn());
+  seeds.setTurn(projectionTurn());
+  stripNeedsDraw = true;
+  if (paused) {
+    showPlayhead();
+  }
+}
+
+// Rebuild the section plane from the panel controls, clearing its crossings
+function applySectionSettings() {
+  const axis = document.getElementById('section-axis').value;
+  const normal = ['x', 'y', 'z'].map(name => parseFloat(document.getElementById(`section-n${name}`).value) || 0);
+  section.setPlane({
+    axis: axis === 'normal' ? null : axis,
+    normal,
+    offset: parseFloat(document.getElementById('section-offset').value) || 0,
+    direction: document.getElementById('section-direction').value
+  });
+  document.getElementById('section-normal').style.display = axis === 'normal' ? 'block' : 'none';
+  section.updateMesh(attractors[currentAttractor].scale);
+  sectionNeedsDraw = true;
+}
+
+// Move the section to the current attractor's suggested plane
+function resetSectionPlane() {
+  const { axis, offset } = attractors[currentAttractor].section ?? { axis: 'x', offset: 0 };
+  document.getElementById('section-axis').value = axis;
+  document.getElementById('section-offset').value = offset;
+  applySectionSettings();
+}
+
+// Offer the current attractor's parameters (except dt) for sweeping
+function updateBifurcationParameters() {
+  const select = document.getElementById('bifurcation-parameter');
+  select.innerHTML = Object.entries(attractors[currentAttractor].params)
+    .filter(([name]) => name !== 'dt')
+    .map(([name, spec]) => `<option value="${name}">${spec.label}</option>`)
+    .join('');
+  updateBifurcationRange();
+}
+
+// Default the sweep range to the chosen parameter's slider range
+function updateBifurcationRange() {
+  const spec = attractors[currentAttractor].params[document.getElementById('bifurcation-parameter').value];
+  if (spec) {
+    document.getElementById('bifurcation-from').value = spec.min;
+    document.getElementById('bifurcation-to').value = spec.max;
+  }
+}
+
+// Start a sweep with the panel settings, or cancel the running one
+function toggleBifurcationSweep() {
+  const runButton = document.getElementById('bifurcation-run');
+  const progress = document.getElementById('bifurcation-progress');
+  if (bifurcation.running) {
+    bifurcation.cancel();
+    runButton.textContent = 'Run';
+    return;
+  }
+
+  const value = id => parseFloat(document.getElementById(id).value);
+  bifurcation.start({
+    attractor: currentAttractor,
+    equations: attractors[currentAttractor].equations,
+    params: params[currentAttractor],
+    parameter: document.getElementById('bifurcation-parameter').value,
+    from: value('bifurcation-from'),
+    to: value('bifurcation-to'),
+    columns: Math.max(1, Math.round(value('bifurcation-columns')) || 1),
+    transient: value('bifurcation-transient') || 0,
+    record: value('bifurcation-record') || 0,
+    integrator: currentIntegrator,
+    options: integratorOptions,
+    mode: document.getElementById('bifurcation-mode').value,
+    coordinate: parseInt(document.getElementById('bifurcation-coordinate').value, 10),
+    plane: section.plane
+  }, {
+    onProgress(fraction) {
+      progress.value = fraction;
+      bifurcationNeedsDraw = true;
+    },
+    onDone() {
+      runButton.textContent = 'Run';
+      bifurcationNeedsDraw = true;
+    },
+    onError(message) {
+      runButton.textContent = 'Run';
+      showBifurcationStatus(`Sweep failed: ${message}`, true);
+      bifurcationNeedsDraw = true;
+    }
+  });
+  progress.value = 0;
+  runButton.textContent = 'Cancel';
+  showBifurcationStatus('');
+  document.getElementById('bifurcation-plot').style.display = 'block';
+  bifurcationNeedsDraw = true;
+}
+
+function showBifurcationStatus(message, isError = false) {
+  const status = document.getElementById('bifurcation-status');
+  status.textContent = message;
+  status.style.color = isError ? '#ff6b6b' : 'inherit';
+}
+
+// Set the live parameter to the clicked column of the diagram
+function pickBifurcationColumn(event) {
+  const canvas = event.currentTarget;
+  const { request } = bifurcation;
+  const value = bifurcation.valueAt(event.offsetX * canvas.width / canvas.clientWidth);
+  if (value === null || request.attractor !== currentAttractor) {
+    return;
+  }
+  setSliderValue(document.getElementById(`${currentAttractor}-${request.parameter}`), value);
+  bifurcationNeedsDraw = true;
+}
+
+// Redraw the diagram at most a few times per second
+function drawBifurcationPlot(now) {
+  if (!bifurcationNeedsDraw || now - bifurcationDrawnAt < 200) {
+    return;
+  }
+  const { request } = bifurcation;
+  const marker = request && request.attractor === currentAttractor ? params[currentAttractor][request.parameter] : undefined;
+  bifurcation.draw(marker);
+  bifurcationNeedsDraw = false;
+  bifurcationDrawnAt = now;
+}
+
+// Show or hide the section plane and its plot
+function setSectionEnabled(enabled) {
+  sectionSettings.enabled = enabled;
+  section.object.visible = enabled;
+  document.getElementById('section-plot').style.display = enabled ? 'block' : 'none';
+  section.clear();
+  section.updateMesh(attractors[currentAttractor].scale);
+  sectionNeedsDraw = true;
+}
+
+// Redraw the section plot at most a few times per second
+function drawSectionPlot(now) {
+  if (!sectionSettings.enabled || !sectionNeedsDraw || now - sectionDrawnAt < 200) {
+    return;
+  }
+  section.draw(document.getElementById('section-plot'), sectionSettings.plot);
+  sectionNeedsDraw = false;
+  sectionDrawnAt = now;
+}
+
+// Record a Lyapunov estimate and refresh the readout and convergence plot.
+// A sample older than the last one means the estimator restarted.
+function updateLyapunov(estimate) {
+  const last = lyapunovHistory[lyapunovHistory.length - 1];
+  if (last && estimate.time < last.time) {
+    lyapunovHistory.length = 0;
+  }
+  lyapunovHistory.push(estimate);
+  if (lyapunovHistory.length > maxLyapunovSamples) {
+    const thinned = lyapunovHistory.filter((sample, i) => i % 2 === 1);
+    lyapunovHistory.length = 0;
+    lyapunovHistory.push(...thinned);
+  }
+
+  const { exponents, time } = estimate;
+  const values = exponents
+    .map((value, i) => `<span style="color: ${lyapunovColors[i]};">λ${i + 1} = ${value.toFixed(3)}</span>`)
+    .join('  ');
+  const verdict = exponents[0] > 0.01 ? 'chaotic' : 'not chaotic';
+  document.getElementById('lyapunov-readout').innerHTML = `${values}<br>t = ${time.toFixed(1)}, ${verdict}`;
+  drawLyapunovPlot();
+}
+
+// Plot each exponent against integration time, with the zero line dashed.
+// The vertical range follows the later half of the run, where the estimate
+// has settled, so the early transient does not flatten the plot.
+function drawLyapunovPlot() {
+  const canvas = document.getElementById('lyapunov-plot');
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  ctx.clearRect(0, 0, width, height);
+  if (lyapunovHistory.length < 2) {
+    return;
+  }
+
+  const settled = lyapunovHistory.slice(Math.floor(lyapunovHistory.length / 2));
+  let min = 0, max = 0;
+  settled.forEach(({ exponents }) => {
+    exponents.forEach(value => {
+      if (Number.isFinite(value)) {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+      }
+    });
+  });
+  const pad = (max - min) * 0.1 || 1;
+  min -= pad;
+  max += pad;
+  const tMax = lyapunovHistory[lyapunovHistory.length - 1].time;
+  const px = t => t / tMax * width;
+  const py = value => height - (Math.min(max, Math.max(min, value)) - min) / (max - min) * height;
+
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+  ctx.setLineDash([4, 4]);
+  ctx.beginPath();
+  ctx.moveTo(0, py(0));
+  ctx.lineTo(width, py(0));
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  lyapunovHistory[0].exponents.forEach((_, i) => {
+    ctx.strokeStyle = lyapunovColors[i];
+    ctx.beginPath();
+    lyapunovHistory.forEach(({ exponents, time }, n) => {
+      if (n === 0) {
+        ctx.moveTo(px(time), py(exponents[i]));
+      } else {
+        ctx.lineTo(px(time), py(exponents[i]));
+      }
+    });
+    ctx.stroke();
+  });
+}
+
+// Turn the Lyapunov estimator on or off
+function setLyapunovEnabled(enabled) {
+  lyapunovEnabled = enabled;
+  lyapunovHistory.length = 0;
+  worker.postMessage({ type: 'configure', lyapunov: enabled });
+  document.getElementById('lyapunov-output').style.display = enabled ? 'block' : 'none';
+}
+
+// Restart from the initial state typed into the panel
+function restartFromInputs() {
+  const axes = ['x', 'y', 'z', 'w'].slice(0, dimensionOf(attractors[currentAttractor]));
+  const state = axes.map(axis => parseFloat(document.getElementById(`initial-${axis}`).value));
+  if (!state.every(Number.isFinite)) {
+    showSeedStatus('Enter a number for each coordinate', true);
+    return;
+  }
+  initialState = state;
+  showSeedStatus('');
+  resetAttractor();
+}
+
+// Follow another trajectory from initial, in attractor coordinates. It
+// starts at the current time, alongside the main trajectory.
+function addSeed(initial) {
+  const seed = seeds.add(initial);
+  worker.postMessage({ type: 'addSeed', id: seed.id, state: seed.initial });
+  buildSeedList();
+}
+
+// Seed a random direction away from the initial state by the offset in the
+// panel, then restart so both trajectories start together
+function addNearbySeed() {
+  const offset = parseFloat(document.getElementById('seed-offset').value);
+  if (!(offset > 0)) {
+    showSeedStatus('The offset must be positive', true);
+    return;
+  }
+  // A normalized Gaussian vector points in a uniformly random direction
+  const gaussian = () => Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+  const direction = initialState.map(gaussian);
+  const length = Math.hypot(...direction) || 1;
+  addSeed(initialState.map((value, i) => value + offset * direction[i] / length));
+  showSeedStatus('');
+  resetAttractor();
+}
+
+function removeSeed(id) {
+  seeds.remove(id);
+  worker.postMessage({ type: 'removeSeed', id });
+  buildSeedList();
+}
+
+// Rows of colour, name, visibility and delete button for every seed
+function buildSeedList() {
+  const list = document.getElementById('seed-list');
+  list.innerHTML = '';
+  seeds.list.forEach(seed => {
+    const row = document.createElement('div');
+    row.innerHTML = `
+            <span style="color: ${seed.color};">●</span>
+            <input type="text" style="width: 110px;">
+            <input type="checkbox" title="Show this seed">
+            <button title="Delete this seed">−</button>
+        `;
+    const [, nameInput, visibleInput, deleteButton] = row.children;
+    nameInput.value = seed.name;
+    visibleInput.checked = seed.visible;
+    nameInput.addEventListener('change', () => {
+      seeds.rename(seed.id, nameInput.value);
+      separationNeedsDraw = true;
+    });
+    visibleInput.addEventListener('change', () => {
+      seeds.setVisible(seed.id, visibleInput.checked);
+      separationNeedsDraw = true;
+    });
+    deleteButton.addEventListener('click', () => removeSeed(seed.id));
+    list.appendChild(row);
+  });
+  if (seeds.list.length === 0) {
+    list.textContent = 'No seeds';
+  }
+  document.getElementById('seed-output').style.display = seeds.list.length > 0 ? 'block' : 'none';
+  separationNeedsDraw = true;
+}
+
+// Redraw the separation plot and readout at most a few times per second
+function drawSeparationPlot(now) {
+  if (!separationNeedsDraw || now - separationDrawnAt < 200) {
+    return;
+  }
+  seeds.draw(document.getElementById('seed-plot'));
+  document.getElementById('seed-readout').innerHTML = seeds.list
+    .filter(seed => seed.visible && seed.history.length > 0)
+    .map(({ color, name, history }) => {
+      const label = document.createElement('span');
+      label.style.color = color;
+      label.textContent = `${name}: ${history[history.length - 1][1].toExponential(2)}`;
+      return label.outerHTML;
+    })
+    .join('<br>');
+  separationNeedsDraw = false;
+  separationDrawnAt = now;
+}
+
+// Bounding box of the trail in display coordinates
+function trailBox() {
+  const box = new THREE.Box3();
+  const point = new THREE.Vector3();
+  trail.forEach((x, y, z) => {
+    box.expandByPoint(point.set(x, y, z));
+  });
+  return box;
+}
+
+// Centre of the trail's bounding box in display coordinates, or the initial
+// state before there is a trail
+function trailCenter() {
+  if (trail.count === 0) {
+    const [x, y, z] = dimensionOf(attractors[currentAttractor]) === 4 ? applyProjection(projection, initialState) : initialState;
+    return new THREE.Vector3(x, y, z).multiplyScalar(attractors[currentAttractor].scale);
+  }
+  return trailBox().getCenter(new THREE.Vector3());
+}
+
+// Drop a seed where a click's ray meets the plane facing the camera through
+// the centre of the attractor
+function seedAtClick(event) {
+  const start = seedPointer;
+  seedPointer = null;
+  if (!start || Math.hypot(event.clientX - start.x, event.clientY - start.y) > 4) {
+    return;
+  }
+  const view = viewAt(event);
+  if (!view) {
+    return;
+  }
+  const raycaster = new THREE.Raycaster();
+  raycaster.setFromCamera(view.ndc, view.camera);
+  const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(view.camera.getWorldDirection(new THREE.Vector3()), trailCenter());
+  const hit = raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+  if (hit) {
+    // In four dimensions the seed keeps the initial state's left-out
+    // coordinate
+    const { scale } = attractors[currentAttractor];
+    const w = initialState.length === 4 ? applyProjection(projection, initialState)[3] * scale : 0;
+    addSeed(stateAt(hit.x, hit.y, hit.z, w));
+  }
+}
+
+// The view under a pointer event on the canvas, as { camera, ndc } with the
+// pointer in that camera's normalized device coordinates, and in the split
+// layout the quadrant it is in. Null below the quadrants.
+function viewAt(event) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  const x = event.clientX - rect.left;
+  const y = event.clientY - rect.top;
+  if (layoutSettings.split) {
+    return splitView.pick(x, y, camera, rect.width, rect.height);
+  }
+  return {
+    key: 'perspective',
+    left: 0,
+    top: 0,
+    width: rect.width,
+    height: rect.height,
+    camera,
+    ndc: new THREE.Vector2(x / rect.width * 2 - 1, -y / rect.height * 2 + 1)
+  };
+}
+
+// Switch between the single view and the split layout
+function setSplitLayout(enabled) {
+  layoutSettings.split = enabled;
+  document.getElementById('view-split').checked = enabled;
+  document.getElementById('strip-chart').style.display = enabled ? 'block' : 'none';
+  hoverPointer = null;
+  setHover(null);
+  resizeView();
+}
+
+// Mark the trail point at time t in every panel, or clear the cursor
+function setHover(t) {
+  hoverTime = t;
+  stripNeedsDraw = true;
+  showCursor();
+}
+
+// Put the cursor on the hovered point, dropping it once the point has
+// scrolled out of the trail
+function showCursor() {
+  if (hoverTime !== null && (trail.count === 0 || hoverTime < trail.pointAt(0).t)) {
+    hoverTime = null;
+  }
+  if (hoverTime === null) {
+    cursor.hide();
+    return;
+  }
+  const { x, y, z, t, w } = trail.pointAt(trail.indexAt(hoverTime));
+  cursor.show(new THREE.Vector3(x, y, z), t, stateAt(x, y, z, w));
+}
+
+// Hover the trail point drawn nearest the pointer in the quadrant under it,
+// if one is within a few pixels. Long trails are sampled.
+function findHoveredPoint() {
+  if (!hoverPointer) {
+    return;
+  }
+  const view = hoverPointer;
+  hoverPointer = null;
+  const stride = Math.max(1, Math.ceil(trail.count / 20000));
+  const point = new THREE.Vector3();
+  let nearest = 12;
+  let found = null;
+  for (let i = 0; i < trail.count; i += stride) {
+    const { x, y, z, t } = trail.pointAt(i);
+    point.set(x, y, z).project(view.camera);
+    if (Math.abs(point.z) > 1) {
+      continue;
+    }
+    const distance = Math.hypot((point.x - view.ndc.x) * view.width / 2, (point.y - view.ndc.y) * view.height / 2);
+    if (distance < nearest) {
+      nearest = distance;
+      found = t;
+    }
+  }
+  if (found !== hoverTime) {
+    setHover(found);
+  }
+}
+
+// Redraw the strip chart, which scrolls with the trail, at most twenty
+// times a second
+function drawStripChart(now) {
+  if (!layoutSettings.split || !stripNeedsDraw || now - stripDrawnAt < 50) {
+    return;
+  }
+  stripChart.draw(trail, layoutSettings.stripSpan, attractors[currentAttractor].scale, hoverTime, drawnNames());
+  stripNeedsDraw = false;
+  stripDrawnAt = now;
+}
+
+// Resize the axes to the trail and, if auto-fit is on or the attractor is
+// new, frame it, twice a second. A new attractor waits for enough of its
+// trail to show its size.
+function updateView(now) {
+  if (now - viewCheckedAt < 500 || trail.count < 2 || mapSettings.enabled) {
+    return;
+  }
+  viewCheckedAt = now;
+  const box = trailBox();
+  const { scale } = attractors[currentAttractor];
+  axes.update(box, scale);
+  soundRanges = [0, 1, 2].map(axis => [box.min.getComponent(axis) / scale, box.max.getComponent(axis) / scale]);
+  if (layoutSettings.split) {
+    const [quadrant] = splitView.viewports(window.innerWidth, window.innerHeight);
+    splitView.fit(box, quadrant.width / quadrant.height);
+  }
+  if (viewSettings.autoFit || (viewNeedsFit && trail.count >= Math.min(500, trail.capacity))) {
+    rig.fit(box);
+    viewNeedsFit = false;
+  }
+}
+
+function setAutoFit(enabled) {
+  viewSettings.autoFit = enabled;
+  document.getElementById('view-auto-fit').checked = enabled;
+}
+
+// List the saved viewpoints of the current attractor
+function updateViewList() {
+  const select = document.getElementById('view-select');
+  const views = savedViews[currentAttractor] ?? [];
+  select.innerHTML = views.map((view, index) => `<option value="${index}"></option>`).join('');
+  Array.from(select.options).forEach((option, index) => {
+    option.textContent = views[index].name;
+  });
+  document.getElementById('view-go').disabled = views.length === 0;
+  document.getElementById('view-delete').disabled = views.length === 0;
+}
+
+// Save the camera as a named viewpoint of the current attractor, replacing
+// one of the same name
+function saveCurrentView() {
+  const name = document.getElementById('view-name').value.trim();
+  if (name === '') {
+    showViewStatus('Enter a name for the view', true);
+    return;
+  }
+  const views = savedViews[currentAttractor] ??= [];
+  const view = { name, position: camera.position.toArray(), target: controls.target.toArray() };
+  const index = views.findIndex(other => other.name === name);
+  if (index === -1) {
+    views.push(view);
   } else {
-    x = 0.1;
-    y = 0;
-    z = 0;
-  }
-  pointCount = 0;
-  positions.fill(0);
-  colors.fill(0);
-  geometry.attributes.position.needsUpdate = true;
-  geometry.attributes.color.needsUpdate = true;
-  geometry.setDrawRange(0, pointCount);
-  updateUIFromParams();
+    views[index] = view;
+  }
+  if (storeViews()) {
+    showViewStatus(`Saved "${name}"`);
+  }
+  updateViewList();
+  document.getElementById('view-select').value = views.indexOf(view);
+}
+
+// Glide to the selected viewpoint, leaving auto-fit so it stays put
+function goToSelectedView() {
+  const view = (savedViews[currentAttractor] ?? [])[document.getElementById('view-select').value];
+  if (view) {
+    setAutoFit(false);
+    rig.moveTo(new THREE.Vector3().fromArray(view.position), new THREE.Vector3().fromArray(view.target));
+    showViewStatus('');
+  }
+}
+
+function deleteSelectedView() {
+  const views = savedViews[currentAttractor] ?? [];
+  const index = parseInt(document.getElementById('view-select').value, 10);
+  if (!views[index]) {
+    return;
+  }
+  const [view] = views.splice(index, 1);
+  if (storeViews()) {
+    showViewStatus(`Deleted "${view.name}"`);
+  }
+  updateViewList();
+}
+
+function storeViews() {
+  try {
+    saveViews(savedViews);
+    return true;
+  } catch (error) {
+    showViewStatus(`Could not store views: ${error.message}`, true);
+    return false;
+  }
+}
+
+function showViewStatus(message, isError = false) {
+  const status = document.getElementById('view-status');
+  status.textContent = message;
+  status.style.color = isError ? '#ff6b6b' : 'inherit';
+}
+
+function showSeedStatus(message, isError = false) {
+  const status = document.getElementById('seed-status');
+  status.textContent = message;
+  status.style.color = isError ? '#ff6b6b' : 'inherit';
+}
+
+// The visible trail in attractor coordinates, oldest point first
+function trailTrajectory() {
+  const dimension = dimensionOf(attractors[currentAttractor]);
+  const times = new Float64Array(trail.count);
+  const positions = new Float64Array(trail.count * dimension);
+  trail.forEach((x, y, z, t, value, slot, n, w) => {
+    times[n] = t;
+    positions.set(stateAt(x, y, z, w), n * dimension);
+  });
+  return { times, positions, dimension };
+}
+
+// How the exported points were produced
+function exportMetadata(source) {
+  const attractor = attractors[currentAttractor];
+  const integrator = { method: currentIntegrator };
+  if (integrators[currentIntegrator].adaptive) {
+    Object.assign(integrator, integratorOptions);
+  }
+  const metadata = {
+    attractor: currentAttractor,
+    name: attractor.name,
+    params: { ...params[currentAttractor] },
+    initial: initialState.slice(),
+    integrator,
+    source
+  };
+  if (attractor.equations) {
+    metadata.equations = { ...attractor.equations };
+  }
+  return metadata;
+}
+
+// Export the visible trail, or integrate a fresh trajectory in a worker and
+// export that. While the worker runs the button cancels it.
+function toggleExport() {
+  const button = document.getElementById('export-run');
+  const progress = document.getElementById('export-progress');
+  if (exportWorker) {
+    exportWorker.terminate();
+    exportWorker = null;
+    button.textContent = 'Export';
+    progress.style.display = 'none';
+    showExportStatus('Cancelled');
+    return;
+  }
+
+  const format = document.getElementById('export-format').value;
+  if (document.getElementById('export-source').value === 'trail') {
+    writeExport(trailTrajectory(), exportMetadata('trail'), format);
+    return;
+  }
+
+  const input = document.getElementById('export-count');
+  const points = Math.round(Math.min(2000000, Math.max(2, parseFloat(input.value) || 100000)));
+  input.value = points;
+  const metadata = exportMetadata('fresh');
+  const integrationWorker = new Worker(new URL('./trajectory-worker.js', import.meta.url), { type: 'module' });
+  exportWorker = integrationWorker;
+  integrationWorker.onmessage = event => {
+    // Ignore anything still queued from a cancelled run
+    if (exportWorker !== integrationWorker) {
+      return;
+    }
+    const message = event.data;
+    if (message.type === 'progress') {
+      progress.value = message.fraction;
+    } else if (message.type === 'trajectory') {
+      integrationWorker.terminate();
+      exportWorker = null;
+      button.textContent = 'Export';
+      progress.style.display = 'none';
+      writeExport(message, metadata, format, message.diverged);
+    }
+  };
+  integrationWorker.onerror = event => {
+    if (exportWorker !== integrationWorker) {
+      return;
+    }
+    integrationWorker.terminate();
+    exportWorker = null;
+    button.textContent = 'Export';
+    progress.style.display = 'none';
+    showExportStatus(`Integration failed: ${event.message ?? 'the worker stopped'}`, true);
+  };
+  integrationWorker.postMessage({
+    type: 'integrate',
+    attractor: metadata.attractor,
+    equations: metadata.equations,
+    params: metadata.params,
+    initial: metadata.initial,
+    points,
+    integrator: currentIntegrator,
+    options: integratorOptions
+  });
+  button.textContent = 'Cancel';
+  progress.value = 0;
+  progress.style.display = 'inline-block';
+  showExportStatus(`Integrating ${points} points...`);
+}
+
+async function writeExport(trajectory, metadata, formatKey, diverged = false) {
+  const count = trajectory.times.length;
+  if (count < 2) {
+    showExportStatus(diverged ? 'The trajectory diverged immediately' : 'No points to export yet', true);
+    return;
+  }
+  const format = exportFormats[formatKey];
+  // The glTF writer is asynchronous, and any writer can fail on a huge
+  // trajectory, so failures are reported rather than left unhandled
+  try {
+    const data = await format.write(trajectory, metadata);
+    downloadBlob(new Blob([data], { type: format.type }), `${metadata.attractor}-trajectory.${format.extension}`);
+  } catch (error) {
+    showExportStatus(`Export failed: ${error.message}`, true);
+    return;
+  }
+  showExportStatus(diverged ? `Exported ${count} points; the trajectory diverged after that` : `Exported ${count} points`, diverged);
+}
+
+function showExportStatus(message, isError = false) {
+  const status = document.getElementById('export-status');
+  status.textContent = message;
+  status.style.color = isError ? '#ff6b6b' : 'inherit';
+}
+
+// Render the scene offscreen at the chosen size and save it as a PNG
+async function saveStill() {
+  const max = renderer.capabilities.maxTextureSize;
+  const size = id => {
+    const input = document.getElementById(id);
+    const value = Math.round(Math.min(max, Math.max(16, parseFloat(input.value) || 1024)));
+    input.value = value;
+    return value;
+  };
+  const width = size('capture-width');
+  const height = size('capture-height');
+  const transparent = document.getElementById('capture-transparent').checked;
+  try {
+    const blob = await renderStill(renderer, scene, camera, { width, height, transparent, draw: glow.renderTo });
+    downloadBlob(blob, `${currentAttractor}-${width}x${height}.png`);
+    showCaptureStatus(`Saved a ${width} × ${height} PNG`);
+  } catch (error) {
+    showCaptureStatus(error instanceof CaptureError ? error.message : `Could not save the still: ${error.message}`, true);
+  }
+}
+
+// Start recording the canvas, returning whether that worked
+function startRecording() {
+  const bitrate = Math.min(50, Math.max(1, parseFloat(document.getElementById('capture-bitrate').value) || 8)) * 1e6;
+  try {
+    recorder.start({ bitrate });
+  } catch (error) {
+    if (!(error instanceof CaptureError)) {
+      throw error;
+    }
+    showCaptureStatus(error.message, true);
+    return false;
+  }
+  document.getElementById('capture-record').textContent = 'Stop recording';
+  showCaptureStatus('Recording...');
+  return true;
+}
+
+async function stopRecording() {
+  document.getElementById('capture-record').textContent = 'Record WebM';
+  const blob = await recorder.stop();
+  downloadBlob(blob, `${currentAttractor}.webm`);
+  showCaptureStatus(`Saved ${(blob.size / 1e6).toFixed(1)} MB of video`);
+}
+
+function toggleRecording() {
+  if (turntable.running) {
+    finishTurntable();
+  } else if (recorder.recording) {
+    stopRecording();
+  } else {
+    startRecording();
+  }
+}
+
+// Record one turn of the camera. With growth frames set, the attractor is
+// reset and integrated for that many frames, then held still.
+function toggleTurntable() {
+  if (turntable.running) {
+    finishTurntable();
+    return;
+  }
+  if (recorder.recording) {
+    showCaptureStatus('Stop the current recording first', true);
+    return;
+  }
+  const speed = Math.max(1, parseFloat(document.getElementById('turntable-speed').value) || 30);
+  const growth = Math.max(0, Math.round(parseFloat(document.getElementById('turntable-growth').value) || 0));
+  if (!startRecording()) {
+    return;
+  }
+  pausedBeforeTurntable = paused;
+  growthFramesLeft = growth;
+  if (growth > 0) {
+    resetAttractor();
+    setPaused(false);
+  }
+  controls.enabled = false;
+  turntable.start(speed);
+  document.getElementById('turntable-run').textContent = 'Stop turntable';
+}
+
+function finishTurntable() {
+  turntable.stop();
+  controls.enabled = true;
+  growthFramesLeft = 0;
+  setPaused(pausedBeforeTurntable);
+  document.getElementById('turntable-run').textContent = 'Record turntable';
+  stopRecording();
+}
+
+// Advance a running turntable capture by one frame
+function updateTurntable(now) {
+  if (!turntable.running) {
+    return;
+  }
+  if (growthFramesLeft > 0) {
+    growthFramesLeft--;
+    if (growthFramesLeft === 0) {
+      setPaused(true);
+    }
+  }
+  if (turntable.update(now)) {
+    finishTurntable();
+  }
+}
+
+function showCaptureStatus(message, isError = false) {
+  const status = document.getElementById('capture-status');
+  status.textContent = message;
+  status.style.color = isError ? '#ff6b6b' : 'inherit';
+}
+
+// Start or stop the live sound. Browsers only allow audio to start from a
+// user gesture, so this is called from the checkbox's handler.
+async function setSoundEnabled(enabled) {
+  soundEnabled = enabled;
+  document.getElementById('sound-enabled').checked = enabled;
+  try {
+    if (!enabled) {
+      await sonifier.stop();
+      return;
+    }
+    await sonifier.start();
+    sonifier.setGate(!paused);
+    showSoundStatus('');
+  } catch (error) {
+    soundEnabled = false;
+    document.getElementById('sound-enabled').checked = false;
+    showSoundStatus(error instanceof SoundError ? error.message : `Sound failed: ${error.message}`, true);
+  }
+}
+
+// Sound the newest point of a batch of display coordinates, and in waveform
+// mode refresh the waveform from the trail
+function sonifyBatch(positions) {
+  const { scale } = attractors[currentAttractor];
+  const last = positions.length - 3;
+  sonifier.update([positions[last] / scale, positions[last + 1] / scale, positions[last + 2] / scale], soundRanges);
+  const now = performance.now();
+  if (soundSettings.mode === 'waveform' && now - soundWaveAt > 100) {
+    const count = Math.min(trail.count, soundSettings.period);
+    const samples = new Float32Array(count);
+    for (let n = 0; n < count; n++) {
+      samples[n] = trail.pointAt(trail.count - count + n)[soundSettings.waveform] / scale;
+    }
+    sonifier.setWave(samples);
+    soundWaveAt = now;
+  }
+}
+
+// Read a mapping's bounds from the editor, clamped to the target's range
+function readSoundMapping(key) {
+  const target = soundTargets[key];
+  const mapping = soundSettings.mappings[key];
+  mapping.source = document.getElementById(`sound-${key}-source`).value;
+  ['low', 'high'].forEach(bound => {
+    const input = document.getElementById(`sound-${key}-${bound}`);
+    const value = parseFloat(input.value);
+    mapping[bound] = Number.isFinite(value) ? Math.min(target.max, Math.max(target.min, value)) : target[bound];
+    input.value = mapping[bound];
+  });
+  sonifier.configure(soundSettings);
+}
+
+// Integrate a fresh trajectory from the initial state in a worker, render
+// it to sound offline and save it as a WAV file. While the worker runs the
+// button cancels it.
+function toggleSoundRender() {
+  const button = document.getElementById('sound-render');
+  if (soundWorker) {
+    soundWorker.terminate();
+    soundWorker = null;
+    button.textContent = 'Render WAV';
+    showSoundStatus('Cancelled');
+    return;
+  }
+
+  const read = (id, fallback, min, max) => {
+    const input = document.getElementById(id);
+    const value = Math.min(max, Math.max(min, parseFloat(input.value) || fallback));
+    input.value = value;
+    return value;
+  };
+  const duration = read('sound-duration', 30, 1, 600);
+  const stepsPerSecond = read('sound-rate', 60, 1, 10000);
+  const points = Math.min(2000000, Math.round(duration * stepsPerSecond) + 1);
+  const metadata = exportMetadata('fresh');
+  const settings = structuredClone(soundSettings);
+  const integrationWorker = new Worker(new URL('./trajectory-worker.js', import.meta.url), { type: 'module' });
+  soundWorker = integrationWorker;
+  integrationWorker.onmessage = async event => {
+    // Ignore anything still queued from a cancelled run
+    if (soundWorker !== integrationWorker) {
+      return;
+    }
+    const message = event.data;
+    if (message.type === 'progress') {
+      showSoundStatus(`Integrating... ${Math.round(message.fraction * 100)}%`);
+      return;
+    }
+    integrationWorker.terminate();
+    showSoundStatus('Rendering audio...');
+    try {
+      const buffer = await renderSound(message, settings, { stepsPerSecond });
+      downloadBlob(encodeWav(buffer), `${metadata.attractor}-sound.wav`);
+      const seconds = buffer.duration.toFixed(1);
+      showSoundStatus(message.diverged ? `Saved ${seconds} s; the trajectory diverged after that` : `Saved ${seconds} s of audio`, message.diverged);
+    } catch (error) {
+      showSoundStatus(error instanceof SoundError ? error.message : `Rendering failed: ${error.message}`, true);
+    } finally {
+      soundWorker = null;
+      button.textContent = 'Render WAV';
+    }
+  };
+  integrationWorker.onerror = event => {
+    if (soundWorker !== integrationWorker) {
+      return;
+    }
+    integrationWorker.terminate();
+    soundWorker = null;
+    button.textContent = 'Render WAV';
+    showSoundStatus(`Integration failed: ${event.message ?? 'the worker stopped'}`, true);
+  };
+  integrationWorker.postMessage({
+    type: 'integrate',
+    attractor: metadata.attractor,
+    equations: metadata.equations,
+    params: metadata.params,
+    initial: metadata.initial,
+    points,
+    integrator: currentIntegrator,
+    options: integratorOptions
+  });
+  button.textContent = 'Cancel';
+  showSoundStatus(`Integrating ${points} points...`);
+}
+
+function showSoundStatus(message, isError = false) {
+  const status = document.getElementById('sound-status');
+  status.textContent = message;
+  status.style.color = isError ? '#ff6b6b' : 'inherit';
+}
+
+// Pause or resume the integration. Resuming carries on from the newest
+// point, wherever the scrubber was.
+function setPaused(value) {
+  paused = value;
+  worker.postMessage({ type: paused ? 'pause' : 'resume' });
+  document.getElementById('pause').textContent = paused ? 'Resume' : 'Pause';
+  sonifier.setGate(!paused);
+  scrubIndex = null;
+  showPlayhead();
+}
+
+// Take n steps while paused, pausing first if running. With the scrubber
+// behind the newest point it moves forward instead.
+function stepForward(n) {
+  if (!paused) {
+    setPaused(true);
+  }
+  if (scrubIndex !== null && scrubIndex < trail.count - 1) {
+    scrubTo(scrubIndex + n);
+    return;
+  }
+  scrubIndex = null;
+  queuedSteps += n;
+}
+
+// Pause and show the trail point at index, oldest first
+function scrubTo(index) {
+  if (!paused) {
+    setPaused(true);
+  }
+  scrubIndex = Math.min(trail.count - 1, Math.max(0, Math.round(index)));
+  showPlayhead();
+}
+
+// Move the scrubber to the shown point, and while paused put the marker
+// there with its time and coordinates. The marker stays out of turntable
+// captures and ensemble runs.
+function showPlayhead() {
+  const scrub = document.getElementById('playback-scrub');
+  scrub.max = Math.max(0, trail.count - 1);
+  scrub.value = scrubIndex ?? trail.count - 1;
+  if (!paused || trail.count === 0 || turntable.running || ensembleSettings.enabled || mapSettings.enabled) {
+    marker.hide();
+    return;
+  }
+  const { x, y, z, t, w } = trail.pointAt(scrubIndex ?? trail.count - 1);
+  marker.show(new THREE.Vector3(x, y, z), t, stateAt(x, y, z, w));
+}
+
+// Set the time scale to timeScales[index], clamped to the list
+function setTimeScale(index) {
+  const clamped = Math.min(timeScales.length - 1, Math.max(0, index));
+  timeScale = timeScales[clamped];
+  document.getElementById('playback-speed').value = clamped;
+  document.getElementById('playback-speed-value').textContent = `×${timeScale}`;
+}
+
+// Keyboard shortcuts for playback, ignored while typing in the panels and
+// while a map is shown, since the flow stays paused behind it
+function handlePlaybackKey(event) {
+  if (event.target.closest?.('input, select, textarea, button') || event.ctrlKey || event.metaKey || event.altKey || mapSettings.enabled) {
+    return;
+  }
+  const count = event.shiftKey ? 10 : 1;
+  const speed = timeScales.indexOf(timeScale);
+  const actions = {
+    ' ': () => setPaused(!paused),
+    ArrowRight: () => stepForward(count),
+    ArrowLeft: () => scrubTo((scrubIndex ?? trail.count - 1) - count),
+    ArrowUp: () => setTimeScale(speed + 1),
+    ArrowDown: () => setTimeScale(speed - 1),
+    r: resetAttractor,
+    R: resetAttractor
+  };
+  if (actions[event.key]) {
+    event.preventDefault();
+    actions[event.key]();
+  }
+}
+
+// Count the current map's points from scratch with the panel settings
+function startDensity() {
+  stopDensity();
+  const map = maps[mapSettings.map];
+  const cloud = mapSettings.renderer === 'cloud';
+  const coordinates = map.dimension === 2 ? [0, 1] : cloud ? [0, 1, 2] : mapPlanes[mapSettings.plane];
+  const progress = document.getElementById('map-progress');
+  const limit = Math.max(1, Math.round(mapSettings.limit * 1e6));
+  const countWorker = new Worker(new URL('./density-worker.js', import.meta.url), { type: 'module' });
+  densityWorker = countWorker;
+  countWorker.onmessage = event => {
+    // Ignore anything still queued from a cancelled count
+    if (densityWorker !== countWorker) {
+      return;
+    }
+    const message = event.data;
+    if (message.type === 'density') {
+      density = message;
+      densityNeedsDraw = true;
+      progress.value = message.total / limit;
+      showMapStatus(`${(message.total / 1e6).toFixed(1)} million points${message.done ? '' : '…'}`);
+      if (message.done) {
+        stopDensity();
+      }
+    } else if (message.type === 'failed') {
+      stopDensity();
+      if (message.density) {
+        density = message.density;
+        densityNeedsDraw = true;
+      }
+      showMapStatus(message.message, true);
+    }
+  };
+  countWorker.onerror = event => {
+    if (densityWorker !== countWorker) {
+      return;
+    }
+    stopDensity();
+    showMapStatus(`Counting failed: ${event.message ?? 'the worker stopped'}`, true);
+  };
+  countWorker.postMessage({
+    type: 'accumulate',
+    map: mapSettings.map,
+    params: mapParams[mapSettings.map],
+    axes: coordinates,
+    resolution: mapSettings.resolution,
+    limit
+  });
+  density = null;
+  densityNeedsDraw = true;
+  densityNeedsFit = true;
+  mapNeedsRestart = false;
+  progress.value = 0;
+  showMapStatus('Counting…');
+}
+
+function stopDensity() {
+  if (densityWorker) {
+    densityWorker.terminate();
+    densityWorker = null;
+  }
+}
+
+// Show a map's density instead of the flow, or go back to the flow. The
+// flow's playback controls are disabled while the map is shown.
+function setMapEnabled(enabled) {
+  mapSettings.enabled = enabled;
+  document.getElementById('map-options').style.display = enabled ? 'block' : 'none';
+  ['pause', 'playback-step', 'playback-scrub'].forEach(id => {
+    document.getElementById(id).disabled = enabled;
+  });
+  if (enabled) {
+    pausedBeforeMap = paused;
+    setPaused(true);
+    hiddenFlowObjects = [trail.object, seeds.object, ensemble.object, section.object, equilibriumMarkers.object, axes.object]
+      .filter(object => object.visible);
+    hiddenFlowObjects.forEach(object => {
+      object.visible = false;
+    });
+    showMapRenderer();
+    startDensity();
+  } else {
+    stopDensity();
+    hiddenFlowObjects.forEach(object => {
+      object.visible = true;
+    });
+    hiddenFlowObjects = [];
+    document.getElementById('density-image').style.display = 'none';
+    densityCloud.object.visible = false;
+    densityCloud.clear();
+    viewNeedsFit = true;
+    setPaused(pausedBeforeMap);
+    showMapStatus('');
+  }
+}
+
+// Show the controls of the chosen map and renderer: its sliders, the plane
+// a three-dimensional map is imaged in, and the renderer's resolutions
+function showMapControls() {
+  const map = maps[mapSettings.map];
+  document.querySelectorAll('.map-params').forEach(panel => {
+    panel.style.display = panel.id === `map-${mapSettings.map}-params` ? 'block' : 'none';
+  });
+  document.getElementById('map-plane-row').style.display = map.dimension === 3 && mapSettings.renderer === 'image' ? 'block' : 'none';
+  const { resolutions } = densityRenderers[mapSettings.renderer];
+  const select = document.getElementById('map-resolution');
+  select.innerHTML = resolutions.map(n => `<option value="${n}">${n}</option>`).join('');
+  select.value = mapSettings.resolution;
+}
+
+// Draw the density through the chosen renderer
+function showMapRenderer() {
+  const cloud = mapSettings.renderer === 'cloud';
+  document.getElementById('density-image').style.display = cloud ? 'none' : 'block';
+  densityCloud.object.visible = cloud;
+  if (!cloud) {
+    densityCloud.clear();
+  }
+}
+
+// Take up a change of map, renderer or resolution, which starts the count
+// over
+function changeMapSetup() {
+  mapSettings.map = document.getElementById('map-type').value;
+  const renderer = document.getElementById('map-renderer').value;
+  if (renderer !== mapSettings.renderer) {
+    mapSettings.renderer = renderer;
+    mapSettings.resolution = densityRenderers[renderer].resolution;
+  } else {
+    mapSettings.resolution = parseInt(document.getElementById('map-resolution').value, 10);
+  }
+  mapSettings.plane = document.getElementById('map-plane').value;
+  mapSettings.limit = Math.max(0.1, parseFloat(document.getElementById('map-limit').value) || 100);
+  showMapControls();
+  if (mapSettings.enabled) {
+    showMapRenderer();
+    startDensity();
+  }
+}
+
+// Redraw the density at most four times a second, restarting the count
+// first if a parameter moved
+function drawDensity(now) {
+  if (!mapSettings.enabled || now - densityDrawnAt < 250) {
+    return;
+  }
+  if (mapNeedsRestart) {
+    startDensity();
+  }
+  if (!densityNeedsDraw) {
+    return;
+  }
+  if (mapSettings.renderer === 'cloud') {
+    if (density) {
+      densityCloud.update(density, mapSettings, paletteLUT);
+      if (densityNeedsFit) {
+        rig.fit(densityCloud.box);
+        densityNeedsFit = false;
+      }
+    }
+  } else {
+    densityImage.draw(density, mapSettings, paletteLUT);
+  }
+  densityNeedsDraw = false;
+  densityDrawnAt = now;
+}
+
+// Save the density image as a PNG at the size it is shown
+function saveDensityImage() {
+  if (mapSettings.renderer !== 'image') {
+    showMapStatus('Use Capture to save the point cloud', true);
+    return;
+  }
+  document.getElementById('density-image').toBlob(blob => {
+    downloadBlob(blob, `${mapSettings.map}-density.png`);
+  }, 'image/png');
+}
+
+function showMapStatus(message, isError = false) {
+  const status = document.getElementById('map-status');
+  status.textContent = message;
+  status.style.color = isError ? '#ff6b6b' : 'inherit';
+}
+
+// Scatter the ensemble around the initial condition typed into the panel
+function seedEnsemble() {
+  const { scale } = attractors[currentAttractor];
+  const center = ['x', 'y', 'z'].map(axis => parseFloat(document.getElementById(`ensemble-${axis}`).value) || 0);
+  if (dimensionOf(attractors[currentAttractor]) !== 4) {
+    const states = ensemble.seed({ ...ensembleSettings, center, radius: ensembleSettings.radius / scale, scale });
+    worker.postMessage({ type: 'seed', states }, [states.buffer]);
+    return;
+  }
+  // A four-dimensional cloud is scattered in the drawn coordinates around
+  // the centre with the initial state's w, and keeps that centre's left-out
+  // coordinate
+  const drawn = applyProjection(projection, [...center, initialState[3]]);
+  const flat = ensemble.seed({ ...ensembleSettings, center: drawn.slice(0, 3), radius: ensembleSettings.radius / scale, scale });
+  const states = new Float64Array(flat.length / 3 * 4);
+  for (let p = 0; p < flat.length / 3; p++) {
+    states.set(applyProjection(unprojection, [flat[p * 3], flat[p * 3 + 1], flat[p * 3 + 2], drawn[3]]), p * 4);
+  }
+  worker.postMessage({ type: 'seed', states }, [states.buffer]);
+}
+
+// Turn ensemble mode on or off; the single trajectory is hidden while it runs
+function setEnsembleEnabled(enabled) {
+  ensembleSettings.enabled = enabled;
+  trail.object.visible = !enabled;
+  seeds.object.visible = !enabled;
+  ensemble.object.visible = enabled;
+  if (enabled) {
+    seedEnsemble();
+  } else {
+    ensemble.clear();
+    worker.postMessage({ type: 'seed', states: null });
+  }
+}
+
+// Value of the selected colour quantity at a point in display coordinates,
+// drawn with the left-out coordinate w
+function colorValue(x, y, z, t, w = 0) {
+  const quantity = colorQuantities[colorSettings.quantity];
+  if (!quantity.value) {
+    return 0;
+  }
+  const field = vectorField(attractors[currentAttractor], params[currentAttractor]);
+  return quantity.value(stateAt(x, y, z, w), t, { f: p => field(p, t), point: colorSettings.point });
+}
+
+// Colour of a point with the given value in ring slot `slot` of `capacity`
+function colorFor(value, slot, capacity) {
+  if (colorSettings.quantity === 'index') {
+    return getColor(slot, capacity);
+  }
+  const { min, max } = colorSettings;
+  return lookupColor(paletteLUT, (value - min) / (max - min || 1));
+}
+
+// Recolour the whole trail and redraw the legend
+function recolorTrail() {
+  trail.recolor(colorFor);
+  drawColorLegend();
+  densityNeedsDraw = true;
+}
+
+// Switch colour quantity, recomputing the value of every trail point
+function setColorQuantity(key) {
+  colorSettings.quantity = key;
+  trail.setValues(colorValue);
+  document.getElementById('color-point').style.display = key === 'distance' ? 'block' : 'none';
+  document.getElementById('color-options').style.display = key === 'index' ? 'none' : 'block';
+  document.getElementById('color-legend').style.display = key === 'index' ? 'none' : 'block';
+  if (!colorSettings.auto || !updateColorRange(true)) {
+    recolorTrail();
+  }
+}
+
+// Re-measure the automatic range from a sample of the trail. The trail is
+// recoloured, and true returned, when forced or when either end moved by
+// more than 2% of the range.
+function updateColorRange(force = false) {
+  if (!colorSettings.auto || colorSettings.quantity === 'index') {
+    return false;
+  }
+  const stride = Math.max(1, Math.floor(trail.count / 20000));
+  const samples = [];
+  trail.forEach((x, y, z, t, value, slot, n) => {
+    if (n % stride === 0) {
+      samples.push(value);
+    }
+  });
+  const range = robustRange(samples);
+  if (!range) {
+    return false;
+  }
+  const { min, max } = colorSettings;
+  const tolerance = 0.02 * (max - min);
+  if (!force && Math.abs(range.min - min) <= tolerance && Math.abs(range.max - max) <= tolerance) {
+    return false;
+  }
+  colorSettings.min = range.min;
+  colorSettings.max = range.max;
+  document.getElementById('color-min').value = Number(range.min.toPrecision(4));
+  document.getElementById('color-max').value = Number(range.max.toPrecision(4));
+  recolorTrail();
+  return true;
+}
+
+// Rebuild the palette table from the selected palette or the custom stops
+function updatePalette() {
+  const stops = colorSettings.palette === 'custom' ? colorSettings.customStops : paletteStops(colorSettings.palette);
+  paletteLUT = createPaletteLUT(stops);
+  recolorTrail();
+}
+
+// Rows of colour and position inputs for the custom gradient's stops
+function buildGradientEditor() {
+  const editor = document.getElementById('color-gradient-stops');
+  editor.innerHTML = '';
+  colorSettings.customStops.forEach((stop, i) => {
+    const row = document.createElement('div');
+    row.innerHTML = `
+            <input type="color" value="${stop.color}">
+            <input type="number" min="0" max="1" step="0.05" value="${stop.position}" style="width: 50px;">
+            <button title="Remove this stop">−</button>
+        `;
+    const [colorInput, positionInput, removeButton] = row.children;
+    colorInput.addEventListener('input', () => {
+      stop.color = colorInput.value;
+      updatePalette();
+    });
+    positionInput.addEventListener('change', () => {
+      stop.position = Math.min(1, Math.max(0, parseFloat(positionInput.value) || 0));
+      positionInput.value = stop.position;
+      updatePalette();
+    });
+    removeButton.disabled = colorSettings.customStops.length <= 2;
+    removeButton.addEventListener('click', () => {
+      colorSettings.customStops.splice(i, 1);
+      buildGradientEditor();
+      updatePalette();
+    });
+    editor.appendChild(row);
+  });
+}
+
+// Select a palette. The custom gradient starts out as the ends and middle
+// of the palette selected before it.
+function setPalette(key) {
+  if (key === 'custom' && !colorSettings.customStops) {
+    const stops = paletteStops(colorSettings.palette);
+    colorSettings.customStops = [stops[0], stops[Math.floor(stops.length / 2)], stops[stops.length - 1]]
+      .map(({ color }, i) => ({ position: i / 2, color }));
+    buildGradientEditor();
+  }
+  colorSettings.palette = key;
+  document.getElementById('color-gradient').style.display = key === 'custom' ? 'block' : 'none';
+  updatePalette();
+}
+
+// Insert a stop halfway along the widest gap between neighbouring stops
+function addGradientStop() {
+  const stops = colorSettings.customStops.slice().sort((a, b) => a.position - b.position);
+  let widest = 0;
+  for (let i = 1; i < stops.length - 1; i++) {
+    if (stops[i + 1].position - stops[i].position > stops[widest + 1].position - stops[widest].position) {
+      widest = i;
+    }
+  }
+  const position = (stops[widest].position + stops[widest + 1].position) / 2;
+  colorSettings.customStops = stops;
+  stops.splice(widest + 1, 0, { position, color: stops[widest].color });
+  buildGradientEditor();
+  updatePalette();
+}
+
+function drawColorLegend() {
+  if (colorSettings.quantity === 'index') {
+    return;
+  }
+  drawColorBar(document.getElementById('color-legend'), paletteLUT, {
+    min: colorSettings.min,
+    max: colorSettings.max,
+    label: colorQuantities[colorSettings.quantity].label
+  });
+}
+
+// Draw the trail in another style, showing only that style's settings
+function setTrailStyle(style) {
+  trailAppearance.style = style;
+  trail.setStyle(style);
+  seeds.configure({ style });
+  const rows = { width: 'fat', radius: 'tube', size: 'points' };
+  Object.entries(rows).forEach(([key, rowStyle]) => {
+    document.getElementById(`render-${key}-row`).style.display = style === rowStyle ? '' : 'none';
+  });
+  // The tube is lit and drawn opaque
+  document.getElementById('render-opacity-row').style.display = style === 'tube' ? 'none' : '';
+}
+
+// Newton seeds for the equilibria: the ones already found, the origin, a
+// sample of the trail and a grid over its bounding box, in attractor
+// coordinates. Returns the seeds and the box's diagonal in display units.
+function equilibriumSeeds() {
+  const { scale } = attractors[currentAttractor];
+  const seeds = equilibria.map(({ point }) => point);
+  seeds.push([0, 0, 0]);
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  const every = Math.max(1, Math.floor(trail.count / 24));
+  trail.forEach((x, y, z, t, value, slot, n) => {
+    const p = [x / scale, y / scale, z / scale];
+    p.forEach((c, i) => {
+      min[i] = Math.min(min[i], c);
+      max[i] = Math.max(max[i], c);
+    });
+    if (n % every === 0) {
+      seeds.push(p);
+    }
+  });
+  // A short trail covers little of the attractor, so the grid spans at
+  // least 20 display units around it
+  [0, 1, 2].forEach(i => {
+    const center = trail.count > 0 ? (min[i] + max[i]) / 2 : initialState[i];
+    const half = Math.max(trail.count > 0 ? (max[i] - min[i]) / 2 : 0, 10 / scale);
+    min[i] = center - half;
+    max[i] = center + half;
+  });
+  const side = 4;
+  for (let i = 0; i < side ** 3; i++) {
+    const fraction = [i % side, Math.floor(i / side) % side, Math.floor(i / side ** 2)].map(k => k / (side - 1));
+    seeds.push(fraction.map((s, k) => min[k] + s * (max[k] - min[k])));
+  }
+  const diagonal = Math.hypot(...max.map((value, i) => value - min[i])) * scale;
+  return { seeds, diagonal };
+}
+
+// Find the equilibria again if the parameters changed, at most four times a
+// second, and otherwise every two seconds
+function updateEquilibria(now) {
+  if (!equilibriaEnabled || now - equilibriaFoundAt < (equilibriaNeedUpdate ? 250 : 2000)) {
+    return;
+  }
+  equilibriaNeedUpdate = false;
+  equilibriaFoundAt = now;
+  const attractor = attractors[currentAttractor];
+  // A forced system has no fixed points, and the classification is only
+  // worked out in three dimensions
+  if (attractor.forced || dimensionOf(attractor) !== 3) {
+    equilibria = [];
+    equilibriumMarkers.update(equilibria, attractor.scale, 0.05);
+    document.getElementById('equilibria-list').textContent = attractor.forced
+      ? 'A forced system has no equilibria'
+      : 'Only found for three-dimensional systems';
+    return;
+  }
+  const { seeds, diagonal } = equilibriumSeeds();
+  equilibria = findEquilibria(vectorField(attractor, params[currentAttractor]), seeds);
+  equilibriumMarkers.update(equilibria, attractor.scale, Math.max(0.05, diagonal * 0.008));
+  showEquilibria();
+}
+
+// List each equilibrium with its type, coordinates and eigenvalues
+function showEquilibria() {
+  // Newton leaves rounding-sized values where the exact one is zero
+  const format = value => Math.abs(value) < 1e-8 ? 0 : Number(value.toPrecision(4));
+  const list = document.getElementById('equilibria-list');
+  list.innerHTML = equilibria.map(({ point, type, eigenvalues }) => {
+    const { name, color } = equilibriumTypes[type];
+    const lambdas = eigenvalues
+      .filter(({ im }) => im >= 0)
+      .map(({ re, im }) => im > 0 ? `${format(re)} ± ${format(im)}i` : `${format(re)}`)
+      .join(', ');
+    return `
+            <div style="margin-bottom: 4px;">
+                <span style="color: ${color};">●</span> ${name}<br>
+                (${point.map(format).join(', ')})<br>
+                λ = ${lambdas}
+            </div>`;
+  }).join('') || 'None found';
+}
+
+function setEquilibriaEnabled(enabled) {
+  equilibriaEnabled = enabled;
+  equilibriumMarkers.object.visible = enabled;
+  document.getElementById('equilibria-list').style.display = enabled ? 'block' : 'none';
+  equilibriaNeedUpdate = true;
+  equilibriaFoundAt = -Infinity;
+}
+
+// Color function - creates rainbow color effect over n ring slots. The
+// cycle is periodic in i, so colours stay continuous where the ring wraps.
+function getColor(i, n) {
+  const phi = i / n * Math.PI * 2;
+  const r = Math.sin(phi) * 0.5 + 0.5;
+  const g = Math.sin(phi + 2 * Math.PI / 3) * 0.5 + 0.5;
+  const b = Math.sin(phi + 4 * Math.PI / 3) * 0.5 + 0.5;
+  return { r, g, b };
+}
+
+// Animation loop
+function animate(now) {
+  requestAnimationFrame(animate);
+  const timeline = currentTimeline();
+  if (timeline.playing) {
+    timeline.update(now);
+    showTimelinePlayhead();
+    // Playback ending on this frame still lands on the final values
+    if (!timeline.playing) {
+      showTimelineValues();
+    }
+  }
+  if (updateParametersFromUI()) {
+    worker.postMessage({ type: 'configure', params: params[currentAttractor] });
+    bifurcationNeedsDraw = true;
+    equilibriaNeedUpdate = true;
+  }
+
+  if (!awaitingBatch) {
+    if (queuedSteps > 0) {
+      worker.postMessage({ type: 'step', steps: queuedSteps, single: true });
+      queuedSteps = 0;
+    } else {
+      if (!paused) {
+        stepCarry += stepsPerFrame * timeScale;
+      }
+      const steps = Math.floor(stepCarry);
+      stepCarry -= steps;
+      worker.postMessage({ type: 'step', steps });
+    }
+    awaitingBatch = true;
+  }
+  updateIntegratorStatus();
+  updatePermalink(now);
+  drawSectionPlot(now);
+  drawSeparationPlot(now);
+  drawBifurcationPlot(now);
+  drawDensity(now);
+  updateView(now);
+  updateEquilibria(now);
+  updateProjection(now);
+  updateTurntable(now);
+  if (now - colorRangeCheckedAt > 500) {
+    updateColorRange();
+    colorRangeCheckedAt = now;
+  }
+  rig.update(now);
+  controls.autoRotate = viewSettings.autoRotate && !turntable.running;
+  controls.update();
+  if (layoutSettings.split) {
+    findHoveredPoint();
+    showCursor();
+    drawStripChart(now);
+    const [quadrant] = splitView.viewports(window.innerWidth, window.innerHeight);
+    marker.update(camera, quadrant.width, quadrant.height);
+    cursor.update(camera, quadrant.width, quadrant.height);
+    splitView.render(scene, camera, window.innerWidth, window.innerHeight, glow.render);
+  } else {
+    marker.update(camera, window.innerWidth, window.innerHeight);
+    glow.render();
+  }
+}
+
+// Slider markup for every parameter in an attractor's schema
+function paramSliders(key, attractor) {
+  return Object.entries(attractor.params).map(([name, spec]) => `
+        <div>
+            <label for="${key}-${name}">${spec.label}:</label>
+            <input type="range" id="${key}-${name}" min="${spec.min}" max="${spec.max}" step="${spec.step}" value="${spec.value}">
+            <span id="${key}-${name}-value">${spec.value}</span>
+        </div>`).join('');
+}
+
+// Set a parameter slider and its label to exactly value, widening the
+// slider's range, and dropping its step if value is off the grid, so that
+// updateParametersFromUI() reads the same value back
+function setSliderValue(input, value) {
+  input.min = Math.min(parseFloat(input.min), value);
+  input.max = Math.max(parseFloat(input.max), value);
+  const steps = (value - parseFloat(input.min)) / parseFloat(input.step);
+  if (input.step !== 'any' && Math.abs(steps - Math.round(steps)) > 1e-6) {
+    input.step = 'any';
+  }
+  input.value = value;
+  const valueSpan = document.getElementById(`${input.id}-value`);
+  if (valueSpan) {
+    valueSpan.textContent = input.value;
+  }
+}
+
+// Keep each slider's value label in sync with the slider
+function bindSliderLabels(root) {
+  root.querySelectorAll('input[type="range"]').forEach(slider => {
+    const valueSpan = document.getElementById(`${slider.id}-value`);
+    if (valueSpan) {
+      valueSpan.textContent = slider.value;
+    }
+    slider.addEventListener('input', function() {
+      if (valueSpan) {
+        valueSpan.textContent = this.value;
+      }
+    });
+  });
+}
+
+// Build the slider panel for one attractor from its parameter schema
+function createParamPanel(key, attractor) {
+  const panel = document.createElement('div');
+  panel.id = `${key}-params`;
+  panel.className = 'attractor-params';
+  if (key !== currentAttractor) {
+    panel.style.display = 'none';
+  }
+  const equations = attractor.equations ? ['dx', 'dy', 'dz'].map(axis => `
+        <div>
+            <label for="${key}-${axis}-equation">${axis}/dt =</label>
+            <input type="text" id="${key}-${axis}-equation" value="${attractor.equations[axis]}" spellcheck="false" style="width: 200px;">
+            <div id="${key}-${axis}-error" class="equation-error" style="color: #ff6b6b; font-size: 12px;"></div>
+        </div>`).join('') + `
+        <button id="${key}-apply">Apply</button>` : '';
+  panel.innerHTML = `
+        <h3>${attractor.name} Parameters</h3>${equations}
+        <div id="${key}-sliders">${paramSliders(key, attractor)}</div>
+    `;
+  return panel;
+}
+
+// Compile the typed equations into the custom attractor and rebuild its sliders
+function applyCustomEquations() {
+  const equations = {};
+  ['dx', 'dy', 'dz'].forEach(axis => {
+    equations[axis] = document.getElementById(`custom-${axis}-equation`).value;
+    document.getElementById(`custom-${axis}-error`).textContent = '';
+  });
+
+  try {
+    installCustomAttractor(customAttractor(equations, params.custom));
+  } catch (error) {
+    if (!(error instanceof EquationError)) {
+      throw error;
+    }
+    Object.entries(error.errors).forEach(([axis, axisError]) => {
+      document.getElementById(`custom-${axis}-error`).textContent = axisError.message;
+    });
+    return;
+  }
+
+  if (currentAttractor === 'custom') {
+    configureWorker();
+    resetAttractor();
+  }
+}
+
+// Replace the custom attractor, showing its equations and rebuilding its sliders
+function installCustomAttractor(attractor) {
+  attractors.custom = attractor;
+  params.custom = defaultParams(attractor);
+  ['dx', 'dy', 'dz'].forEach(axis => {
+    document.getElementById(`custom-${axis}-equation`).value = attractor.equations[axis];
+  });
+  const sliders = document.getElementById('custom-sliders');
+  sliders.innerHTML = paramSliders('custom', attractor);
+  bindSliderLabels(sliders);
+  updateTimelinePanel();
+  equilibria = [];
+  equilibriaNeedUpdate = true;
+}
+
+// The current attractor, parameters and initial state as a preset
+function presetFromCurrent(name) {
+  const preset = { name, attractor: currentAttractor, params: { ...params[currentAttractor] }, initial: initialState.slice() };
+  const { equations } = attractors[currentAttractor];
+  if (equations) {
+    preset.equations = { ...equations };
+  }
+  return preset;
+}
+
+// Switch to a preset or permalink snapshot: its attractor (and equations),
+// its parameters over the registry defaults, its initial state and, when
+// it has one, its camera pose. Returns false if the equations do not compile.
+function applySnapshot(snapshot) {
+  const { attractor, equations, initial, camera: pose } = snapshot;
+  if (equations && attractor === 'custom') {
+    try {
+      installCustomAttractor(customAttractor(equations, snapshot.params));
+    } catch (error) {
+      if (!(error instanceof EquationError)) {
+        throw error;
+      }
+      showPresetStatus(`Equations do not compile:\n${error.message}`, true);
+      return false;
+    }
+  }
+
+  const values = defaultParams(attractors[attractor]);
+  Object.keys(values).forEach(key => {
+    if (Number.isFinite(snapshot.params[key])) {
+      values[key] = snapshot.params[key];
+    }
+  });
+  params[attractor] = values;
+  changeAttractor(attractor, initial);
+
+  if (pose) {
+    setAutoFit(false);
+    viewNeedsFit = false;
+    rig.cancel();
+    camera.position.fromArray(pose.position);
+    controls.target.fromArray(pose.target);
+    controls.update();
+  }
+  return true;
+}
+
+// Rewrite the URL hash with a permalink to the current view, at most twice a
+// second. replaceState keeps the camera motion out of the browser history.
+function updatePermalink(now, force = false) {
+  if (!force && now - permalinkWrittenAt < 500) {
+    return;
+  }
+  permalinkWrittenAt = now;
+  const hash = `#${encodePermalink({
+    ...presetFromCurrent(),
+    camera: { position: camera.position.toArray(), target: controls.target.toArray() }
+  })}`;
+  if (hash !== window.location.hash) {
+    history.replaceState(null, '', hash);
+  }
+}
+
+// Apply the permalink in the URL hash, if there is one
+function applyPermalink() {
+  const snapshot = decodePermalink(window.location.hash);
+  if (snapshot) {
+    applySnapshot(snapshot);
+  }
+}
+
+// List the built-in and saved presets of the current attractor
+function updatePresetList() {
+  const select = document.getElementById('preset-select');
+  select.innerHTML = '';
+  const group = (label, presets, source) => {
+    const entries = presets
+      .map((preset, index) => ({ preset, index }))
+      .filter(({ preset }) => preset.attractor === currentAttractor);
+    if (entries.length === 0) {
+      return;
+    }
+    const optgroup = document.createElement('optgroup');
+    optgroup.label = label;
+    entries.forEach(({ preset, index }) => {
+      optgroup.appendChild(new Option(preset.name, `${source}:${index}`));
+    });
+    select.appendChild(optgroup);
+  };
+  group('Built-in', builtinPresets, 'builtin');
+  group('Saved', savedPresets, 'saved');
+  updatePresetButtons();
+}
+
+// Only saved presets can be deleted
+function updatePresetButtons() {
+  const value = document.getElementById('preset-select').value;
+  document.getElementById('preset-load').disabled = value === '';
+  document.getElementById('preset-delete').disabled = !value.startsWith('saved:');
+}
+
+// The preset picked in the list, or null
+function selectedPreset() {
+  const [source, index] = document.getElementById('preset-select').value.split(':');
+  const presets = source === 'builtin' ? builtinPresets : source === 'saved' ? savedPresets : [];
+  return presets[index] ?? null;
+}
+
+// Apply the picked preset, keeping it picked in the rebuilt list
+function loadSelectedPreset() {
+  const select = document.getElementById('preset-select');
+  const { value } = select;
+  const preset = selectedPreset();
+  if (preset && applySnapshot(preset)) {
+    select.value = value;
+    updatePresetButtons();
+    showPresetStatus(`Loaded "${preset.name}"`);
+  }
+}
+
+// Save the current settings under the typed name, replacing any saved
+// preset of this attractor with the same name
+function saveCurrentPreset() {
+  const name = document.getElementById('preset-name').value.trim();
+  if (name === '') {
+    showPresetStatus('Enter a name for the preset', true);
+    return;
+  }
+  upsertPreset(savedPresets, presetFromCurrent(name));
+  if (storePresets()) {
+    showPresetStatus(`Saved "${name}"`);
+  }
+  updatePresetList();
+  const index = savedPresets.findIndex(p => p.attractor === currentAttractor && p.name === name);
+  document.getElementById('preset-select').value = `saved:${index}`;
+  updatePresetButtons();
+}
+
+function deleteSelectedPreset() {
+  const preset = selectedPreset();
+  const index = savedPresets.indexOf(preset);
+  if (index === -1) {
+    return;
+  }
+  savedPresets.splice(index, 1);
+  if (storePresets()) {
+    showPresetStatus(`Deleted "${preset.name}"`);
+  }
+  updatePresetList();
+}
+
+// Write the saved presets to localStorage, reporting whether that worked
+function storePresets() {
+  try {
+    savePresets(savedPresets);
+    return true;
+  } catch (error) {
+    showPresetStatus(`Could not store presets: ${error.message}`, true);
+    return false;
+  }
+}
+
+// Merge the presets in a library file into the saved ones
+async function importPresets(file) {
+  let presets;
+  try {
+    presets = parsePresetLibrary(await file.text());
+  } catch (error) {
+    if (!(error instanceof PresetError)) {
+      throw error;
+    }
+    showPresetStatus(`${file.name}: ${error.message}`, true);
+    return;
+  }
+  presets.forEach(preset => upsertPreset(savedPresets, preset));
+  if (storePresets()) {
+    showPresetStatus(`Imported ${presets.length} preset${presets.length === 1 ? '' : 's'}`);
+  }
+  updatePresetList();
+}
+
+// Put a permalink to the current view on the clipboard
+async function copyPermalink() {
+  updatePermalink(performance.now(), true);
+  try {
+    await navigator.clipboard.writeText(window.location.href);
+    showPresetStatus('Link copied to the clipboard');
+  } catch (error) {
+    showPresetStatus('Could not copy; the link is in the address bar', true);
+  }
+}
+
+function showPresetStatus(message, isError = false) {
+  const status = document.getElementById('preset-status');
+  status.textContent = message;
+  status.style.color = isError ? '#ff6b6b' : 'inherit';
+}
+
+// The current attractor's timeline
+function currentTimeline() {
+  timelines[currentAttractor] ??= createTimeline();
+  return timelines[currentAttractor];
+}
+
+// Move the sliders of the animated parameters to the timeline's values at
+// its playhead
+function showTimelineValues() {
+  Object.entries(currentTimeline().valuesAt()).forEach(([key, value]) => {
+    const input = document.getElementById(`${currentAttractor}-${key}`);
+    if (input) {
+      setSliderValue(input, Number(value.toPrecision(6)));
+    }
+  });
+}
+
+function showTimelinePlayhead() {
+  const timeline = currentTimeline();
+  document.getElementById('timeline-scrub').value = timeline.time;
+  document.getElementById('timeline-time').textContent = `${timeline.time.toFixed(2)} s`;
+  document.getElementById('timeline-play').textContent = timeline.playing ? 'Pause' : 'Play';
 }
 
-// Update UI to reflect current parameters
-function updateUIFromParams() {
-  document.querySelectorAll('.attractor-params').forEach(el => {
-    el.style.display = 'none';
-  });
-  const currentParamDiv = document.getElementById(`${currentAttractor}-params`);
-  if (currentParamDiv) {
-    currentParamDiv.style.display = 'block';
-  }
-  document.getElementById('attractor-type').value = currentAttractor;
-  const currentParams = params[currentAttractor];
-  if (currentParams) {
-    Object.keys(currentParams).forEach(key => {
-      const input = document.getElementById(`${currentAttractor}-${key}`);
-      if (input) {
-        input.value = currentParams[key];
+// Rows of value and easing inputs for every keyframe
+function buildTimelineKeys() {
+  const timeline = currentTimeline();
+  const list = document.getElementById('timeline-keys');
+  const schema = attractors[currentAttractor].params;
+  list.innerHTML = '';
+  timeline.keyframes().forEach(({ param, time, value, easing }) => {
+    const row = document.createElement('div');
+    row.innerHTML = `
+            <span style="display: inline-block; width: 110px;">${time.toFixed(2)} s ${schema[param]?.label ?? param}</span>
+            <input type="number" step="any" value="${value}" style="width: 60px;">
+            <select>${easingOptions}</select>
+            <button title="Remove this keyframe">−</button>
+        `;
+    const [, valueInput, easingSelect, removeButton] = row.children;
+    easingSelect.value = easing;
+    valueInput.addEventListener('change', () => {
+      const number = parseFloat(valueInput.value);
+      if (Number.isFinite(number)) {
+        timeline.updateKeyframe(param, time, { value: number });
+        showTimelineValues();
+      } else {
+        valueInput.value = value;
       }
     });
+    easingSelect.addEventListener('change', () => {
+      timeline.updateKeyframe(param, time, { easing: easingSelect.value });
+      showTimelineValues();
+    });
+    removeButton.addEventListener('click', () => {
+      timeline.removeKeyframe(param, time);
+      buildTimelineKeys();
+    });
+    list.appendChild(row);
+  });
+  if (timeline.empty) {
+    list.textContent = 'No keyframes';
   }
 }
 
-// Update parameters from UI
-function updateParametersFromUI() {
-  const currentParams = params[currentAttractor];
-  if (currentParams) {
-    Object.keys(currentParams).forEach(key => {
-      const input = document.getElementById(`${currentAttractor}-${key}`);
-      if (input) {
-        currentParams[key] = parseFloat(input.value);
-      }
-    });
+// Show the current attractor's parameters, keyframes and playback settings
+function updateTimelinePanel() {
+  const timeline = currentTimeline();
+  const select = document.getElementById('timeline-param');
+  const selected = select.value;
+  select.innerHTML = Object.entries(attractors[currentAttractor].params)
+    .map(([key, spec]) => `<option value="${key}">${spec.label}</option>`)
+    .join('');
+  if (selected in attractors[currentAttractor].params) {
+    select.value = selected;
   }
+  document.getElementById('timeline-duration').value = timeline.duration;
+  document.getElementById('timeline-loop').checked = timeline.loop;
+  document.getElementById('timeline-scrub').max = timeline.duration;
+  buildTimelineKeys();
+  showTimelinePlayhead();
 }
 
-// Change attractor type
-function changeAttractor(type) {
-  currentAttractor = type;
-  resetAttractor();
+// Keyframe the selected parameter at the playhead with its slider's value
+function addTimelineKey() {
+  const key = document.getElementById('timeline-param').value;
+  const timeline = currentTimeline();
+  const value = parseFloat(document.getElementById(`${currentAttractor}-${key}`).value);
+  timeline.setKeyframe(key, timeline.time, value, document.getElementById('timeline-easing').value);
+  buildTimelineKeys();
 }
 
-// Attractor equations with RK4
-function computeNextPoint() {
-  let dx = 0, dy = 0, dz = 0;
-  const k = 10; // Scaling factor for Aizawa
-
-  switch (currentAttractor) {
-    case 'lorenz': {
-      const { dt } = params.lorenz;
-      // k1
-      let { dx: k1x, dy: k1y, dz: k1z } = lorenzDerivatives(x, y, z, params.lorenz);
-      k1x *= dt; k1y *= dt; k1z *= dt;
-      // k2
-      let { dx: k2x, dy: k2y, dz: k2z } = lorenzDerivatives(x + k1x / 2, y + k1y / 2, z + k1z / 2, params.lorenz);
-      k2x *= dt; k2y *= dt; k2z *= dt;
-      // k3
-      let { dx: k3x, dy: k3y, dz: k3z } = lorenzDerivatives(x + k2x / 2, y + k2y / 2, z + k2z / 2, params.lorenz);
-      k3x *= dt; k3y *= dt; k3z *= dt;
-      // k4
-      let { dx: k4x, dy: k4y, dz: k4z } = lorenzDerivatives(x + k3x, y + k3y, z + k3z, params.lorenz);
-      k4x *= dt; k4y *= dt; k4z *= dt;
-      // Update
-      dx = (k1x + 2 * k2x + 2 * k3x + k4x) / 6;
-      dy = (k1y + 2 * k2y + 2 * k3y + k4y) / 6;
-      dz = (k1z + 2 * k2z + 2 * k3z + k4z) / 6;
-      break;
-    }
-    case 'aizawa': {
-      const { dt: dtA } = params.aizawa;
-      // k1
-      let { dx: k1x, dy: k1y, dz: k1z } = aizawaDerivatives(x, y, z, params.aizawa, k);
-      k1x *= dtA; k1y *= dtA; k1z *= dtA;
-      // k2
-      let { dx: k2x, dy: k2y, dz: k2z } = aizawaDerivatives(x + k1x / 2, y + k1y / 2, z + k1z / 2, params.aizawa, k);
-      k2x *= dtA; k2y *= dtA; k2z *= dtA;
-      // k3
-      let { dx: k3x, dy: k3y, dz: k3z } = aizawaDerivatives(x + k2x / 2, y + k2y / 2, z + k2z / 2, params.aizawa, k);
-      k3x *= dtA; k3y *= dtA; k3z *= dtA;
-      // k4
-      let { dx: k4x, dy: k4y, dz: k4z } = aizawaDerivatives(x + k3x, y + k3y, z + k3z, params.aizawa, k);
-      k4x *= dtA; k4y *= dtA; k4z *= dtA;
-      // Update
-      dx = (k1x + 2 * k2x + 2 * k3x + k4x) / 6;
-      dy = (k1y + 2 * k2y + 2 * k3y + k4y) / 6;
-      dz = (k1z + 2 * k2z + 2 * k3z + k4z) / 6;
-      break;
-    }
-    case 'rossler': {
-      const { dt: dtR } = params.rossler;
-      // k1
-      let { dx: k1x, dy: k1y, dz: k1z } = rosslerDerivatives(x, y, z, params.rossler);
-      k1x *= dtR; k1y *= dtR; k1z *= dtR;
-      // k2
-      let { dx: k2x, dy: k2y, dz: k2z } = rosslerDerivatives(x + k1x / 2, y + k1y / 2, z + k1z / 2, params.rossler);
-      k2x *= dtR; k2y *= dtR; k2z *= dtR;
-      // k3
-      let { dx: k3x, dy: k3y, dz: k3z } = rosslerDerivatives(x + k2x / 2, y + k2y / 2, z + k2z / 2, params.rossler);
-      k3x *= dtR; k3y *= dtR; k3z *= dtR;
-      // k4
-      let { dx: k4x, dy: k4y, dz: k4z } = rosslerDerivatives(x + k3x, y + k3y, z + k3z, params.rossler);
-      k4x *= dtR; k4y *= dtR; k4z *= dtR;
-      // Update
-      dx = (k1x + 2 * k2x + 2 * k3x + k4x) / 6;
-      dy = (k1y + 2 * k2y + 2 * k3y + k4y) / 6;
-      dz = (k1z + 2 * k2z + 2 * k3z + k4z) / 6;
-      break;
-    }
-    case 'chen': {
-      const { dt: dtC } = params.chen;
-      // k1
-      let { dx: k1x, dy: k1y, dz: k1z } = chenDerivatives(x, y, z, params.chen);
-      k1x *= dtC; k1y *= dtC; k1z *= dtC;
-      // k2
-      let { dx: k2x, dy: k2y, dz: k2z } = chenDerivatives(x + k1x / 2, y + k1y / 2, z + k1z / 2, params.chen);
-      k2x *= dtC; k2y *= dtC; k2z *= dtC;
-      // k3
-      let { dx: k3x, dy: k3y, dz: k3z } = chenDerivatives(x + k2x / 2, y + k2y / 2, z + k2z / 2, params.chen);
-      k3x *= dtC; k3y *= dtC; k3z *= dtC;
-      // k4
-      let { dx: k4x, dy: k4y, dz: k4z } = chenDerivatives(x + k3x, y + k3y, z + k3z, params.chen);
-      k4x *= dtC; k4y *= dtC; k4z *= dtC;
-      // Update
-      dx = (k1x + 2 * k2x + 2 * k3x + k4x) / 6;
-      dy = (k1y + 2 * k2y + 2 * k3y + k4y) / 6;
-      dz = (k1z + 2 * k2z + 2 * k3z + k4z) / 6;
-      break;
-    }
-    case 'thomas': {
-      const { dt: dtT } = params.thomas;
-      // k1
-      let { dx: k1x, dy: k1y, dz: k1z } = thomasDerivatives(x, y, z, params.thomas);
-      k1x *= dtT; k1y *= dtT; k1z *= dtT;
-      // k2
-      let { dx: k2x, dy: k2y, dz: k2z } = thomasDerivatives(x + k1x / 2, y + k1y / 2, z + k1z / 2, params.thomas);
-      k2x *= dtT; k2y *= dtT; k2z *= dtT;
-      // k3
-      let { dx: k3x, dy: k3y, dz: k3z } = thomasDerivatives(x + k2x / 2, y + k2y / 2, z + k2z / 2, params.thomas);
-      k3x *= dtT; k3y *= dtT; k3z *= dtT;
-      // k4
-      let { dx: k4x, dy: k4y, dz: k4z } = thomasDerivatives(x + k3x, y + k3y, z + k3z, params.thomas);
-      k4x *= dtT; k4y *= dtT; k4z *= dtT;
-      // Update
-      dx = (k1x + 2 * k2x + 2 * k3x + k4x) / 6;
-      dy = (k1y + 2 * k2y + 2 * k3y + k4y) / 6;
-      dz = (k1z + 2 * k2z + 2 * k3z + k4z) / 6;
-      break;
-    }
-    case 'dadras': {
-      const { dt: dtD } = params.dadras;
-      // k1
-      let { dx: k1x, dy: k1y, dz: k1z } = dadrasDerivatives(x, y, z, params.dadras);
-      k1x *= dtD; k1y *= dtD; k1z *= dtD;
-      // k2
-      let { dx: k2x, dy: k2y, dz: k2z } = dadrasDerivatives(x + k1x / 2, y + k1y / 2, z + k1z / 2, params.dadras);
-      k2x *= dtD; k2y *= dtD; k2z *= dtD;
-      // k3
-      let { dx: k3x, dy: k3y, dz: k3z } = dadrasDerivatives(x + k2x / 2, y + k2y / 2, z + k2z / 2, params.dadras);
-      k3x *= dtD; k3y *= dtD; k3z *= dtD;
-      // k4
-      let { dx: k4x, dy: k4y, dz: k4z } = dadrasDerivatives(x + k3x, y + k3y, z + k3z, params.dadras);
-      k4x *= dtD; k4y *= dtD; k4z *= dtD;
-      // Update
-      dx = (k1x + 2 * k2x + 2 * k3x + k4x) / 6;
-      dy = (k1y + 2 * k2y + 2 * k3y + k4y) / 6;
-      dz = (k1z + 2 * k2z + 2 * k3z + k4z) / 6;
-      break;
-    }
-  }
-
-  x += dx;
-  y += dy;
-  z += dz;
-
-  return new THREE.Vector3(x, y, z);
-}
-
-// Color function - creates rainbow color effect
-function getColor(i) {
-  const phi = i / maxPoints * Math.PI * 2;
-  const r = Math.sin(phi) * 0.5 + 0.5;
-  const g = Math.sin(phi + 2 * Math.PI / 3) * 0.5 + 0.5;
-  const b = Math.sin(phi + 4 * Math.PI / 3) * 0.5 + 0.5;
-  return { r, g, b };
+function toggleTimeline() {
+  const timeline = currentTimeline();
+  if (timeline.playing) {
+    timeline.pause();
+  } else if (timeline.empty) {
+    showTimelineStatus('Add a keyframe first', true);
+    return;
+  } else {
+    timeline.play();
+  }
+  showTimelineStatus('');
+  showTimelinePlayhead();
 }
 
-// Animation loop
-function animate() {
-  requestAnimationFrame(animate);
-  updateParametersFromUI();
-  const newPoint = computeNextPoint();
-
-  if (pointCount < maxPoints) {
-    positions[pointCount * 3] = newPoint.x;
-    positions[pointCount * 3 + 1] = newPoint.y;
-    positions[pointCount * 3 + 2] = newPoint.z;
-    const color = getColor(pointCount);
-    colors[pointCount * 3] = color.r;
-    colors[pointCount * 3 + 1] = color.g;
-    colors[pointCount * 3 + 2] = color.b;
-    pointCount++;
-  } else {
-    for (let i = 0; i < maxPoints - 1; i++) {
-      positions[i * 3] = positions[(i + 1) * 3];
-      positions[i * 3 + 1] = positions[(i + 1) * 3 + 1];
-      positions[i * 3 + 2] = positions[(i + 1) * 3 + 2];
-      colors[i * 3] = colors[(i + 1) * 3];
-      colors[i * 3 + 1] = colors[(i + 1) * 3 + 1];
-      colors[i * 3 + 2] = colors[(i + 1) * 3 + 2];
-    }
-    positions[(maxPoints - 1) * 3] = newPoint.x;
-    positions[(maxPoints - 1) * 3 + 1] = newPoint.y;
-    positions[(maxPoints - 1) * 3 + 2] = newPoint.z;
-    const color = getColor(maxPoints - 1);
-    colors[(maxPoints - 1) * 3] = color.r;
-    colors[(maxPoints - 1) * 3 + 1] = color.g;
-    colors[(maxPoints - 1) * 3 + 2] = color.b;
-  }
-
-  geometry.attributes.position.needsUpdate = true;
-  geometry.attributes.color.needsUpdate = true;
-  geometry.setDrawRange(0, pointCount);
-  controls.update();
-  renderer.render(scene, camera);
+function showTimelineStatus(message, isError = false) {
+  const status = document.getElementById('timeline-status');
+  status.textContent = message;
+  status.style.color = isError ? '#ff6b6b' : 'inherit';
 }
 
 // Create UI for attractor selection and parameters
@@ -422,16 +2731,12 @@ function createUI() {
   uiContainer.style.overflowY = 'auto';
 
   const typeSelector = document.createElement('div');
+  const options = Object.entries(attractors)
+    .map(([key, attractor]) => `<option value="${key}">${attractor.name}</option>`)
+    .join('');
   typeSelector.innerHTML = `
         <label for="attractor-type">Attractor Type:</label>
-        <select id="attractor-type">
-            <option value="lorenz">Lorenz</option>
-            <option value="aizawa">Aizawa</option>
-            <option value="rossler">Rössler</option>
-            <option value="chen">Chen</option>
-            <option value="thomas">Thomas</option>
-            <option value="dadras">Dadras</option>
-        </select>
+        <select id="attractor-type">${options}</select>
     `;
   uiContainer.appendChild(typeSelector);
 
@@ -441,217 +2746,1123 @@ function createUI() {
   resetButton.style.marginLeft = '10px';
   typeSelector.appendChild(resetButton);
 
-  const lorenzParams = document.createElement('div');
-  lorenzParams.id = 'lorenz-params';
-  lorenzParams.className = 'attractor-params';
-  lorenzParams.innerHTML = `
-        <h3>Lorenz Parameters</h3>
+  const pauseButton = document.createElement('button');
+  pauseButton.id = 'pause';
+  pauseButton.textContent = 'Pause';
+  pauseButton.style.marginLeft = '5px';
+  typeSelector.appendChild(pauseButton);
+
+  const playbackPanel = document.createElement('div');
+  playbackPanel.innerHTML = `
+        <h3>Playback</h3>
+        <div>
+            <button id="playback-step" title="Right arrow; Shift for 10 steps">Step</button>
+            <label for="playback-speed">Time scale:</label>
+            <input type="range" id="playback-speed" min="0" max="${timeScales.length - 1}" step="1" value="${timeScales.indexOf(timeScale)}">
+            <span id="playback-speed-value">×${timeScale}</span>
+        </div>
+        <div>
+            <label for="playback-scrub">History:</label>
+            <input type="range" id="playback-scrub" min="0" max="0" step="1" value="0" style="width: 200px;">
+        </div>
+        <div style="font-size: 12px;">Space pause · ← → step · ↑ ↓ time scale · R reset</div>
+    `;
+  uiContainer.appendChild(playbackPanel);
+
+  Object.entries(attractors).forEach(([key, attractor]) => {
+    uiContainer.appendChild(createParamPanel(key, attractor));
+  });
+
+  const presetPanel = document.createElement('div');
+  presetPanel.innerHTML = `
+        <h3>Presets</h3>
+        <div>
+            <select id="preset-select" style="width: 170px;"></select>
+            <button id="preset-load">Load</button>
+            <button id="preset-delete">Delete</button>
+        </div>
+        <div>
+            <input type="text" id="preset-name" placeholder="Preset name" style="width: 165px;">
+            <button id="preset-save">Save</button>
+        </div>
+        <div>
+            <button id="preset-export">Export</button>
+            <button id="preset-import">Import</button>
+            <input type="file" id="preset-file" accept=".json,application/json" style="display: none;">
+            <button id="permalink-copy">Copy link</button>
+        </div>
+        <div id="preset-status" style="font-size: 12px; white-space: pre-wrap;"></div>
+    `;
+  uiContainer.appendChild(presetPanel);
+
+  const timelinePanel = document.createElement('div');
+  timelinePanel.innerHTML = `
+        <h3>Timeline</h3>
+        <div>
+            <select id="timeline-param"></select>
+            <select id="timeline-easing">${easingOptions}</select>
+            <button id="timeline-key">Add keyframe</button>
+        </div>
+        <div id="timeline-keys" style="font-size: 12px;"></div>
+        <div>
+            <input type="range" id="timeline-scrub" min="0" max="20" step="0.01" value="0">
+            <span id="timeline-time">0.00 s</span>
+        </div>
+        <div>
+            <button id="timeline-play">Play</button>
+            <input type="checkbox" id="timeline-loop" checked>
+            <label for="timeline-loop">Loop</label>
+            <label for="timeline-duration">Length:</label>
+            <input type="number" id="timeline-duration" min="1" step="1" value="20" style="width: 50px;">
+            <span style="font-size: 12px;">s</span>
+            <button id="timeline-clear">Clear</button>
+        </div>
+        <div id="timeline-status" style="font-size: 12px;"></div>
+    `;
+  uiContainer.appendChild(timelinePanel);
+
+  const integratorPanel = document.createElement('div');
+  const methods = Object.entries(integrators)
+    .map(([key, integrator]) => `<option value="${key}">${integrator.name}</option>`)
+    .join('');
+  integratorPanel.innerHTML = `
+        <h3>Integrator</h3>
+        <div>
+            <label for="integrator-type">Method:</label>
+            <select id="integrator-type">${methods}</select>
+        </div>
+        <div id="integrator-tolerances" style="display: none;">
+            <div>
+                <label for="integrator-atol">Abs. tolerance:</label>
+                <input type="number" id="integrator-atol" min="0" step="any" value="${integratorOptions.atol}" style="width: 80px;">
+            </div>
+            <div>
+                <label for="integrator-rtol">Rel. tolerance:</label>
+                <input type="number" id="integrator-rtol" min="0" step="any" value="${integratorOptions.rtol}" style="width: 80px;">
+            </div>
+        </div>
+        <div>
+            <label for="divergence-mode">On divergence:</label>
+            <select id="divergence-mode">
+                <option value="warn">Pause and warn</option>
+                <option value="retry">Retry with halved dt</option>
+                <option value="reset">Reset</option>
+            </select>
+        </div>
+        <div id="integrator-status" style="font-size: 12px; margin-top: 5px;"></div>
+        <div id="integrator-note" style="font-size: 12px;"></div>
+    `;
+  uiContainer.appendChild(integratorPanel);
+
+  const trailPanel = document.createElement('div');
+  trailPanel.innerHTML = `
+        <h3>Trail</h3>
+        <div>
+            <label for="trail-length">Length:</label>
+            <input type="number" id="trail-length" min="${minTrailLength}" max="${maxTrailLength}" step="100" value="${trailLength}" style="width: 90px;">
+        </div>
+        <div>
+            <label for="steps-per-frame">Steps per frame:</label>
+            <input type="range" id="steps-per-frame" min="1" max="200" step="1" value="${stepsPerFrame}">
+            <span id="steps-per-frame-value">${stepsPerFrame}</span>
+        </div>
+    `;
+  uiContainer.appendChild(trailPanel);
+
+  const [x0, y0, z0, w0 = 0] = attractors[currentAttractor].initial;
+  const seedPanel = document.createElement('div');
+  seedPanel.innerHTML = `
+        <h3>Initial State &amp; Seeds</h3>
+        <div>
+            <label>Start at:</label>
+            <input type="number" id="initial-x" step="any" value="${x0}" style="width: 50px;">
+            <input type="number" id="initial-y" step="any" value="${y0}" style="width: 50px;">
+            <input type="number" id="initial-z" step="any" value="${z0}" style="width: 50px;">
+            <input type="number" id="initial-w" step="any" value="${w0}" style="width: 50px; display: none;">
+            <button id="initial-apply">Restart</button>
+        </div>
+        <div>
+            <input type="checkbox" id="seed-clicks">
+            <label for="seed-clicks">Click in the scene to add seeds</label>
+        </div>
+        <div>
+            <label for="seed-offset">Offset:</label>
+            <input type="number" id="seed-offset" min="0" step="any" value="1e-6" style="width: 60px;">
+            <button id="seed-nearby">Add nearby seed</button>
+        </div>
+        <div id="seed-list" style="font-size: 12px;"></div>
+        <div id="seed-output" style="display: none;">
+            <div style="font-size: 12px;">Separation from the main trajectory:</div>
+            <canvas id="seed-plot" width="280" height="100" style="background: rgba(255, 255, 255, 0.05);"></canvas>
+            <div id="seed-readout" style="font-size: 12px; font-family: monospace;"></div>
+        </div>
+        <div id="seed-status" style="font-size: 12px;"></div>
+    `;
+  uiContainer.appendChild(seedPanel);
+
+  const styleOptions = Object.entries(trailStyles)
+    .map(([key, style]) => `<option value="${key}">${style.name}</option>`)
+    .join('');
+  const slider = (id, label, min, max, step, value) => `
+        <div id="${id}-row">
+            <label for="${id}">${label}:</label>
+            <input type="range" id="${id}" min="${min}" max="${max}" step="${step}" value="${value}">
+            <span id="${id}-value">${value}</span>
+        </div>`;
+  const { strength, radius, threshold } = glow.settings;
+  const renderPanel = document.createElement('div');
+  renderPanel.innerHTML = `
+        <h3>Render Style</h3>
+        <div>
+            <label for="render-style">Style:</label>
+            <select id="render-style">${styleOptions}</select>
+        </div>
+        ${slider('render-width', 'Width (px)', 1, 12, 0.5, trailAppearance.width)}
+        ${slider('render-radius', 'Radius', 0.02, 1, 0.01, trailAppearance.radius)}
+        ${slider('render-size', 'Point size', 0.05, 2, 0.05, trailAppearance.size)}
+        ${slider('render-opacity', 'Opacity', 0.1, 1, 0.05, trailAppearance.opacity)}
+        ${slider('render-fade', 'Fade tail', 0, 1, 0.05, trailAppearance.fade)}
+        <div>
+            <input type="checkbox" id="render-bloom">
+            <label for="render-bloom">Bloom</label>
+        </div>
+        <div id="render-bloom-options" style="display: none;">
+            ${slider('bloom-strength', 'Strength', 0, 3, 0.1, strength)}
+            ${slider('bloom-radius', 'Radius', 0, 1, 0.05, radius)}
+            ${slider('bloom-threshold', 'Threshold', 0, 1, 0.05, threshold)}
+        </div>
+    `;
+  uiContainer.appendChild(renderPanel);
+
+  const viewButtons = Object.entries(viewDirections)
+    .map(([key, view]) => `<button data-view="${key}" title="Look from ${view.name}">${view.name}</button>`)
+    .join('');
+  const gridOptions = Object.entries(gridPlanes)
+    .map(([key, plane]) => `<option value="${key}">${plane.name}</option>`)
+    .join('');
+  const viewPanel = document.createElement('div');
+  viewPanel.innerHTML = `
+        <h3>View</h3>
+        <div>
+            <input type="checkbox" id="view-auto-fit" ${viewSettings.autoFit ? 'checked' : ''}>
+            <label for="view-auto-fit">Auto-fit</label>
+            <button id="view-fit">Fit now</button>
+        </div>
+        <div id="view-directions">${viewButtons}</div>
+        <div>
+            <input type="checkbox" id="view-auto-rotate">
+            <label for="view-auto-rotate">Auto-rotate</label>
+            <input type="range" id="view-rotate-speed" min="0.2" max="10" step="0.2" value="${controls.autoRotateSpeed}">
+            <span id="view-rotate-speed-value">${controls.autoRotateSpeed}</span>
+        </div>
         <div>
-            <label for="lorenz-sigma">Sigma:</label>
-            <input type="range" id="lorenz-sigma" min="1" max="20" step="0.1" value="10">
-            <span id="lorenz-sigma-value">10</span>
+            <input type="checkbox" id="view-axes" checked>
+            <label for="view-axes">Axes</label>
+            <label for="view-grid">Grid:</label>
+            <select id="view-grid">${gridOptions}</select>
         </div>
         <div>
-            <label for="lorenz-rho">Rho:</label>
-            <input type="range" id="lorenz-rho" min="0" max="100" step="0.1" value="28">
-            <span id="lorenz-rho-value">28</span>
+            <input type="checkbox" id="view-split">
+            <label for="view-split">Split: projections and x, y, z(t)</label>
         </div>
         <div>
-            <label for="lorenz-beta">Beta:</label>
-            <input type="range" id="lorenz-beta" min="0" max="10" step="0.001" value="2.666">
-            <span id="lorenz-beta-value">2.666</span>
+            <label for="view-strip-span">Strip span:</label>
+            <input type="range" id="view-strip-span" min="5" max="200" step="5" value="${layoutSettings.stripSpan}">
+            <span id="view-strip-span-value">${layoutSettings.stripSpan}</span>
         </div>
         <div>
-            <label for="lorenz-dt">Speed:</label>
-            <input type="range" id="lorenz-dt" min="0.001" max="0.05" step="0.001" value="0.01">
-            <span id="lorenz-dt-value">0.01</span>
+            <select id="view-select" style="width: 120px;"></select>
+            <button id="view-go">Go</button>
+            <button id="view-delete">Delete</button>
+        </div>
+        <div>
+            <input type="text" id="view-name" placeholder="View name" style="width: 120px;">
+            <button id="view-save">Save view</button>
+        </div>
+        <div id="view-status" style="font-size: 12px;"></div>
+    `;
+  uiContainer.appendChild(viewPanel);
+
+  const projectionOptions = Object.entries(projectionModes)
+    .map(([key, mode]) => `<option value="${key}">${mode.name}</option>`)
+    .join('');
+  const planeOptions = Object.entries(rotationPlanes)
+    .map(([key, plane]) => `<option value="${key}">${plane.name}</option>`)
+    .join('');
+  const projectionPanel = document.createElement('div');
+  projectionPanel.id = 'projection-panel';
+  projectionPanel.style.display = 'none';
+  projectionPanel.innerHTML = `
+        <h3>4D Projection</h3>
+        <div>
+            <label for="projection-mode">Draw:</label>
+            <select id="projection-mode">${projectionOptions}</select>
+        </div>
+        <div id="projection-rotation" style="display: none;">
+            <div>
+                <label for="projection-plane">Turn in plane:</label>
+                <select id="projection-plane">${planeOptions}</select>
+            </div>
+            ${slider('projection-speed', 'Speed (°/s)', 0, 90, 1, projectionSettings.speed)}
+        </div>
+        <div style="font-size: 12px;">Colour by the w coordinate to show it where it is not drawn.</div>
+    `;
+  uiContainer.appendChild(projectionPanel);
+
+  const quantities = Object.entries(colorQuantities)
+    .map(([key, quantity]) => `<option value="${key}">${quantity.name}</option>`)
+    .join('');
+  const paletteOptions = Object.entries(palettes)
+    .map(([key, palette]) => `<option value="${key}">${palette.name}</option>`)
+    .join('');
+  const colorPanel = document.createElement('div');
+  colorPanel.innerHTML = `
+        <h3>Colour</h3>
+        <div>
+            <label for="color-quantity">Colour by:</label>
+            <select id="color-quantity">${quantities}</select>
+        </div>
+        <div id="color-point" style="display: none;">
+            <label>Point q:</label>
+            <input type="number" id="color-qx" step="any" value="0" style="width: 50px;">
+            <input type="number" id="color-qy" step="any" value="0" style="width: 50px;">
+            <input type="number" id="color-qz" step="any" value="0" style="width: 50px;">
+        </div>
+        <div id="color-options" style="display: none;">
+            <div>
+                <label for="color-palette">Palette:</label>
+                <select id="color-palette">${paletteOptions}<option value="custom">Custom gradient</option></select>
+            </div>
+            <div id="color-gradient" style="display: none;">
+                <div id="color-gradient-stops"></div>
+                <button id="color-gradient-add">Add stop</button>
+            </div>
+            <div>
+                <input type="checkbox" id="color-auto" ${colorSettings.auto ? 'checked' : ''}>
+                <label for="color-auto">Automatic range</label>
+            </div>
+            <div>
+                <label for="color-min">Range:</label>
+                <input type="number" id="color-min" step="any" value="${colorSettings.min}" style="width: 70px;" disabled>
+                <label for="color-max">to</label>
+                <input type="number" id="color-max" step="any" value="${colorSettings.max}" style="width: 70px;" disabled>
+            </div>
         </div>
     `;
-  uiContainer.appendChild(lorenzParams);
+  uiContainer.appendChild(colorPanel);
 
-  const aizawaParams = document.createElement('div');
-  aizawaParams.id = 'aizawa-params';
-  aizawaParams.className = 'attractor-params';
-  aizawaParams.style.display = 'none';
-  aizawaParams.innerHTML = `
-        <h3>Aizawa Parameters</h3>
+  const formats = Object.entries(exportFormats)
+    .map(([key, format]) => `<option value="${key}">${format.name}</option>`)
+    .join('');
+  const exportPanel = document.createElement('div');
+  exportPanel.innerHTML = `
+        <h3>Export</h3>
         <div>
-            <label for="aizawa-a">a:</label>
-            <input type="range" id="aizawa-a" min="0.1" max="2" step="0.01" value="0.95">
-            <span id="aizawa-a-value">0.95</span>
+            <label for="export-format">Format:</label>
+            <select id="export-format">${formats}</select>
         </div>
         <div>
-            <label for="aizawa-b">b:</label>
-            <input type="range" id="aizawa-b" min="0.1" max="2" step="0.01" value="0.7">
-            <span id="aizawa-b-value">0.7</span>
+            <label for="export-source">Points:</label>
+            <select id="export-source">
+                <option value="trail">Visible trail</option>
+                <option value="fresh">Fresh trajectory</option>
+            </select>
+        </div>
+        <div id="export-fresh" style="display: none;">
+            <label for="export-count">Length:</label>
+            <input type="number" id="export-count" min="2" max="2000000" step="1000" value="100000" style="width: 90px;">
+            <span style="font-size: 12px;">points, one per dt</span>
         </div>
+        <button id="export-run">Export</button>
+        <progress id="export-progress" max="1" value="0" style="width: 100px; display: none;"></progress>
+        <div id="export-status" style="font-size: 12px;"></div>
+    `;
+  uiContainer.appendChild(exportPanel);
+
+  const capturePanel = document.createElement('div');
+  capturePanel.innerHTML = `
+        <h3>Capture</h3>
         <div>
-            <label for="aizawa-c">c:</label>
-            <input type="range" id="aizawa-c" min="0.1" max="2" step="0.01" value="0.6">
-            <span id="aizawa-c-value">0.6</span>
+            <label for="capture-width">Image:</label>
+            <input type="number" id="capture-width" min="16" step="1" value="3840" style="width: 60px;">
+            <label for="capture-height">×</label>
+            <input type="number" id="capture-height" min="16" step="1" value="2160" style="width: 60px;">
         </div>
         <div>
-            <label for="aizawa-d">d:</label>
-            <input type="range" id="aizawa-d" min="1" max="10" step="0.1" value="3.5">
-            <span id="aizawa-d-value">3.5</span>
+            <input type="checkbox" id="capture-transparent">
+            <label for="capture-transparent">Transparent background</label>
         </div>
+        <button id="capture-still">Save PNG</button>
         <div>
-            <label for="aizawa-e">e:</label>
-            <input type="range" id="aizawa-e" min="0.1" max="1" step="0.01" value="0.25">
-            <span id="aizawa-e-value">0.25</span>
+            <label for="capture-bitrate">Video bitrate:</label>
+            <input type="number" id="capture-bitrate" min="1" max="50" step="1" value="8" style="width: 50px;">
+            <span style="font-size: 12px;">Mbit/s</span>
         </div>
+        <button id="capture-record">Record WebM</button>
         <div>
-            <label for="aizawa-f">f:</label>
-            <input type="range" id="aizawa-f" min="0.01" max="0.5" step="0.01" value="0.1">
-            <span id="aizawa-f-value">0.1</span>
+            <label for="turntable-speed">Turntable speed:</label>
+            <input type="number" id="turntable-speed" min="1" max="360" step="1" value="30" style="width: 50px;">
+            <span style="font-size: 12px;">°/s</span>
         </div>
         <div>
-            <label for="aizawa-dt">Speed:</label>
-            <input type="range" id="aizawa-dt" min="0.001" max="0.05" step="0.001" value="0.01">
-            <span id="aizawa-dt-value">0.01</span>
+            <label for="turntable-growth">Grow from empty for</label>
+            <input type="number" id="turntable-growth" min="0" step="10" value="600" style="width: 60px;">
+            <span style="font-size: 12px;">frames</span>
         </div>
+        <button id="turntable-run">Record turntable</button>
+        <div id="capture-status" style="font-size: 12px;"></div>
     `;
-  uiContainer.appendChild(aizawaParams);
+  uiContainer.appendChild(capturePanel);
 
-  const rosslerParams = document.createElement('div');
-  rosslerParams.id = 'rossler-params';
-  rosslerParams.className = 'attractor-params';
-  rosslerParams.style.display = 'none';
-  rosslerParams.innerHTML = `
-        <h3>Rössler Parameters</h3>
+  const modeOptions = Object.entries(soundModes)
+    .map(([key, mode]) => `<option value="${key}">${mode.name}</option>`)
+    .join('');
+  const shapeOptions = oscillatorTypes.map(type => `<option value="${type}">${type}</option>`).join('');
+  const coordinateOptions = ['x', 'y', 'z'].map(axis => `<option value="${axis}">${axis}</option>`).join('');
+  const mappingRows = Object.entries(soundTargets).map(([key, target]) => `
+            <tr>
+                <td>${target.name}</td>
+                <td><select id="sound-${key}-source">${soundSources.map(source => `<option value="${source}">${source}</option>`).join('')}</select></td>
+                <td><input type="number" id="sound-${key}-low" min="${target.min}" max="${target.max}" step="any" value="${target.low}" style="width: 55px;"></td>
+                <td><input type="number" id="sound-${key}-high" min="${target.min}" max="${target.max}" step="any" value="${target.high}" style="width: 55px;"></td>
+            </tr>`).join('');
+  const soundPanel = document.createElement('div');
+  soundPanel.innerHTML = `
+        <h3>Sound</h3>
         <div>
-            <label for="rossler-a">a:</label>
-            <input type="range" id="rossler-a" min="0.1" max="0.4" step="0.01" value="0.2">
-            <span id="rossler-a-value">0.2</span>
+            <input type="checkbox" id="sound-enabled">
+            <label for="sound-enabled">Play</label>
+            <input type="checkbox" id="sound-muted">
+            <label for="sound-muted">Mute</label>
         </div>
         <div>
-            <label for="rossler-b">b:</label>
-            <input type="range" id="rossler-b" min="0.1" max="0.4" step="0.01" value="0.2">
-            <span id="rossler-b-value">0.2</span>
+            <label for="sound-volume">Volume:</label>
+            <input type="range" id="sound-volume" min="0" max="1" step="0.05" value="${soundSettings.volume}">
+            <span id="sound-volume-value">${soundSettings.volume}</span>
         </div>
         <div>
-            <label for="rossler-c">c:</label>
-            <input type="range" id="rossler-c" min="1" max="14" step="0.1" value="5.7">
-            <span id="rossler-c-value">5.7</span>
+            <label for="sound-mode">Mode:</label>
+            <select id="sound-mode">${modeOptions}</select>
         </div>
+        <div id="sound-shape-row">
+            <label for="sound-shape">Oscillator:</label>
+            <select id="sound-shape">${shapeOptions}</select>
+        </div>
+        <div id="sound-waveform-row" style="display: none;">
+            <label for="sound-waveform">Waveform from</label>
+            <select id="sound-waveform">${coordinateOptions}</select>
+            <label for="sound-period">over</label>
+            <input type="number" id="sound-period" min="16" max="8192" step="16" value="${soundSettings.period}" style="width: 55px;">
+            <span style="font-size: 12px;">points</span>
+        </div>
+        <table style="font-size: 12px;">
+            <tr><th></th><th>From</th><th>Low</th><th>High</th></tr>${mappingRows}
+        </table>
         <div>
-            <label for="rossler-dt">Speed:</label>
-            <input type="range" id="rossler-dt" min="0.001" max="0.05" step="0.001" value="0.01">
-            <span id="rossler-dt-value">0.01</span>
+            <label for="sound-duration">Offline:</label>
+            <input type="number" id="sound-duration" min="1" max="600" step="1" value="30" style="width: 45px;">
+            <span style="font-size: 12px;">s at</span>
+            <input type="number" id="sound-rate" min="1" max="10000" step="1" value="60" style="width: 50px;">
+            <span style="font-size: 12px;">steps/s</span>
         </div>
+        <button id="sound-render">Render WAV</button>
+        <div id="sound-status" style="font-size: 12px;"></div>
     `;
-  uiContainer.appendChild(rosslerParams);
+  uiContainer.appendChild(soundPanel);
 
-  const chenParams = document.createElement('div');
-  chenParams.id = 'chen-params';
-  chenParams.className = 'attractor-params';
-  chenParams.style.display = 'none';
-  chenParams.innerHTML = `
-        <h3>Chen Parameters</h3>
+  const ensemblePanel = document.createElement('div');
+  ensemblePanel.innerHTML = `
+        <h3>Ensemble</h3>
+        <div>
+            <input type="checkbox" id="ensemble-enabled">
+            <label for="ensemble-enabled">Integrate a particle cloud</label>
+        </div>
+        <div>
+            <label for="ensemble-count">Particles:</label>
+            <input type="number" id="ensemble-count" min="1" max="50000" step="100" value="${ensembleSettings.count}" style="width: 70px;">
+        </div>
+        <div>
+            <label for="ensemble-distribution">Seed in:</label>
+            <select id="ensemble-distribution">
+                <option value="ball">Ball</option>
+                <option value="grid">Grid</option>
+            </select>
+        </div>
         <div>
-            <label for="chen-a">a:</label>
-            <input type="range" id="chen-a" min="20" max="50" step="0.1" value="35">
-            <span id="chen-a-value">35</span>
+            <label for="ensemble-radius">Radius:</label>
+            <input type="range" id="ensemble-radius" min="0.01" max="5" step="0.01" value="${ensembleSettings.radius}">
+            <span id="ensemble-radius-value">${ensembleSettings.radius}</span>
         </div>
         <div>
-            <label for="chen-b">b:</label>
-            <input type="range" id="chen-b" min="1" max="10" step="0.1" value="3">
-            <span id="chen-b-value">3</span>
+            <label for="ensemble-tail">Tail:</label>
+            <input type="range" id="ensemble-tail" min="2" max="50" step="1" value="${ensembleSettings.tailLength}">
+            <span id="ensemble-tail-value">${ensembleSettings.tailLength}</span>
         </div>
         <div>
-            <label for="chen-c">c:</label>
-            <input type="range" id="chen-c" min="10" max="40" step="0.1" value="28">
-            <span id="chen-c-value">28</span>
+            <label>Center:</label>
+            <input type="number" id="ensemble-x" step="any" value="${x0}" style="width: 50px;">
+            <input type="number" id="ensemble-y" step="any" value="${y0}" style="width: 50px;">
+            <input type="number" id="ensemble-z" step="any" value="${z0}" style="width: 50px;">
         </div>
+        <button id="ensemble-seed">Reseed</button>
+    `;
+  uiContainer.appendChild(ensemblePanel);
+
+  const lyapunovPanel = document.createElement('div');
+  lyapunovPanel.innerHTML = `
+        <h3>Lyapunov Exponents</h3>
+        <div>
+            <input type="checkbox" id="lyapunov-enabled" ${lyapunovEnabled ? 'checked' : ''}>
+            <label for="lyapunov-enabled">Estimate</label>
+        </div>
+        <div id="lyapunov-output">
+            <div id="lyapunov-readout" style="font-size: 12px; font-family: monospace;"></div>
+            <canvas id="lyapunov-plot" width="280" height="100" style="background: rgba(255, 255, 255, 0.05);"></canvas>
+        </div>
+    `;
+  uiContainer.appendChild(lyapunovPanel);
+
+  const equilibriaPanel = document.createElement('div');
+  equilibriaPanel.innerHTML = `
+        <h3>Equilibria</h3>
         <div>
-            <label for="chen-dt">Speed:</label>
-            <input type="range" id="chen-dt" min="0.0001" max="0.01" step="0.0001" value="0.001">
-            <span id="chen-dt-value">0.001</span>
+            <input type="checkbox" id="equilibria-enabled">
+            <label for="equilibria-enabled">Find and show</label>
         </div>
+        <div id="equilibria-list" style="display: none; font-size: 12px; font-family: monospace;"></div>
     `;
-  uiContainer.appendChild(chenParams);
+  uiContainer.appendChild(equilibriaPanel);
 
-  const thomasParams = document.createElement('div');
-  thomasParams.id = 'thomas-params';
-  thomasParams.className = 'attractor-params';
-  thomasParams.style.display = 'none';
-  thomasParams.innerHTML = `
-        <h3>Thomas Parameters</h3>
+  const sectionDefaults = attractors[currentAttractor].section ?? { axis: 'x', offset: 0 };
+  const sectionPanel = document.createElement('div');
+  sectionPanel.innerHTML = `
+        <h3>Poincaré Section</h3>
+        <div>
+            <input type="checkbox" id="section-enabled">
+            <label for="section-enabled">Show section</label>
+        </div>
+        <div>
+            <label for="section-axis">Plane:</label>
+            <select id="section-axis">
+                <option value="x">x = offset</option>
+                <option value="y">y = offset</option>
+                <option value="z">z = offset</option>
+                <option value="normal">n · p = offset</option>
+            </select>
+        </div>
+        <div id="section-normal" style="display: none;">
+            <label>Normal:</label>
+            <input type="number" id="section-nx" step="any" value="1" style="width: 50px;">
+            <input type="number" id="section-ny" step="any" value="0" style="width: 50px;">
+            <input type="number" id="section-nz" step="any" value="1" style="width: 50px;">
+        </div>
         <div>
-            <label for="thomas-b">b:</label>
-            <input type="range" id="thomas-b" min="0.1" max="0.3" step="0.001" value="0.208186">
-            <span id="thomas-b-value">0.208186</span>
+            <label for="section-offset">Offset:</label>
+            <input type="number" id="section-offset" step="any" value="${sectionDefaults.offset}" style="width: 70px;">
         </div>
         <div>
-            <label for="thomas-dt">Speed:</label>
-            <input type="range" id="thomas-dt" min="0.01" max="0.1" step="0.01" value="0.05">
-            <span id="thomas-dt-value">0.05</span>
+            <label for="section-direction">Crossings:</label>
+            <select id="section-direction">
+                <option value="up">Upward</option>
+                <option value="down">Downward</option>
+                <option value="both">Both</option>
+            </select>
         </div>
+        <div>
+            <label for="section-plot-mode">Plot:</label>
+            <select id="section-plot-mode">
+                <option value="section">Section (u, v)</option>
+                <option value="return">Return map</option>
+            </select>
+        </div>
+        <button id="section-clear">Clear</button>
+        <button id="section-export">Export CSV</button>
     `;
-  uiContainer.appendChild(thomasParams);
+  uiContainer.appendChild(sectionPanel);
 
-  const dadrasParams = document.createElement('div');
-  dadrasParams.id = 'dadras-params';
-  dadrasParams.className = 'attractor-params';
-  dadrasParams.style.display = 'none';
-  dadrasParams.innerHTML = `
-        <h3>Dadras Parameters</h3>
+  const bifurcationPanel = document.createElement('div');
+  bifurcationPanel.innerHTML = `
+        <h3>Bifurcation Diagram</h3>
         <div>
-            <label for="dadras-a">a:</label>
-            <input type="range" id="dadras-a" min="1" max="5" step="0.1" value="3">
-            <span id="dadras-a-value">3</span>
+            <label for="bifurcation-parameter">Parameter:</label>
+            <select id="bifurcation-parameter"></select>
         </div>
         <div>
-            <label for="dadras-b">b:</label>
-            <input type="range" id="dadras-b" min="1" max="5" step="0.1" value="2.7">
-            <span id="dadras-b-value">2.7</span>
+            <label for="bifurcation-from">From:</label>
+            <input type="number" id="bifurcation-from" step="any" style="width: 60px;">
+            <label for="bifurcation-to">to:</label>
+            <input type="number" id="bifurcation-to" step="any" style="width: 60px;">
         </div>
         <div>
-            <label for="dadras-c">c:</label>
-            <input type="range" id="dadras-c" min="0.5" max="3" step="0.1" value="1.7">
-            <span id="dadras-c-value">1.7</span>
+            <label for="bifurcation-columns">Columns:</label>
+            <input type="number" id="bifurcation-columns" min="1" max="2000" value="300" style="width: 60px;">
         </div>
         <div>
-            <label for="dadras-d">d:</label>
-            <input type="range" id="dadras-d" min="0.5" max="5" step="0.1" value="2">
-            <span id="dadras-d-value">2</span>
+            <label for="bifurcation-transient">Transient:</label>
+            <input type="number" id="bifurcation-transient" min="0" step="any" value="50" style="width: 50px;">
+            <label for="bifurcation-record">Record:</label>
+            <input type="number" id="bifurcation-record" min="0" step="any" value="50" style="width: 50px;">
         </div>
         <div>
-            <label for="dadras-e">e:</label>
-            <input type="range" id="dadras-e" min="5" max="15" step="0.1" value="9">
-            <span id="dadras-e-value">9</span>
+            <label for="bifurcation-mode">Record:</label>
+            <select id="bifurcation-mode">
+                <option value="maxima">Local maxima</option>
+                <option value="section">Section crossings</option>
+            </select>
+            <label for="bifurcation-coordinate">of</label>
+            <select id="bifurcation-coordinate">
+                <option value="0">x</option>
+                <option value="1">y</option>
+                <option value="2" selected>z</option>
+            </select>
         </div>
+        <button id="bifurcation-run">Run</button>
+        <button id="bifurcation-hide">Hide plot</button>
+        <progress id="bifurcation-progress" max="1" value="0" style="width: 100px;"></progress>
+        <div id="bifurcation-status" style="font-size: 12px;"></div>
+    `;
+  uiContainer.appendChild(bifurcationPanel);
+
+  const mapOptions = Object.entries(maps)
+    .map(([key, map]) => `<option value="${key}">${map.name} (${map.dimension}D)</option>`)
+    .join('');
+  const rendererOptions = Object.entries(densityRenderers)
+    .map(([key, renderer]) => `<option value="${key}">${renderer.name}</option>`)
+    .join('');
+  const mapSliders = Object.entries(maps)
+    .map(([key, map]) => `<div id="map-${key}-params" class="map-params">${paramSliders(`map-${key}`, map)}</div>`)
+    .join('');
+  const mapPanel = document.createElement('div');
+  mapPanel.innerHTML = `
+        <h3>Discrete Maps</h3>
         <div>
-            <label for="dadras-dt">Speed:</label>
-            <input type="range" id="dadras-dt" min="0.001" max="0.05" step="0.001" value="0.01">
-            <span id="dadras-dt-value">0.01</span>
+            <input type="checkbox" id="map-enabled">
+            <label for="map-enabled">Show a map's density instead of the flow</label>
+        </div>
+        <div id="map-options" style="display: none;">
+            <div>
+                <label for="map-type">Map:</label>
+                <select id="map-type">${mapOptions}</select>
+            </div>
+            ${mapSliders}
+            <div>
+                <label for="map-renderer">Render:</label>
+                <select id="map-renderer">${rendererOptions}</select>
+                <label for="map-resolution">Cells:</label>
+                <select id="map-resolution"></select>
+            </div>
+            <div id="map-plane-row">
+                <label for="map-plane">Image plane:</label>
+                <select id="map-plane">
+                    <option value="xy">x, y</option>
+                    <option value="xz">x, z</option>
+                    <option value="yz">y, z</option>
+                </select>
+            </div>
+            ${slider('map-exposure', 'Exposure', 0.2, 5, 0.05, mapSettings.exposure)}
+            ${slider('map-gamma', 'Gamma', 0.5, 4, 0.05, mapSettings.gamma)}
+            <div>
+                <label for="map-limit">Stop after</label>
+                <input type="number" id="map-limit" min="0.1" step="any" value="${mapSettings.limit}" style="width: 50px;">
+                <span>million points</span>
+            </div>
+            <div>
+                <button id="map-restart">Restart</button>
+                <button id="map-save">Save image</button>
+                <progress id="map-progress" max="1" value="0" style="width: 100px;"></progress>
+            </div>
+            <div style="font-size: 12px;">Colours come from the palette in the Colour panel.</div>
+            <div id="map-status" style="font-size: 12px;"></div>
         </div>
     `;
-  uiContainer.appendChild(dadrasParams);
+  uiContainer.appendChild(mapPanel);
 
   document.body.appendChild(uiContainer);
 
+  const densityCanvas = document.createElement('canvas');
+  densityCanvas.id = 'density-image';
+  densityCanvas.width = window.innerWidth;
+  densityCanvas.height = window.innerHeight;
+  densityCanvas.style.position = 'absolute';
+  densityCanvas.style.left = '0';
+  densityCanvas.style.top = '0';
+  densityCanvas.style.display = 'none';
+  document.body.appendChild(densityCanvas);
+  densityImage = createDensityImage(densityCanvas);
+
+  const sectionPlot = document.createElement('canvas');
+  sectionPlot.id = 'section-plot';
+  sectionPlot.width = 320;
+  sectionPlot.height = 320;
+  sectionPlot.style.position = 'absolute';
+  sectionPlot.style.right = '10px';
+  sectionPlot.style.bottom = '10px';
+  sectionPlot.style.borderRadius = '5px';
+  sectionPlot.style.display = 'none';
+  document.body.appendChild(sectionPlot);
+
+  const divergenceWarning = document.createElement('div');
+  divergenceWarning.id = 'divergence-warning';
+  divergenceWarning.innerHTML = `
+        <strong>The simulation diverged</strong>
+        <div id="divergence-message" style="margin: 5px 0;"></div>
+        <button id="divergence-halve">Halve dt and restart</button>
+        <button id="divergence-reset">Reset</button>
+    `;
+  divergenceWarning.style.position = 'absolute';
+  divergenceWarning.style.top = '10px';
+  divergenceWarning.style.left = '50%';
+  divergenceWarning.style.transform = 'translateX(-50%)';
+  divergenceWarning.style.maxWidth = '420px';
+  divergenceWarning.style.padding = '10px';
+  divergenceWarning.style.background = 'rgba(60, 0, 0, 0.9)';
+  divergenceWarning.style.border = '1px solid #ff6b6b';
+  divergenceWarning.style.borderRadius = '5px';
+  divergenceWarning.style.color = 'white';
+  divergenceWarning.style.fontFamily = 'Arial, sans-serif';
+  divergenceWarning.style.fontSize = '13px';
+  divergenceWarning.style.zIndex = '1001';
+  divergenceWarning.style.display = 'none';
+  document.body.appendChild(divergenceWarning);
+  document.body.appendChild(marker.label);
+  document.body.appendChild(cursor.label);
+
+  const stripCanvas = document.createElement('canvas');
+  stripCanvas.id = 'strip-chart';
+  stripCanvas.width = window.innerWidth;
+  stripCanvas.height = stripHeight;
+  stripCanvas.style.position = 'absolute';
+  stripCanvas.style.left = '0';
+  stripCanvas.style.bottom = '0';
+  stripCanvas.style.cursor = 'crosshair';
+  stripCanvas.style.display = 'none';
+  document.body.appendChild(stripCanvas);
+  stripChart = createStripChart(stripCanvas);
+
+  const colorLegend = document.createElement('canvas');
+  colorLegend.id = 'color-legend';
+  colorLegend.width = 80;
+  colorLegend.height = 220;
+  colorLegend.style.position = 'absolute';
+  colorLegend.style.left = '10px';
+  colorLegend.style.bottom = '10px';
+  colorLegend.style.borderRadius = '5px';
+  colorLegend.style.display = 'none';
+  document.body.appendChild(colorLegend);
+
+  const bifurcationPlot = document.createElement('canvas');
+  bifurcationPlot.id = 'bifurcation-plot';
+  bifurcationPlot.width = 480;
+  bifurcationPlot.height = 320;
+  bifurcationPlot.title = 'Click a column to use that parameter value';
+  bifurcationPlot.style.position = 'absolute';
+  bifurcationPlot.style.right = '10px';
+  bifurcationPlot.style.top = '10px';
+  bifurcationPlot.style.borderRadius = '5px';
+  bifurcationPlot.style.cursor = 'crosshair';
+  bifurcationPlot.style.display = 'none';
+  document.body.appendChild(bifurcationPlot);
+  bifurcation = createBifurcationDiagram(bifurcationPlot);
+
   document.getElementById('attractor-type').addEventListener('change', function() {
     changeAttractor(this.value);
   });
 
   document.getElementById('reset').addEventListener('click', resetAttractor);
 
-  document.querySelectorAll('input[type="range"]').forEach(slider => {
-    const valueSpan = document.getElementById(`${slider.id}-value`);
-    if (valueSpan) {
-      valueSpan.textContent = slider.value;
+  updatePresetList();
+  document.getElementById('preset-select').addEventListener('change', updatePresetButtons);
+  document.getElementById('preset-load').addEventListener('click', loadSelectedPreset);
+  document.getElementById('preset-delete').addEventListener('click', deleteSelectedPreset);
+  document.getElementById('preset-save').addEventListener('click', saveCurrentPreset);
+  document.getElementById('preset-export').addEventListener('click', () => {
+    downloadText(presetLibraryJSON(savedPresets), 'strangeattrs-presets.json', 'application/json');
+  });
+  document.getElementById('preset-import').addEventListener('click', () => {
+    document.getElementById('preset-file').click();
+  });
+  document.getElementById('preset-file').addEventListener('change', function() {
+    if (this.files.length > 0) {
+      importPresets(this.files[0]);
     }
-    slider.addEventListener('input', function() {
-      if (valueSpan) {
-        valueSpan.textContent = this.value;
+    this.value = '';
+  });
+  document.getElementById('permalink-copy').addEventListener('click', copyPermalink);
+  window.addEventListener('hashchange', applyPermalink);
+  document.getElementById('pause').addEventListener('click', () => setPaused(!paused));
+  document.getElementById('playback-step').addEventListener('click', () => stepForward(1));
+  document.getElementById('playback-speed').addEventListener('input', function() {
+    setTimeScale(parseInt(this.value, 10));
+  });
+  document.getElementById('playback-scrub').addEventListener('input', function() {
+    scrubTo(parseInt(this.value, 10));
+  });
+  window.addEventListener('keydown', handlePlaybackKey);
+  document.getElementById('divergence-halve').addEventListener('click', () => recoverFromDivergence('halve'));
+  document.getElementById('divergence-reset').addEventListener('click', () => recoverFromDivergence('reset'));
+  document.getElementById('divergence-mode').addEventListener('change', function() {
+    divergenceMode = this.value;
+    autoRecoveries = 0;
+  });
+
+  document.getElementById('trail-length').addEventListener('change', function() {
+    const length = Math.round(Math.min(maxTrailLength, Math.max(minTrailLength, parseFloat(this.value) || trailLength)));
+    this.value = length;
+    if (length !== trailLength) {
+      trailLength = length;
+      trail.resize(trailLength, colorFor);
+      seeds.configure({ length: trailLength });
+    }
+  });
+
+  document.getElementById('steps-per-frame').addEventListener('input', function() {
+    stepsPerFrame = parseInt(this.value, 10);
+  });
+
+  document.getElementById('initial-apply').addEventListener('click', restartFromInputs);
+  document.getElementById('seed-clicks').addEventListener('change', function() {
+    seedClicks = this.checked;
+    renderer.domElement.style.cursor = seedClicks ? 'crosshair' : '';
+  });
+  renderer.domElement.addEventListener('pointerdown', event => {
+    seedPointer = seedClicks && event.button === 0 ? { x: event.clientX, y: event.clientY } : null;
+  });
+  renderer.domElement.addEventListener('pointerup', seedAtClick);
+  // In the split layout only the perspective quadrant orbits, so the
+  // controls are switched on or off as each drag or wheel turn starts there,
+  // before they see the event
+  ['pointerdown', 'wheel'].forEach(type => {
+    window.addEventListener(type, event => {
+      if (event.target === renderer.domElement && !turntable.running) {
+        controls.enabled = !layoutSettings.split || viewAt(event)?.key === 'perspective';
+      }
+    }, true);
+  });
+  renderer.domElement.addEventListener('pointermove', event => {
+    if (layoutSettings.split) {
+      hoverPointer = viewAt(event);
+    }
+  });
+  renderer.domElement.addEventListener('pointerleave', () => {
+    if (layoutSettings.split) {
+      hoverPointer = null;
+      setHover(null);
+    }
+  });
+  document.getElementById('strip-chart').addEventListener('pointermove', event => {
+    setHover(stripChart.timeAt(event.offsetX));
+  });
+  document.getElementById('strip-chart').addEventListener('pointerleave', () => {
+    setHover(null);
+  });
+  document.getElementById('seed-nearby').addEventListener('click', addNearbySeed);
+  buildSeedList();
+
+  document.getElementById('timeline-key').addEventListener('click', addTimelineKey);
+  document.getElementById('timeline-play').addEventListener('click', toggleTimeline);
+  document.getElementById('timeline-scrub').addEventListener('input', function() {
+    currentTimeline().seek(parseFloat(this.value));
+    showTimelineValues();
+    showTimelinePlayhead();
+  });
+  document.getElementById('timeline-loop').addEventListener('change', function() {
+    currentTimeline().configure({ loop: this.checked });
+  });
+  document.getElementById('timeline-duration').addEventListener('change', function() {
+    const duration = Math.max(1, parseFloat(this.value) || currentTimeline().duration);
+    this.value = duration;
+    currentTimeline().configure({ duration });
+    document.getElementById('timeline-scrub').max = duration;
+    showTimelinePlayhead();
+  });
+  document.getElementById('timeline-clear').addEventListener('click', () => {
+    currentTimeline().clear();
+    buildTimelineKeys();
+    showTimelinePlayhead();
+  });
+  updateTimelinePanel();
+
+  document.getElementById('render-style').addEventListener('change', function() {
+    setTrailStyle(this.value);
+  });
+  ['width', 'radius', 'size', 'opacity', 'fade'].forEach(key => {
+    document.getElementById(`render-${key}`).addEventListener('input', function() {
+      trailAppearance[key] = parseFloat(this.value);
+      document.getElementById(`render-${key}-value`).textContent = this.value;
+      trail.setAppearance({ [key]: trailAppearance[key] });
+      seeds.configure({ appearance: { [key]: trailAppearance[key] } });
+    });
+  });
+  document.getElementById('render-bloom').addEventListener('change', function() {
+    glow.configure({ enabled: this.checked });
+    document.getElementById('render-bloom-options').style.display = this.checked ? '' : 'none';
+  });
+  ['strength', 'radius', 'threshold'].forEach(key => {
+    document.getElementById(`bloom-${key}`).addEventListener('input', function() {
+      document.getElementById(`bloom-${key}-value`).textContent = this.value;
+      glow.configure({ [key]: parseFloat(this.value) });
+    });
+  });
+  setTrailStyle(trailAppearance.style);
+
+  // Taking hold of the camera ends auto-fit and any move in progress
+  controls.addEventListener('start', () => {
+    rig.cancel();
+    viewNeedsFit = false;
+    setAutoFit(false);
+  });
+  document.getElementById('view-auto-fit').addEventListener('change', function() {
+    setAutoFit(this.checked);
+    viewCheckedAt = -Infinity;
+  });
+  document.getElementById('view-fit').addEventListener('click', () => {
+    if (trail.count > 1) {
+      rig.fit(trailBox());
+    }
+  });
+  document.querySelectorAll('#view-directions button').forEach(button => {
+    button.addEventListener('click', () => rig.lookAlong(button.dataset.view));
+  });
+  document.getElementById('view-auto-rotate').addEventListener('change', function() {
+    viewSettings.autoRotate = this.checked;
+  });
+  document.getElementById('view-rotate-speed').addEventListener('input', function() {
+    controls.autoRotateSpeed = parseFloat(this.value);
+    document.getElementById('view-rotate-speed-value').textContent = this.value;
+  });
+  document.getElementById('view-axes').addEventListener('change', function() {
+    axes.object.visible = this.checked;
+  });
+  const gridSelect = document.getElementById('view-grid');
+  gridSelect.value = axes.grid;
+  gridSelect.addEventListener('change', function() {
+    axes.setGrid(this.value);
+  });
+  document.getElementById('view-split').addEventListener('change', function() {
+    setSplitLayout(this.checked);
+  });
+  document.getElementById('view-strip-span').addEventListener('input', function() {
+    layoutSettings.stripSpan = parseFloat(this.value);
+    document.getElementById('view-strip-span-value').textContent = this.value;
+    stripNeedsDraw = true;
+  });
+  document.getElementById('projection-mode').addEventListener('change', applyProjectionSettings);
+  document.getElementById('projection-plane').addEventListener('change', applyProjectionSettings);
+  document.getElementById('projection-speed').addEventListener('input', function() {
+    projectionSettings.speed = parseFloat(this.value);
+  });
+  updateProjectionPanel();
+  document.getElementById('view-go').addEventListener('click', goToSelectedView);
+  document.getElementById('view-delete').addEventListener('click', deleteSelectedView);
+  document.getElementById('view-save').addEventListener('click', saveCurrentView);
+  updateViewList();
+
+  document.getElementById('color-quantity').addEventListener('change', function() {
+    setColorQuantity(this.value);
+  });
+  ['x', 'y', 'z'].forEach((axis, i) => {
+    document.getElementById(`color-q${axis}`).addEventListener('change', function() {
+      colorSettings.point[i] = parseFloat(this.value) || 0;
+      setColorQuantity(colorSettings.quantity);
+    });
+  });
+  document.getElementById('color-palette').addEventListener('change', function() {
+    setPalette(this.value);
+  });
+  document.getElementById('color-gradient-add').addEventListener('click', addGradientStop);
+  document.getElementById('color-auto').addEventListener('change', function() {
+    colorSettings.auto = this.checked;
+    document.getElementById('color-min').disabled = this.checked;
+    document.getElementById('color-max').disabled = this.checked;
+    if (this.checked) {
+      updateColorRange(true);
+    }
+  });
+  ['min', 'max'].forEach(key => {
+    document.getElementById(`color-${key}`).addEventListener('change', function() {
+      const value = parseFloat(this.value);
+      if (Number.isFinite(value)) {
+        colorSettings[key] = value;
+        recolorTrail();
+      } else {
+        this.value = colorSettings[key];
+      }
+    });
+  });
+
+  document.getElementById('export-source').addEventListener('change', function() {
+    document.getElementById('export-fresh').style.display = this.value === 'fresh' ? 'block' : 'none';
+  });
+  document.getElementById('export-run').addEventListener('click', toggleExport);
+
+  document.getElementById('capture-still').addEventListener('click', saveStill);
+  document.getElementById('capture-record').addEventListener('click', toggleRecording);
+  document.getElementById('turntable-run').addEventListener('click', toggleTurntable);
+
+  document.getElementById('sound-enabled').addEventListener('change', function() {
+    setSoundEnabled(this.checked);
+  });
+  document.getElementById('sound-muted').addEventListener('change', function() {
+    soundSettings.muted = this.checked;
+    sonifier.configure(soundSettings);
+  });
+  document.getElementById('sound-volume').addEventListener('input', function() {
+    soundSettings.volume = parseFloat(this.value);
+    document.getElementById('sound-volume-value').textContent = this.value;
+    sonifier.configure(soundSettings);
+  });
+  document.getElementById('sound-mode').addEventListener('change', function() {
+    soundSettings.mode = this.value;
+    document.getElementById('sound-shape-row').style.display = this.value === 'mapped' ? 'block' : 'none';
+    document.getElementById('sound-waveform-row').style.display = this.value === 'waveform' ? 'block' : 'none';
+    soundWaveAt = 0;
+    sonifier.configure(soundSettings);
+  });
+  const shapeSelect = document.getElementById('sound-shape');
+  shapeSelect.value = soundSettings.oscillator;
+  shapeSelect.addEventListener('change', function() {
+    soundSettings.oscillator = this.value;
+    sonifier.configure(soundSettings);
+  });
+  document.getElementById('sound-waveform').addEventListener('change', function() {
+    soundSettings.waveform = this.value;
+    soundWaveAt = 0;
+  });
+  document.getElementById('sound-period').addEventListener('change', function() {
+    soundSettings.period = Math.round(Math.min(8192, Math.max(16, parseFloat(this.value) || 512)));
+    this.value = soundSettings.period;
+    soundWaveAt = 0;
+  });
+  Object.entries(soundSettings.mappings).forEach(([key, mapping]) => {
+    const source = document.getElementById(`sound-${key}-source`);
+    source.value = mapping.source;
+    [source, document.getElementById(`sound-${key}-low`), document.getElementById(`sound-${key}-high`)].forEach(input => {
+      input.addEventListener('change', () => readSoundMapping(key));
+    });
+  });
+  document.getElementById('sound-render').addEventListener('click', toggleSoundRender);
+
+  document.getElementById('section-axis').value = sectionDefaults.axis;
+  applySectionSettings();
+  document.getElementById('section-enabled').addEventListener('change', function() {
+    setSectionEnabled(this.checked);
+  });
+  ['section-axis', 'section-nx', 'section-ny', 'section-nz', 'section-offset', 'section-direction'].forEach(id => {
+    document.getElementById(id).addEventListener('change', applySectionSettings);
+  });
+  document.getElementById('section-plot-mode').addEventListener('change', function() {
+    sectionSettings.plot = this.value;
+    sectionNeedsDraw = true;
+  });
+  document.getElementById('section-clear').addEventListener('click', () => {
+    section.clear();
+    sectionNeedsDraw = true;
+  });
+  document.getElementById('section-export').addEventListener('click', () => {
+    downloadText(section.toCSV(), `${currentAttractor}-section.csv`, 'text/csv');
+  });
+
+  updateBifurcationParameters();
+  document.getElementById('bifurcation-parameter').addEventListener('change', updateBifurcationRange);
+  document.getElementById('bifurcation-run').addEventListener('click', toggleBifurcationSweep);
+  document.getElementById('bifurcation-hide').addEventListener('click', () => {
+    document.getElementById('bifurcation-plot').style.display = 'none';
+  });
+  bifurcationPlot.addEventListener('click', pickBifurcationColumn);
+
+  document.getElementById('map-type').value = mapSettings.map;
+  showMapControls();
+  document.getElementById('map-enabled').addEventListener('change', function() {
+    setMapEnabled(this.checked);
+  });
+  ['map-type', 'map-renderer', 'map-resolution', 'map-plane', 'map-limit'].forEach(id => {
+    document.getElementById(id).addEventListener('change', changeMapSetup);
+  });
+  document.querySelectorAll('.map-params input[type="range"]').forEach(input => {
+    input.addEventListener('input', function() {
+      const [key, name] = this.id.slice('map-'.length).split('-');
+      mapParams[key][name] = parseFloat(this.value);
+      mapNeedsRestart = true;
+    });
+  });
+  ['exposure', 'gamma'].forEach(key => {
+    document.getElementById(`map-${key}`).addEventListener('input', function() {
+      mapSettings[key] = parseFloat(this.value);
+      densityNeedsDraw = true;
+    });
+  });
+  document.getElementById('map-restart').addEventListener('click', startDensity);
+  document.getElementById('map-save').addEventListener('click', saveDensityImage);
+
+  document.getElementById('lyapunov-enabled').addEventListener('change', function() {
+    setLyapunovEnabled(this.checked);
+  });
+
+  document.getElementById('equilibria-enabled').addEventListener('change', function() {
+    setEquilibriaEnabled(this.checked);
+  });
+
+  document.getElementById('ensemble-enabled').addEventListener('change', function() {
+    setEnsembleEnabled(this.checked);
+  });
+  document.getElementById('ensemble-count').addEventListener('change', function() {
+    ensembleSettings.count = Math.round(Math.min(50000, Math.max(1, parseFloat(this.value) || ensembleSettings.count)));
+    this.value = ensembleSettings.count;
+  });
+  document.getElementById('ensemble-distribution').addEventListener('change', function() {
+    ensembleSettings.distribution = this.value;
+  });
+  document.getElementById('ensemble-radius').addEventListener('input', function() {
+    ensembleSettings.radius = parseFloat(this.value);
+  });
+  document.getElementById('ensemble-tail').addEventListener('input', function() {
+    ensembleSettings.tailLength = parseInt(this.value, 10);
+  });
+  document.getElementById('ensemble-seed').addEventListener('click', () => {
+    if (ensembleSettings.enabled) {
+      seedEnsemble();
+    }
+  });
+
+  const integratorSelect = document.getElementById('integrator-type');
+  integratorSelect.value = currentIntegrator;
+  integratorSelect.addEventListener('change', function() {
+    changeIntegrator(this.value);
+  });
+  ['atol', 'rtol'].forEach(key => {
+    document.getElementById(`integrator-${key}`).addEventListener('change', function() {
+      const value = parseFloat(this.value);
+      if (value > 0) {
+        integratorOptions[key] = value;
+        worker.postMessage({ type: 'configure', options: integratorOptions });
+      } else {
+        this.value = integratorOptions[key];
+      }
+    });
+  });
+
+  document.getElementById('custom-apply').addEventListener('click', applyCustomEquations);
+  document.querySelectorAll('#custom-params input[type="text"]').forEach(input => {
+    input.addEventListener('keydown', event => {
+      if (event.key === 'Enter') {
+        applyCustomEquations();
       }
     });
   });
+
+  bindSliderLabels(uiContainer);
 }
 
 // Initialize UI
 createUI();
+if (viewLoadError) {
+  showViewStatus(`Ignoring saved views: ${viewLoadError.message}`, true);
+}
+if (presetLoadError) {
+  showPresetStatus(`Ignoring saved presets: ${presetLoadError.message}`, true);
+}
+configureWorker();
+applyPermalink();
 
 // Start animation
 animate();
@@ -0,0 +1,98 @@
+// Discrete map registry
+//
+// The second family of systems beside the flows in attractors.js: maps
+// that take a point straight to the next one, with no time step or
+// integrator. Consecutive iterates jump across the attractor, so they are
+// not joined into a trail but counted into a density histogram (see
+// density-worker.js and density.js). Entries have a parameter schema for
+// the sliders, as the flows do, an initial state, and dimension 2 or 3;
+// iterate(x, y, z, params) returns the next { x, y, z }, with z left at 0
+// by two-dimensional maps.
+export const maps = {
+  henon: {
+    name: 'Hénon',
+    dimension: 2,
+    params: {
+      a: { label: 'a', value: 1.4, min: 1, max: 1.42, step: 0.001 },
+      b: { label: 'b', value: 0.3, min: 0, max: 0.32, step: 0.001 }
+    },
+    initial: [0.1, 0.1, 0],
+    iterate(x, y, z, params) {
+      const { a, b } = params;
+      return { x: 1 - a * x * x + y, y: b * x, z: 0 };
+    }
+  },
+
+  clifford: {
+    name: 'Clifford',
+    dimension: 2,
+    params: {
+      a: { label: 'a', value: -1.4, min: -3, max: 3, step: 0.01 },
+      b: { label: 'b', value: 1.6, min: -3, max: 3, step: 0.01 },
+      c: { label: 'c', value: 1, min: -3, max: 3, step: 0.01 },
+      d: { label: 'd', value: 0.7, min: -3, max: 3, step: 0.01 }
+    },
+    initial: [0.1, 0.1, 0],
+    iterate(x, y, z, params) {
+      const { a, b, c, d } = params;
+      return { x: Math.sin(a * y) + c * Math.cos(a * x), y: Math.sin(b * x) + d * Math.cos(b * y), z: 0 };
+    }
+  },
+
+  deJong: {
+    name: 'Peter de Jong',
+    dimension: 2,
+    params: {
+      a: { label: 'a', value: 1.4, min: -3, max: 3, step: 0.01 },
+      b: { label: 'b', value: -2.3, min: -3, max: 3, step: 0.01 },
+      c: { label: 'c', value: 2.4, min: -3, max: 3, step: 0.01 },
+      d: { label: 'd', value: -2.1, min: -3, max: 3, step: 0.01 }
+    },
+    initial: [0.1, 0.1, 0],
+    iterate(x, y, z, params) {
+      const { a, b, c, d } = params;
+      return { x: Math.sin(a * y) - Math.cos(b * x), y: Math.sin(c * x) - Math.cos(d * y), z: 0 };
+    }
+  },
+
+  ikeda: {
+    name: 'Ikeda',
+    dimension: 2,
+    params: {
+      u: { label: 'u', value: 0.9, min: 0.6, max: 0.99, step: 0.001 }
+    },
+    initial: [0.1, 0.1, 0],
+    // A laser in a ring cavity: each pass rotates the field by an angle
+    // that depends on its intensity, and u is the fraction kept per pass
+    iterate(x, y, z, params) {
+      const { u } = params;
+      const t = 0.4 - 6 / (1 + x * x + y * y);
+      const cos = Math.cos(t);
+      const sin = Math.sin(t);
+      return { x: 1 + u * (x * cos - y * sin), y: u * (x * sin + y * cos), z: 0 };
+    }
+  },
+
+  lorenz84: {
+    name: 'Lorenz-84',
+    dimension: 3,
+    params: {
+      a: { label: 'a', value: 0.25, min: 0.1, max: 0.5, step: 0.01 },
+      b: { label: 'b', value: 4, min: 1, max: 8, step: 0.1 },
+      F: { label: 'F', value: 8, min: 1, max: 12, step: 0.1 },
+      G: { label: 'G', value: 1, min: 0, max: 2, step: 0.01 },
+      h: { label: 'Step h', value: 0.04, min: 0.005, max: 0.06, step: 0.001 }
+    },
+    initial: [1, 1, 1],
+    // The Lorenz-84 model of the westerly wind (x) and a travelling wave
+    // (y, z) as the map of an Euler step of size h
+    iterate(x, y, z, params) {
+      const { a, b, F, G, h } = params;
+      return {
+        x: x + h * (-y * y - z * z - a * x + a * F),
+        y: y + h * (x * y - b * x * z - y + G),
+        z: z + h * (b * x * y + x * z - z)
+      };
+    }
+  }
+};
@@ -0,0 +1,68 @@
+import * as THREE from 'three';
+
+// Marker for one point of the trajectory, with a label giving its time and
+// coordinates
+//
+// The sphere is resized every frame to a fixed fraction of its distance from
+// the camera, so it stays the same size on screen as the view zooms. The
+// label is an HTML element placed next to the sphere's projection.
+export function createMarker() {
+  const sphere = new THREE.Mesh(
+    new THREE.SphereGeometry(1, 16, 12),
+    new THREE.MeshBasicMaterial({ color: 0xffffff, depthTest: false, transparent: true })
+  );
+  sphere.renderOrder = 1;
+  sphere.visible = false;
+
+  const label = document.createElement('div');
+  label.style.position = 'absolute';
+  label.style.pointerEvents = 'none';
+  label.style.padding = '2px 5px';
+  label.style.borderRadius = '3px';
+  label.style.background = 'rgba(0, 0, 0, 0.7)';
+  label.style.color = 'white';
+  label.style.fontFamily = 'monospace';
+  label.style.fontSize = '12px';
+  label.style.whiteSpace = 'pre';
+  label.style.display = 'none';
+
+  const projected = new THREE.Vector3();
+
+  // Put the marker at position (display units) labelled with t and the
+  // attractor coordinates
+  function show(position, t, coordinates) {
+    sphere.position.copy(position);
+    sphere.visible = true;
+    const format = value => value.toFixed(3).padStart(9);
+    label.textContent = `t = ${t.toFixed(3)}\n(${coordinates.map(format).join(',')})`;
+    label.style.display = 'block';
+  }
+
+  function hide() {
+    sphere.visible = false;
+    label.style.display = 'none';
+  }
+
+  // Keep the sphere's screen size and move the label beside it
+  function update(camera, width, height) {
+    if (!sphere.visible) {
+      return;
+    }
+    sphere.scale.setScalar(camera.position.distanceTo(sphere.position) * 0.008);
+    camera.updateMatrixWorld();
+    projected.copy(sphere.position).project(camera);
+    const behind = projected.z > 1;
+    label.style.display = behind ? 'none' : 'block';
+    label.style.left = `${(projected.x + 1) / 2 * width + 12}px`;
+    label.style.top = `${(1 - projected.y) / 2 * height - 12}px`;
+  }
+
+  return {
+    object: sphere,
+    label,
+    show,
+    hide,
+    update,
+    get visible() { return sphere.visible; }
+  };
+}
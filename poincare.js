@@ -0,0 +1,206 @@
+import * as THREE from 'three';
+
+// In-plane coordinates used for the axis-aligned sections
+const axisPlanes = {
+  x: { normal: [1, 0, 0], u: [0, 1, 0], v: [0, 0, 1], labels: ['y', 'z'] },
+  y: { normal: [0, 1, 0], u: [1, 0, 0], v: [0, 0, 1], labels: ['x', 'z'] },
+  z: { normal: [0, 0, 1], u: [1, 0, 0], v: [0, 1, 0], labels: ['x', 'y'] }
+};
+
+// Crossings kept before the oldest half is dropped
+const maxCrossings = 100000;
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+// Poincaré section
+//
+// A plane n · p = offset in attractor coordinates. Every point of the
+// trajectory is fed to observe() in order; when two consecutive points lie on
+// opposite sides of the plane (in the selected direction), the crossing is
+// found by linear interpolation between them and recorded together with its
+// coordinates (u, v) in the plane. The plane is drawn as a translucent quad
+// covering the part of the plane the trajectory has passed over.
+export function createPoincareSection() {
+  const mesh = new THREE.Mesh(
+    new THREE.PlaneGeometry(1, 1),
+    new THREE.MeshBasicMaterial({
+      color: 0x66ccff,
+      transparent: true,
+      opacity: 0.2,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    })
+  );
+  mesh.visible = false;
+
+  let plane = axisPlanes.z;
+  let offset = 0;
+  let direction = 'up';
+  let previous = null;
+  let previousDistance = 0;
+  let crossings = [];
+  // Extent of the observed points projected onto the plane
+  let bounds = null;
+
+  // Define the plane either by axis ('x', 'y' or 'z') or by an arbitrary
+  // normal, which is normalised and given an orthonormal in-plane basis
+  function setPlane(options) {
+    if (options.axis && options.axis in axisPlanes) {
+      plane = axisPlanes[options.axis];
+    } else {
+      const length = Math.hypot(...options.normal) || 1;
+      const n = options.normal.map(value => value / length);
+      const n3 = new THREE.Vector3(...n);
+      // Start from the coordinate axis least aligned with the normal
+      const ref = Math.abs(n[0]) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+      const u = new THREE.Vector3().crossVectors(ref, n3).normalize();
+      const v = new THREE.Vector3().crossVectors(n3, u);
+      plane = { normal: n, u: u.toArray(), v: v.toArray(), labels: ['u', 'v'] };
+    }
+    offset = options.offset;
+    direction = options.direction;
+    clear();
+  }
+
+  // Feed the next trajectory point; returns true when it completed a crossing
+  function observe(x, y, z) {
+    const p = [x, y, z];
+    const distance = dot(plane.normal, p) - offset;
+    const pu = dot(plane.u, p);
+    const pv = dot(plane.v, p);
+    if (bounds) {
+      bounds.uMin = Math.min(bounds.uMin, pu);
+      bounds.uMax = Math.max(bounds.uMax, pu);
+      bounds.vMin = Math.min(bounds.vMin, pv);
+      bounds.vMax = Math.max(bounds.vMax, pv);
+    } else {
+      bounds = { uMin: pu, uMax: pu, vMin: pv, vMax: pv };
+    }
+
+    let crossed = false;
+    if (previous) {
+      const up = previousDistance < 0 && distance >= 0;
+      const down = previousDistance > 0 && distance <= 0;
+      if ((up && direction !== 'down') || (down && direction !== 'up')) {
+        const alpha = previousDistance / (previousDistance - distance);
+        const point = previous.map((value, i) => value + alpha * (p[i] - value));
+        crossings.push({ x: point[0], y: point[1], z: point[2], u: dot(plane.u, point), v: dot(plane.v, point) });
+        if (crossings.length > maxCrossings) {
+          crossings = crossings.slice(maxCrossings / 2);
+        }
+        crossed = true;
+      }
+    }
+    previous = p;
+    previousDistance = distance;
+    return crossed;
+  }
+
+  function clear() {
+    crossings = [];
+    bounds = null;
+    previous = null;
+  }
+
+  // Place the quad over the observed extent, in display units
+  function updateMesh(scale) {
+    if (!bounds) {
+      mesh.scale.setScalar(0.001);
+      return;
+    }
+    const margin = 0.1;
+    const width = (bounds.uMax - bounds.uMin) * (1 + 2 * margin) || 1;
+    const height = (bounds.vMax - bounds.vMin) * (1 + 2 * margin) || 1;
+    const uc = (bounds.uMin + bounds.uMax) / 2;
+    const vc = (bounds.vMin + bounds.vMax) / 2;
+    const n = new THREE.Vector3(...plane.normal);
+    const u = new THREE.Vector3(...plane.u);
+    const v = new THREE.Vector3(...plane.v);
+    mesh.position.copy(n.clone().multiplyScalar(offset))
+      .addScaledVector(u, uc)
+      .addScaledVector(v, vc)
+      .multiplyScalar(scale);
+    mesh.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(u, v, n));
+    mesh.scale.set(width * scale, height * scale, 1);
+  }
+
+  // Scatter plot of the crossings in plane coordinates, or the first-return
+  // map u(n) -> u(n + 1)
+  function draw(canvas, mode) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.fillRect(0, 0, width, height);
+
+    const returnMap = mode === 'return';
+    const count = returnMap ? crossings.length - 1 : crossings.length;
+    const [uLabel, vLabel] = plane.labels;
+    const xLabel = returnMap ? `${uLabel}(n)` : uLabel;
+    const yLabel = returnMap ? `${uLabel}(n+1)` : vLabel;
+    const px = i => crossings[i].u;
+    const py = i => returnMap ? crossings[i + 1].u : crossings[i].v;
+
+    const pad = 24;
+    ctx.fillStyle = 'white';
+    ctx.font = '11px Arial, sans-serif';
+    ctx.fillText(`${count < 0 ? 0 : count} points`, pad, 14);
+    ctx.fillText(xLabel, width - pad - ctx.measureText(xLabel).width, height - 6);
+    ctx.fillText(yLabel, 4, pad);
+    if (count < 1) {
+      return;
+    }
+
+    let xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity;
+    for (let i = 0; i < count; i++) {
+      xMin = Math.min(xMin, px(i));
+      xMax = Math.max(xMax, px(i));
+      yMin = Math.min(yMin, py(i));
+      yMax = Math.max(yMax, py(i));
+    }
+    if (returnMap) {
+      // Same scale on both axes so the diagonal is meaningful
+      xMin = yMin = Math.min(xMin, yMin);
+      xMax = yMax = Math.max(xMax, yMax);
+    }
+    const xSpan = xMax - xMin || 1;
+    const ySpan = yMax - yMin || 1;
+    const sx = value => pad + (value - xMin) / xSpan * (width - 2 * pad);
+    const sy = value => height - pad - (value - yMin) / ySpan * (height - 2 * pad);
+
+    ctx.fillText(xMin.toPrecision(3), pad, height - 6);
+    ctx.fillText(yMin.toPrecision(3), 4, height - pad);
+    ctx.fillText(yMax.toPrecision(3), 4, pad + 12);
+    ctx.fillText(xMax.toPrecision(3), width - pad - 40, height - pad + 14);
+
+    if (returnMap) {
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+      ctx.beginPath();
+      ctx.moveTo(sx(xMin), sy(yMin));
+      ctx.lineTo(sx(xMax), sy(yMax));
+      ctx.stroke();
+    }
+
+    ctx.fillStyle = '#66ccff';
+    for (let i = 0; i < count; i++) {
+      ctx.fillRect(sx(px(i)) - 1, sy(py(i)) - 1, 2, 2);
+    }
+  }
+
+  // Crossings as CSV in attractor coordinates, with their in-plane (u, v)
+  function toCSV() {
+    const rows = crossings.map(({ x, y, z, u, v }, n) => `${n},${x},${y},${z},${u},${v}`);
+    return ['n,x,y,z,u,v', ...rows].join('\n') + '\n';
+  }
+
+  return {
+    object: mesh,
+    setPlane,
+    observe,
+    clear,
+    updateMesh,
+    draw,
+    toCSV,
+    get crossings() { return crossings; },
+    get plane() { return { normal: plane.normal, offset, direction }; }
+  };
+}
@@ -0,0 +1,198 @@
+import { attractors } from './attractors.js';
+import { dimensionOf } from './simulation.js';
+
+// Presets and permalinks
+//
+// A preset names a set of parameter values for one attractor, optionally
+// with an initial state and, for the custom attractor, its equations:
+//
+//   { name, attractor, params, initial?, equations? }
+//
+// Parameters a preset leaves out take the registry defaults. A permalink is
+// the same snapshot plus the camera pose, written into the URL hash.
+
+// Curated starting points for every attractor
+export const builtinPresets = [
+  { name: 'Classic butterfly', attractor: 'lorenz', params: { sigma: 10, rho: 28, beta: 8 / 3 } },
+  { name: 'Transient chaos (ρ = 21)', attractor: 'lorenz', params: { rho: 21 } },
+  { name: 'Stable fixed points (ρ = 15)', attractor: 'lorenz', params: { rho: 15 } },
+  { name: 'Periodic orbit (ρ = 99.96)', attractor: 'lorenz', params: { rho: 99.96 } },
+  { name: 'Classic', attractor: 'aizawa', params: {} },
+  { name: 'Classic (c = 5.7)', attractor: 'rossler', params: { a: 0.2, b: 0.2, c: 5.7 } },
+  { name: 'Period 2 (c = 3)', attractor: 'rossler', params: { c: 3 } },
+  { name: 'Period 4 (c = 4)', attractor: 'rossler', params: { c: 4 } },
+  { name: 'Wide band (c = 14)', attractor: 'rossler', params: { a: 0.1, b: 0.1, c: 14 } },
+  { name: 'Classic', attractor: 'chen', params: { a: 35, b: 3, c: 28 } },
+  { name: 'Classic (b ≈ 0.208)', attractor: 'thomas', params: { b: 0.208186 } },
+  { name: 'Deeper chaos (b = 0.18)', attractor: 'thomas', params: { b: 0.18 } },
+  { name: 'Limit cycle (b = 0.3)', attractor: 'thomas', params: { b: 0.3 } },
+  // The registry's initial state lies in the origin's basin
+  { name: 'Classic', attractor: 'dadras', params: {}, initial: [1, 1, 1] },
+  {
+    name: 'Halvorsen',
+    attractor: 'custom',
+    params: { a: 1.4 },
+    initial: [1, 0, 0],
+    equations: { dx: '-a*x - 4*y - 4*z - y^2', dy: '-a*y - 4*z - 4*x - z^2', dz: '-a*z - 4*x - 4*y - x^2' }
+  },
+  {
+    name: 'Arneodo',
+    attractor: 'custom',
+    params: { a: -5.5, b: 3.5, d: -1 },
+    equations: { dx: 'y', dy: 'z', dz: '-a*x - b*y - z + d*x^3' }
+  },
+  {
+    name: 'Sprott B',
+    attractor: 'custom',
+    params: { dt: 0.01 },
+    initial: [0.1, 0.1, 0.1],
+    equations: { dx: 'y*z', dy: 'x - y', dz: '1 - x*y' }
+  },
+  {
+    name: 'Nosé–Hoover (Sprott A)',
+    attractor: 'custom',
+    params: { dt: 0.01 },
+    initial: [0, 5, 0],
+    equations: { dx: 'y', dy: '-x + y*z', dz: '1 - y^2' }
+  }
+];
+
+const storageKey = 'strangeattrs.presets';
+
+// Raised when an imported preset library cannot be read
+export class PresetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PresetError';
+  }
+}
+
+const isFiniteArray = (value, length) =>
+  Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+
+// Check one preset, returning a clean copy or throwing a PresetError
+function validatePreset(preset, index) {
+  const where = `Preset ${index + 1}`;
+  if (!preset || typeof preset !== 'object') {
+    throw new PresetError(`${where} is not an object`);
+  }
+  const { name, attractor, params, initial, equations } = preset;
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new PresetError(`${where} has no name`);
+  }
+  if (!Object.hasOwn(attractors, attractor)) {
+    throw new PresetError(`${where} ("${name}") uses unknown attractor "${attractor}"`);
+  }
+  if (!params || typeof params !== 'object' || !Object.values(params).every(Number.isFinite)) {
+    throw new PresetError(`${where} ("${name}") needs numeric parameter values`);
+  }
+  if (initial !== undefined && !isFiniteArray(initial, dimensionOf(attractors[attractor]))) {
+    throw new PresetError(`${where} ("${name}") has an invalid initial state`);
+  }
+  if (equations !== undefined && !['dx', 'dy', 'dz'].every(axis => typeof equations[axis] === 'string')) {
+    throw new PresetError(`${where} ("${name}") needs dx, dy and dz equations`);
+  }
+
+  const clean = { name: name.trim(), attractor, params: { ...params } };
+  if (initial) {
+    clean.initial = initial.slice();
+  }
+  if (equations) {
+    clean.equations = { dx: equations.dx, dy: equations.dy, dz: equations.dz };
+  }
+  return clean;
+}
+
+// Parse a preset library exported by presetLibraryJSON(); a bare array of
+// presets is accepted too
+export function parsePresetLibrary(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new PresetError(`Not valid JSON: ${error.message}`);
+  }
+  const presets = Array.isArray(data) ? data : data?.presets;
+  if (!Array.isArray(presets)) {
+    throw new PresetError('No "presets" list found');
+  }
+  return presets.map(validatePreset);
+}
+
+export function presetLibraryJSON(presets) {
+  return JSON.stringify({ version: 1, presets }, null, 2) + '\n';
+}
+
+// Saved presets from localStorage; throws if the storage is unreadable
+export function loadPresets() {
+  const text = localStorage.getItem(storageKey);
+  return text ? parsePresetLibrary(text) : [];
+}
+
+export function savePresets(presets) {
+  localStorage.setItem(storageKey, presetLibraryJSON(presets));
+}
+
+// Insert or replace (by attractor and name) preset in a list, in place
+export function upsertPreset(presets, preset) {
+  const index = presets.findIndex(p => p.attractor === preset.attractor && p.name === preset.name);
+  if (index === -1) {
+    presets.push(preset);
+  } else {
+    presets[index] = preset;
+  }
+  return presets;
+}
+
+// Encode a snapshot { attractor, params, initial, equations?, camera? } for
+// the URL hash. camera is { position, target }, both [x, y, z].
+export function encodePermalink({ attractor, params, initial, equations, camera }) {
+  const round = value => String(Number(value.toFixed(3)));
+  // Commas and colons are left unescaped to keep the link readable
+  const field = (key, value) =>
+    `${key}=${encodeURIComponent(value).replace(/%2C/g, ',').replace(/%3A/g, ':')}`;
+  const fields = [
+    field('a', attractor),
+    field('p', Object.entries(params).map(([key, value]) => `${key}:${value}`).join(',')),
+    field('i', initial.join(','))
+  ];
+  if (equations) {
+    ['dx', 'dy', 'dz'].forEach(axis => fields.push(field(axis, equations[axis])));
+  }
+  if (camera) {
+    fields.push(field('c', [...camera.position, ...camera.target].map(round).join(',')));
+  }
+  return fields.join('&');
+}
+
+// Decode a URL hash written by encodePermalink(). Malformed fields are left
+// out; without a known attractor the result is null.
+export function decodePermalink(hash) {
+  const query = new URLSearchParams(hash.replace(/^#/, ''));
+  const attractor = query.get('a');
+  if (!attractor || !Object.hasOwn(attractors, attractor)) {
+    return null;
+  }
+
+  const snapshot = { attractor, params: {} };
+  (query.get('p') ?? '').split(',').forEach(pair => {
+    const [key, text] = pair.split(':');
+    const value = parseFloat(text);
+    if (key && Number.isFinite(value)) {
+      snapshot.params[key] = value;
+    }
+  });
+  const numbers = key => (query.get(key) ?? '').split(',').map(parseFloat);
+  const initial = numbers('i');
+  if (isFiniteArray(initial, dimensionOf(attractors[attractor]))) {
+    snapshot.initial = initial;
+  }
+  if (['dx', 'dy', 'dz'].every(axis => query.has(axis))) {
+    snapshot.equations = { dx: query.get('dx'), dy: query.get('dy'), dz: query.get('dz') };
+  }
+  const camera = numbers('c');
+  if (isFiniteArray(camera, 6)) {
+    snapshot.camera = { position: camera.slice(0, 3), target: camera.slice(3) };
+  }
+  return snapshot;
+}
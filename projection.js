@@ -0,0 +1,83 @@
+// Projections of four-dimensional states into the three drawn coordinates
+//
+// A projection is a row-major 4×4 orthogonal matrix taking (x, y, z, w) to
+// the three drawn coordinates followed by the one left out. Keeping the
+// left-out coordinate with each drawn point makes the projection
+// invertible, so points already drawn can be carried over to a new
+// projection without the original states.
+
+// Which coordinates are drawn: three of the four, or all of them rotating
+// through a plane that mixes w into one of the others
+export const projectionModes = {
+  xyz: { name: 'x, y, z', axes: [0, 1, 2] },
+  xyw: { name: 'x, y, w', axes: [0, 1, 3] },
+  xzw: { name: 'x, z, w', axes: [0, 2, 3] },
+  yzw: { name: 'y, z, w', axes: [1, 2, 3] },
+  rotate: { name: 'Rotating 4D → 3D' }
+};
+
+// Planes the rotating projection turns in, by the coordinate w mixes into
+export const rotationPlanes = {
+  xw: { name: 'x–w', axis: 0 },
+  yw: { name: 'y–w', axis: 1 },
+  zw: { name: 'z–w', axis: 2 }
+};
+
+// Names of the three drawn coordinates. The coordinate the rotating
+// projection turns w into is primed.
+export function drawnAxisNames(mode, plane = 'xw') {
+  if (mode !== 'rotate') {
+    return projectionModes[mode].axes.map(axis => 'xyzw'[axis]);
+  }
+  const names = ['x', 'y', 'z'];
+  names[rotationPlanes[plane].axis] += '′';
+  return names;
+}
+
+export const identityProjection = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+// The matrix of a projection mode; rotate turns angle radians in plane
+export function projectionMatrix(mode, plane = 'xw', angle = 0) {
+  if (mode !== 'rotate') {
+    const { axes } = projectionModes[mode];
+    const left = [0, 1, 2, 3].find(axis => !axes.includes(axis));
+    const matrix = new Array(16).fill(0);
+    [...axes, left].forEach((axis, row) => {
+      matrix[row * 4 + axis] = 1;
+    });
+    return matrix;
+  }
+  const matrix = identityProjection.slice();
+  const a = rotationPlanes[plane].axis;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  matrix[a * 4 + a] = cos;
+  matrix[a * 4 + 3] = -sin;
+  matrix[12 + a] = sin;
+  matrix[15] = cos;
+  return matrix;
+}
+
+// a · b
+export function multiplyProjections(a, b) {
+  const out = new Array(16).fill(0);
+  for (let i = 0; i < 4; i++) {
+    for (let j = 0; j < 4; j++) {
+      for (let k = 0; k < 4; k++) {
+        out[i * 4 + j] += a[i * 4 + k] * b[k * 4 + j];
+      }
+    }
+  }
+  return out;
+}
+
+// The inverse of a projection, which is its transpose
+export function invertProjection(m) {
+  return [0, 1, 2, 3].flatMap(i => [0, 1, 2, 3].map(j => m[j * 4 + i]));
+}
+
+// matrix · [x, y, z, w]
+export function applyProjection(matrix, [x, y, z, w]) {
+  return [0, 1, 2, 3].map(row =>
+    matrix[row * 4] * x + matrix[row * 4 + 1] * y + matrix[row * 4 + 2] * z + matrix[row * 4 + 3] * w);
+}
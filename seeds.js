@@ -0,0 +1,214 @@
+import * as THREE from 'three';
+import { createTrail } from './trail.js';
+
+// Colours given to new seeds in turn
+const seedColors = ['#ff6b6b', '#6bdf8f', '#6bb5ff', '#ffd54f', '#c792ea', '#ff9f5a', '#4dd0e1', '#f48fb1'];
+
+// Separation samples kept per seed; thinned to every other one when full
+const maxSamples = 400;
+
+// Extra trajectories started from chosen points
+//
+// The simulation worker advances every seed with the same steps as the main
+// trajectory, so all of them are at the same time and a seed's distance from
+// the main trajectory measures how far two starts have drifted apart. This
+// module keeps each seed's trail, drawn in a single colour with the main
+// trail's style, and the history of that distance for plotting.
+export function createSeeds() {
+  const group = new THREE.Group();
+  let seeds = [];
+  let nextId = 1;
+  // Trail settings shared with the main trail, applied to new seeds too
+  const settings = { length: 10000, style: 'line', appearance: {}, resolution: [1, 1], turn: null };
+
+  const find = id => seeds.find(seed => seed.id === id);
+
+  // Add a seed starting from initial, in attractor coordinates
+  function add(initial) {
+    const id = nextId++;
+    const color = seedColors[(id - 1) % seedColors.length];
+    const trail = createTrail(settings.length);
+    trail.setStyle(settings.style);
+    trail.setAppearance(settings.appearance);
+    trail.setResolution(...settings.resolution);
+    trail.setTurn(settings.turn);
+    group.add(trail.object);
+    const seed = { id, name: `Seed ${id}`, color, linear: new THREE.Color(color), initial: initial.slice(), trail, visible: true, history: [] };
+    seeds.push(seed);
+    return seed;
+  }
+
+  function remove(id) {
+    const seed = find(id);
+    if (seed) {
+      group.remove(seed.trail.object);
+      seed.trail.dispose();
+      seeds = seeds.filter(other => other !== seed);
+    }
+  }
+
+  function clear() {
+    seeds.slice().forEach(seed => remove(seed.id));
+  }
+
+  function setVisible(id, visible) {
+    const seed = find(id);
+    if (seed) {
+      seed.visible = visible;
+      seed.trail.object.visible = visible;
+    }
+  }
+
+  function rename(id, name) {
+    const seed = find(id);
+    if (seed) {
+      seed.name = name;
+    }
+  }
+
+  // Empty every trail and separation history, as the worker restarts the
+  // seeds from their initial states
+  function restart() {
+    seeds.forEach(seed => {
+      seed.trail.clear();
+      seed.history = [];
+    });
+  }
+
+  // Change any of { length, style, appearance, resolution: [width, height] }
+  // for every seed's trail
+  function configure(options) {
+    seeds.forEach(({ trail, linear }) => {
+      if (options.length !== undefined && options.length !== trail.capacity) {
+        trail.resize(options.length, () => linear);
+      }
+      if (options.style !== undefined) {
+        trail.setStyle(options.style);
+      }
+      if (options.appearance !== undefined) {
+        trail.setAppearance(options.appearance);
+      }
+      if (options.resolution !== undefined) {
+        trail.setResolution(...options.resolution);
+      }
+    });
+    Object.assign(settings, options, { appearance: { ...settings.appearance, ...options.appearance } });
+  }
+
+  // Append the seeds' part of a worker batch, whose steps were taken at
+  // times: display positions, for four-dimensional systems the coordinate
+  // each one's projection left out, and the distance from the main trajectory
+  // at the end of the batch. Seeds removed since the batch was asked for are
+  // skipped, as are points of a seed that blew up.
+  function receive(batches, times) {
+    batches.forEach(({ id, positions, hidden, separation }) => {
+      const seed = find(id);
+      if (!seed) {
+        return;
+      }
+      const { r, g, b } = seed.linear;
+      for (let i = 0; i < positions.length; i += 3) {
+        if (Number.isFinite(positions[i]) && Number.isFinite(positions[i + 1]) && Number.isFinite(positions[i + 2])) {
+          seed.trail.push(positions[i], positions[i + 1], positions[i + 2], r, g, b, times[i / 3], 0, hidden ? hidden[i / 3] : 0);
+        }
+      }
+      seed.trail.flush();
+      if (times.length > 0 && Number.isFinite(separation)) {
+        seed.history.push([times[times.length - 1], separation]);
+        if (seed.history.length > maxSamples) {
+          seed.history = seed.history.filter((sample, i) => i % 2 === 1);
+        }
+      }
+    });
+  }
+
+  // Carry every trail over to another projection, as trail.reproject()
+  function reproject(matrix, turn = null) {
+    seeds.forEach(({ trail }) => trail.reproject(matrix, turn));
+    settings.turn = turn;
+  }
+
+  // Turn every trail's drawing, as trail.setTurn()
+  function setTurn(turn) {
+    seeds.forEach(({ trail }) => trail.setTurn(turn));
+    settings.turn = turn;
+  }
+
+  // Plot log10 of each visible seed's separation against time
+  function draw(canvas) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+    const shown = seeds.filter(seed => seed.visible && seed.history.length > 1);
+    if (shown.length === 0) {
+      return;
+    }
+
+    let tMin = Infinity, tMax = -Infinity, min = Infinity, max = -Infinity;
+    shown.forEach(({ history }) => {
+      history.forEach(([t, d]) => {
+        tMin = Math.min(tMin, t);
+        tMax = Math.max(tMax, t);
+        if (d > 0) {
+          min = Math.min(min, Math.log10(d));
+          max = Math.max(max, Math.log10(d));
+        }
+      });
+    });
+    if (!Number.isFinite(min)) {
+      return;
+    }
+    min = Math.floor(min);
+    max = Math.max(Math.ceil(max), min + 1);
+    const px = t => (t - tMin) / (tMax - tMin || 1) * width;
+    const py = d => height - (Math.log10(Math.max(d, 10 ** min)) - min) / (max - min) * height;
+
+    // A dashed line at every power of ten
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.font = '10px monospace';
+    ctx.setLineDash([4, 4]);
+    const every = Math.ceil((max - min) / 5);
+    for (let k = min; k <= max; k += every) {
+      const y = py(10 ** k);
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+      ctx.stroke();
+      ctx.fillText(`1e${k}`, 2, Math.max(10, y - 2));
+    }
+    ctx.setLineDash([]);
+
+    shown.forEach(({ color, history }) => {
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      history.forEach(([t, d], n) => {
+        if (n === 0) {
+          ctx.moveTo(px(t), py(d));
+        } else {
+          ctx.lineTo(px(t), py(d));
+        }
+      });
+      ctx.stroke();
+    });
+  }
+
+  return {
+    object: group,
+    add,
+    remove,
+    clear,
+    setVisible,
+    rename,
+    restart,
+    configure,
+    receive,
+    reproject,
+    setTurn,
+    draw,
+    // The seeds, oldest first
+    get list() { return seeds; },
+    // { id, state } of every seed, to restart them in the worker
+    get initials() { return seeds.map(({ id, initial }) => ({ id, state: initial })); }
+  };
+}
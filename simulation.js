@@ -0,0 +1,148 @@
+import { attractors, defaultParams } from './attractors.js';
+import { integrators } from './integrators.js';
+
+// Headless simulation core
+//
+// One trajectory of an attractor advanced by one of the integrators, with
+// no DOM, three.js or module-level state, so the same code runs in the
+// simulation worker and in Node. States are plain [x, y, z] arrays in
+// attractor coordinates, or [x, y, z, w] for four-dimensional systems.
+
+// Number of coordinates in an attractor's state
+export function dimensionOf(attractor) {
+  return attractor.dimension ?? 3;
+}
+
+// Derivatives of an attractor with the given parameter values, as a
+// function of the state array and the time
+export function vectorField(attractor, params) {
+  if (dimensionOf(attractor) === 4) {
+    return ([x, y, z, w], t = 0) => {
+      const { dx, dy, dz, dw } = attractor.derivatives(x, y, z, w, params, t);
+      return [dx, dy, dz, dw];
+    };
+  }
+  return ([x, y, z], t = 0) => {
+    const { dx, dy, dz } = attractor.derivatives(x, y, z, params, t);
+    return [dx, dy, dz];
+  };
+}
+
+// States further than this from the origin, in attractor coordinates, are
+// taken to be escaping to infinity
+export const runawayLimit = 1e6;
+
+// Why a state cannot be continued from: 'non-finite' if a coordinate
+// overflowed or became NaN, 'runaway' if it is beyond runawayLimit, and
+// otherwise null
+export function divergence(state) {
+  if (!state.every(Number.isFinite)) {
+    return 'non-finite';
+  }
+  return Math.hypot(...state) > runawayLimit ? 'runaway' : null;
+}
+
+// Create a simulation of attractor, a key of the registry or an entry like
+// its own, with params overriding its defaults, starting from initial (by
+// default the attractor's initial state) and stepped with the integrator of
+// that key. options are the adaptive methods' { atol, rtol }.
+export function createSimulation({ attractor = 'lorenz', params = {}, initial, integrator = 'rk4', options = {} } = {}) {
+  let system = null;
+  let values = null;
+  let method = integrators[integrator];
+  let settings = { atol: 1e-6, rtol: 1e-6, ...options };
+  let f = null;
+  let current = null;
+  // Simulation time of the state since the last reset
+  let time = 0;
+  // Adaptive methods carry their step size between steps and use dt as the
+  // largest step they may take
+  let stepSize = 0;
+  let lastStep = null;
+  // { cause, time, h } of a step that diverged, which was not taken
+  let diverged = null;
+
+  function setAttractor(entry, overrides) {
+    system = typeof entry === 'string' ? attractors[entry] : entry;
+    values = { ...defaultParams(system), ...overrides };
+    f = vectorField(system, values);
+  }
+
+  // Restart from state, by default the attractor's initial state
+  function reset(state = system.initial) {
+    current = state.slice();
+    time = 0;
+    stepSize = values.dt;
+    lastStep = { h: stepSize, error: null };
+    diverged = null;
+  }
+
+  // Change any of { attractor, params, integrator, options }. A new
+  // attractor starts from its default parameters, overridden by params; the
+  // state is kept until the next reset(). After a divergence, any change
+  // lets step() try again from the last good state.
+  function configure(changes) {
+    diverged = null;
+    if (changes.attractor) {
+      setAttractor(changes.attractor, changes.params);
+    } else if (changes.params) {
+      values = { ...values, ...changes.params };
+      f = vectorField(system, values);
+    }
+    if (changes.integrator) {
+      method = integrators[changes.integrator];
+      stepSize = values.dt;
+    }
+    if (changes.options) {
+      settings = { ...settings, ...changes.options };
+    }
+  }
+
+  // Take n steps, calling onStep(state, time) after each one. A step that
+  // diverges is not taken and stops stepping until the next reset() or
+  // configure(). Returns the number of steps taken.
+  function step(n = 1, onStep) {
+    for (let i = 0; i < n; i++) {
+      if (diverged) {
+        return i;
+      }
+      const h = method.adaptive ? stepSize : values.dt;
+      const result = method.step(f, current, h, { ...settings, maxStep: values.dt }, time);
+      const cause = divergence(result.state);
+      if (cause) {
+        diverged = { cause, time: time + result.h, h: result.h };
+        return i;
+      }
+      lastStep = result;
+      stepSize = lastStep.next;
+      current = lastStep.state;
+      time += lastStep.h;
+      if (onStep) {
+        onStep(current, time);
+      }
+    }
+    return n;
+  }
+
+  setAttractor(attractor, params);
+  reset(initial ?? system.initial);
+
+  return {
+    step,
+    reset,
+    configure,
+    // A copy of the current state
+    state: () => current.slice(),
+    get time() { return time; },
+    // { h, error } of the last step: the step size taken and, for adaptive
+    // methods, its error estimate
+    get lastStep() { return { h: lastStep.h, error: lastStep.error }; },
+    get attractor() { return system; },
+    get params() { return values; },
+    get integrator() { return method; },
+    get options() { return settings; },
+    get field() { return f; },
+    // { cause, time, h } of the step that diverged, or null
+    get divergence() { return diverged; }
+  };
+}
@@ -0,0 +1,120 @@
+import * as THREE from 'three';
+
+// Orthographic projections shown beside the perspective view, each looking
+// along one axis with the other two as its horizontal and vertical
+const projections = {
+  xy: { name: 'XY', direction: [0, 0, 1], up: [0, 1, 0] },
+  xz: { name: 'XZ', direction: [0, -1, 0], up: [0, 0, 1] },
+  yz: { name: 'YZ', direction: [1, 0, 0], up: [0, 0, 1] }
+};
+
+// Quadrants of the split layout, left to right and top to bottom
+const quadrants = ['perspective', 'xy', 'xz', 'yz'];
+
+// Split layout
+//
+// The window above a strip of stripHeight pixels is divided into four
+// quadrants: the perspective view and the three projections. All of them
+// draw the same scene, each through its own camera into a scissored
+// viewport, so the trail, seeds and markers appear everywhere without
+// copies. The projections are fitted to a bounding box with the same scale
+// on both of their axes.
+export function createSplitView(renderer, stripHeight) {
+  const cameras = {};
+  Object.entries(projections).forEach(([key, { up }]) => {
+    const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.01, 1000);
+    camera.up.fromArray(up);
+    cameras[key] = camera;
+  });
+  const center = new THREE.Vector3();
+  const size = new THREE.Vector3();
+  const toward = new THREE.Vector3();
+  const vertical = new THREE.Vector3();
+  const horizontal = new THREE.Vector3();
+
+  // Viewports { key, left, top, width, height } in CSS pixels from the
+  // top-left of a window this large
+  function viewports(width, height) {
+    const quadrantWidth = Math.floor(width / 2);
+    const quadrantHeight = Math.floor(Math.max(1, height - stripHeight) / 2);
+    return quadrants.map((key, i) => ({
+      key,
+      left: (i % 2) * quadrantWidth,
+      top: Math.floor(i / 2) * quadrantHeight,
+      width: quadrantWidth,
+      height: quadrantHeight
+    }));
+  }
+
+  // Fit the projections to box (display units) in viewports of this aspect
+  function fit(box, aspect) {
+    if (box.isEmpty()) {
+      return;
+    }
+    box.getCenter(center);
+    box.getSize(size);
+    const distance = size.length() + 1;
+    Object.entries(projections).forEach(([key, { direction, up }]) => {
+      const camera = cameras[key];
+      toward.fromArray(direction);
+      vertical.fromArray(up);
+      horizontal.crossVectors(vertical, toward);
+      const spanX = Math.abs(size.dot(horizontal));
+      const spanY = Math.abs(size.dot(vertical));
+      const halfHeight = Math.max(spanY, spanX / aspect, 1e-3) * 0.55;
+      camera.left = -halfHeight * aspect;
+      camera.right = halfHeight * aspect;
+      camera.top = halfHeight;
+      camera.bottom = -halfHeight;
+      camera.near = 0.01;
+      camera.far = distance * 2;
+      camera.position.copy(center).addScaledVector(toward, distance);
+      camera.lookAt(center);
+      camera.updateMatrixWorld();
+      camera.updateProjectionMatrix();
+    });
+  }
+
+  // Draw scene into every quadrant, the perspective one through camera or,
+  // if given, by drawPerspective() with the viewport set to its quadrant
+  function render(scene, camera, width, height, drawPerspective) {
+    renderer.setScissorTest(true);
+    viewports(width, height).forEach(({ key, left, top, width: w, height: h }) => {
+      const bottom = height - top - h;
+      renderer.setViewport(left, bottom, w, h);
+      renderer.setScissor(left, bottom, w, h);
+      if (key === 'perspective' && drawPerspective) {
+        drawPerspective();
+      } else {
+        renderer.render(scene, key === 'perspective' ? camera : cameras[key]);
+      }
+    });
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, width, height);
+  }
+
+  // The quadrant under a point in CSS pixels, with its camera and the
+  // point's normalized device coordinates there, or null below the grid
+  function pick(x, y, camera, width, height) {
+    const viewport = viewports(width, height).find(({ left, top, width: w, height: h }) =>
+      x >= left && x < left + w && y >= top && y < top + h);
+    if (!viewport) {
+      return null;
+    }
+    return {
+      ...viewport,
+      camera: viewport.key === 'perspective' ? camera : cameras[viewport.key],
+      ndc: new THREE.Vector2(
+        (x - viewport.left) / viewport.width * 2 - 1,
+        -(y - viewport.top) / viewport.height * 2 + 1
+      )
+    };
+  }
+
+  return {
+    viewports,
+    fit,
+    render,
+    pick
+  };
+}
@@ -0,0 +1,109 @@
+const laneColors = ['#ff6b6b', '#6bdf8f', '#6bb5ff'];
+
+// Samples drawn per lane at most; longer windows are thinned evenly
+const maxSamples = 2000;
+
+// Scrolling x(t), y(t), z(t) strip chart
+//
+// Plots the newest span time units of a trail in three stacked lanes, one
+// per coordinate, each scaled to its own range over the window and labelled
+// in attractor coordinates. Points are read straight from the trail's ring
+// each time it is drawn, so the chart keeps no copy and costs nothing while
+// hidden.
+export function createStripChart(canvas) {
+  const pad = 4;
+  const labelWidth = 44;
+  // Time range of the last drawing, to map the pointer back to a time
+  let shown = null;
+
+  // Draw the newest span time units of trail, whose points are at display
+  // scale, with a cursor at time cursor if it is in the window. names label
+  // the lanes with the drawn coordinates.
+  function draw(trail, span, scale, cursor = null, names = ['x', 'y', 'z']) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+    ctx.fillRect(0, 0, width, height);
+    if (trail.count < 2) {
+      shown = null;
+      return;
+    }
+
+    const last = trail.count - 1;
+    const end = trail.pointAt(last).t;
+    const start = end - span;
+    const first = trail.indexAt(start);
+    const stride = Math.max(1, Math.ceil((last - first) / maxSamples));
+    const points = [];
+    for (let i = last; i >= first; i -= stride) {
+      points.push(trail.pointAt(i));
+    }
+    points.reverse();
+    shown = { start, end };
+    const px = t => labelWidth + (t - start) / span * (width - labelWidth - pad);
+    const laneHeight = height / 3;
+    const hovered = cursor !== null && cursor >= start ? trail.pointAt(trail.indexAt(cursor)) : null;
+    ctx.font = '11px monospace';
+
+    ['x', 'y', 'z'].forEach((axis, lane) => {
+      const values = points.map(point => point[axis] / scale);
+      const min = Math.min(...values);
+      const max = Math.max(...values);
+      const range = max - min || 1;
+      const top = lane * laneHeight + pad;
+      const py = value => top + (1 - (value - min) / range) * (laneHeight - 2 * pad);
+
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+      ctx.beginPath();
+      ctx.moveTo(labelWidth, lane * laneHeight);
+      ctx.lineTo(width, lane * laneHeight);
+      ctx.stroke();
+      ctx.fillStyle = laneColors[lane];
+      ctx.fillText(`${names[lane]}(t)`, 4, top + laneHeight / 2);
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+      ctx.fillText(max.toPrecision(3), 4, top + 9);
+      ctx.fillText(min.toPrecision(3), 4, top + laneHeight - 2 * pad);
+
+      ctx.strokeStyle = laneColors[lane];
+      ctx.beginPath();
+      points.forEach((point, n) => {
+        if (n === 0) {
+          ctx.moveTo(px(point.t), py(values[n]));
+        } else {
+          ctx.lineTo(px(point.t), py(values[n]));
+        }
+      });
+      ctx.stroke();
+
+      if (hovered) {
+        ctx.fillStyle = 'white';
+        ctx.beginPath();
+        ctx.arc(px(hovered.t), py(hovered[axis] / scale), 3, 0, 2 * Math.PI);
+        ctx.fill();
+      }
+    });
+
+    if (hovered) {
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+      ctx.beginPath();
+      ctx.moveTo(px(hovered.t), 0);
+      ctx.lineTo(px(hovered.t), height);
+      ctx.stroke();
+      ctx.fillStyle = 'white';
+      ctx.fillText(`t = ${hovered.t.toFixed(2)}`, Math.min(px(hovered.t) + 4, width - 70), height - 4);
+    }
+  }
+
+  // Time at canvas x coordinate x as last drawn, or null off the plot
+  function timeAt(x) {
+    if (!shown || x < labelWidth) {
+      return null;
+    }
+    return shown.start + (x - labelWidth) / (canvas.width - labelWidth - pad) * (shown.end - shown.start);
+  }
+
+  return {
+    draw,
+    timeAt
+  };
+}
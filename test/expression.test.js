@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileExpression, ExpressionError } from '../expression.js';
+import { customAttractor, EquationError } from '../attractors.js';
+
+function evaluate(source, vars = [], params = {}) {
+  return compileExpression(source, ['x', 'y', 'z'], ['dt']).fn(vars, params);
+}
+
+test('expressions follow the usual precedence', () => {
+  assert.equal(evaluate('1 + 2 * 3 ^ 2'), 19);
+  assert.equal(evaluate('-2 ** 2'), -4);
+  assert.equal(evaluate('(1 + 2) * 3'), 9);
+  assert.equal(evaluate('2 ^ 3 ^ 2'), 512);
+});
+
+test('variables, constants, functions and parameters resolve', () => {
+  const { fn, parameters } = compileExpression('sigma * (y - x) + sin(pi / 2) + max(z, 0)', ['x', 'y', 'z']);
+  assert.deepEqual(parameters, ['sigma']);
+  assert.equal(fn([1, 3, 2], { sigma: 10 }), 23);
+});
+
+test('malformed expressions raise an ExpressionError with the column', () => {
+  for (const source of ['1 +', 'x $ y', 'sin(x', 'sin', 'foo(x)', 'atan2(x)', 'dt * x']) {
+    assert.throws(() => evaluate(source), ExpressionError, source);
+  }
+  assert.throws(() => evaluate('x $ y'), /column 3/);
+});
+
+test('Object.prototype names are not functions or constants', () => {
+  for (const source of ['toString(x)', 'constructor(x)', 'hasOwnProperty(x, y)', '__proto__(x)']) {
+    assert.throws(() => evaluate(source), ExpressionError, source);
+  }
+  const { fn, parameters } = compileExpression('constructor + hasOwnProperty * x', ['x']);
+  assert.deepEqual(parameters, ['constructor', 'hasOwnProperty']);
+  assert.equal(fn([2], { constructor: 1, hasOwnProperty: 3 }), 7);
+});
+
+test('custom attractors collect their parameters', () => {
+  const attractor = customAttractor({ dx: 'a * y', dy: 'constructor - x', dz: '0' }, { a: 2 });
+  assert.equal(attractor.params.a.value, 2);
+  assert.equal(attractor.params.constructor.value, 1);
+  assert.deepEqual(attractor.derivatives(1, 2, 3, { a: 2, constructor: 5 }), { dx: 4, dy: 4, dz: 0 });
+});
+
+test('__proto__ cannot be a parameter', () => {
+  assert.throws(() => evaluate('__proto__ * y'), /'__proto__' is reserved/);
+  assert.throws(() => customAttractor({ dx: '__proto__ * y', dy: 'x', dz: '0' }), error => {
+    assert.ok(error instanceof EquationError);
+    assert.deepEqual(Object.keys(error.errors), ['dx']);
+    return true;
+  });
+});
+
+test('custom attractors report every failing equation', () => {
+  assert.throws(() => customAttractor({ dx: 'x +', dy: 'y', dz: 'toString(z)' }), error => {
+    assert.ok(error instanceof EquationError);
+    assert.deepEqual(Object.keys(error.errors), ['dx', 'dz']);
+    return true;
+  });
+});
@@ -0,0 +1,152 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { attractors, defaultParams } from '../attractors.js';
+import { integrators, advance } from '../integrators.js';
+import { createSimulation, divergence, vectorField } from '../simulation.js';
+
+// Tests of the headless simulation core, run with `node --test test/`
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.equal(actual.length, expected.length, message);
+  actual.forEach((value, i) => {
+    assert.ok(Math.abs(value - expected[i]) <= tolerance, `${message}: component ${i} is ${value}, expected ${expected[i]}`);
+  });
+}
+
+// Derivatives at (x, y, z, w) = (1, 2, 3, 4) and t = 0.5 with the default
+// parameters, worked out by hand from each system's equations
+const references = {
+  lorenz: [10, 23, -5.998],
+  aizawa: [-4.7, 8.1, -14],
+  rossler: [-5, 1.4, -13.9],
+  chen: [35, 46, -7],
+  thomas: [0.7011114268256817, -0.27525199194013283, 0.21691298480789645],
+  dadras: [15.2, 3.4, -23],
+  hyperRossler: [-5, 5.5, 6, -1.3],
+  lorenzStenflo: [7, 21, -0.1, -5],
+  duffing: [2, -0.1873321925451608, -2.926117676582182],
+  vanDerPol: [2, 0.14095565469686377, -2.093265597551204],
+  custom: [-25.89, -28.78, -18.67]
+};
+
+test('every attractor has reference derivatives', () => {
+  assert.deepEqual(Object.keys(attractors).sort(), Object.keys(references).sort());
+});
+
+for (const [key, expected] of Object.entries(references)) {
+  test(`${key} derivatives match the reference values`, () => {
+    const attractor = attractors[key];
+    const f = vectorField(attractor, defaultParams(attractor));
+    assertClose(f([1, 2, 3, 4].slice(0, expected.length), 0.5), expected, 1e-9, key);
+  });
+}
+
+// dx = y, dy = -x, dz = cos t, with the exact solution
+// (sin t + cos t, cos t - sin t, sin t) from (1, 1, 0). The forcing term
+// checks that each stage is given its own time.
+const oscillator = ([x, y], t) => [y, -x, Math.cos(t)];
+const exact = t => [Math.sin(t) + Math.cos(t), Math.cos(t) - Math.sin(t), Math.sin(t)];
+
+// Largest error at t = 1 after steps of size h
+function globalError(integrator, h, options) {
+  let state = [1, 1, 0];
+  const steps = Math.round(1 / h);
+  for (let n = 0; n < steps; n++) {
+    state = integrator.step(oscillator, state, h, options, n * h).state;
+  }
+  return Math.max(...state.map((value, i) => Math.abs(value - exact(1)[i])));
+}
+
+// Tolerances loose enough that the adaptive method accepts every step, so
+// it runs at the fixed step maxStep like the others
+const fixedOptions = h => ({ atol: 1e3, rtol: 1e3, maxStep: h });
+
+const orders = [
+  ['euler', 0.01],
+  ['midpoint', 0.01],
+  ['rk4', 0.05],
+  ['rk45', 0.1]
+];
+
+for (const [key, h] of orders) {
+  test(`${key} converges with order ${integrators[key].order}`, () => {
+    const integrator = integrators[key];
+    const coarse = globalError(integrator, h, fixedOptions(h));
+    const fine = globalError(integrator, h / 2, fixedOptions(h / 2));
+    const observed = Math.log2(coarse / fine);
+    assert.ok(Math.abs(observed - integrator.order) < 0.2, `observed order ${observed.toFixed(3)}`);
+  });
+}
+
+test('rk45 meets its tolerance when left to choose its steps', () => {
+  const state = advance(integrators.rk45, oscillator, [1, 1, 0], 1, { atol: 1e-10, rtol: 1e-10, initialStep: 0.1 });
+  assertClose(state, exact(1), 1e-8, 'rk45');
+});
+
+for (const key of ['euler', 'midpoint', 'rk4']) {
+  test(`${key} takes exactly the step it is given`, () => {
+    const simulation = createSimulation({ attractor: 'lorenz', integrator: key });
+    const { dt } = simulation.params;
+    assert.equal(simulation.step(100), 100);
+    assert.deepEqual(simulation.lastStep, { h: dt, error: null });
+    assert.ok(Math.abs(simulation.time - 100 * dt) < 1e-12);
+  });
+}
+
+test('rk45 steps never exceed dt and carry an error estimate', () => {
+  const simulation = createSimulation({ attractor: 'lorenz', integrator: 'rk45' });
+  const { dt } = simulation.params;
+  simulation.step(200, () => {
+    const { h, error } = simulation.lastStep;
+    assert.ok(h > 0 && h <= dt, `step ${h}`);
+    assert.ok(error <= 1, `error ${error}`);
+  });
+});
+
+// (x, y, z) → (-x, -y, z) maps Lorenz trajectories onto trajectories, and
+// the integrators only add and scale, so the mirrored run matches exactly
+for (const key of Object.keys(integrators)) {
+  test(`${key} preserves the Lorenz symmetry`, () => {
+    const initial = [1.5, -0.5, 20];
+    const a = createSimulation({ attractor: 'lorenz', integrator: key, initial });
+    const b = createSimulation({ attractor: 'lorenz', integrator: key, initial: [-initial[0], -initial[1], initial[2]] });
+    a.step(500);
+    b.step(500);
+    const [x, y, z] = a.state();
+    assertClose(b.state(), [-x, -y, z], 1e-9, key);
+    assert.equal(a.time, b.time);
+  });
+}
+
+test('step(n, onStep) reports every state and time', () => {
+  const simulation = createSimulation({ attractor: 'rossler' });
+  const seen = [];
+  simulation.step(5, (state, time) => seen.push([state, time]));
+  assert.equal(seen.length, 5);
+  assert.deepEqual(seen[4][0], simulation.state());
+  assert.equal(seen[4][1], simulation.time);
+});
+
+test('a diverging step is not taken and stops stepping until reset', () => {
+  const runaway = {
+    params: { dt: { value: 0.1 } },
+    initial: [1, 1, 1],
+    derivatives: (x, y, z) => ({ dx: x * x * x, dy: 0, dz: 0 })
+  };
+  const simulation = createSimulation({ attractor: runaway, integrator: 'euler' });
+  const taken = simulation.step(1000);
+  assert.ok(taken < 1000);
+  assert.ok(simulation.divergence);
+  assert.equal(divergence(simulation.state()), null);
+  assert.equal(simulation.step(10), 0);
+  simulation.reset();
+  assert.equal(simulation.divergence, null);
+  assert.ok(simulation.step(1) === 1);
+});
+
+test('divergence classifies states', () => {
+  assert.equal(divergence([1, 2, 3]), null);
+  assert.equal(divergence([NaN, 0, 0]), 'non-finite');
+  assert.equal(divergence([Infinity, 0, 0]), 'non-finite');
+  assert.equal(divergence([2e6, 0, 0]), 'runaway');
+});
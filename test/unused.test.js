@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+
+// Checks for dead code: every name a module exports should be imported by
+// another module of the app, or else be private, and every function a module
+// declares should be used in it. The tests do not count as users.
+
+const root = new URL('../', import.meta.url);
+const modules = readdirSync(root).filter(file => file.endsWith('.js'));
+const sources = Object.fromEntries(modules.map(file => [file, readFileSync(new URL(file, root), 'utf8')]));
+
+// Names imported from each module, by the file name they are imported from
+const imports = {};
+for (const [file, source] of Object.entries(sources)) {
+  for (const [, names, from] of source.matchAll(/import\s*\{([^}]*)\}\s*from\s*'\.\/([^']+)'/g)) {
+    (imports[from] ??= []).push(...names.split(',').map(name => ({ name: name.trim().split(/\s+as\s+/)[0], by: file })));
+  }
+}
+
+for (const [file, source] of Object.entries(sources)) {
+  const exported = [...source.matchAll(/^export\s+(?:async\s+)?(?:function\*?|const|let|class)\s+(\w+)/gm)].map(([, name]) => name);
+  if (exported.length === 0) {
+    continue;
+  }
+  test(`everything ${file} exports is imported elsewhere`, () => {
+    const used = (imports[file] ?? []).filter(({ by }) => by !== file).map(({ name }) => name);
+    assert.deepEqual(exported.filter(name => !used.includes(name)), []);
+  });
+}
+
+for (const [file, source] of Object.entries(sources)) {
+  test(`every function ${file} declares is used`, () => {
+    const declared = [...source.matchAll(/^(?:export\s+)?(?:async\s+)?function\*?\s+(\w+)/gm)].map(([, name]) => name);
+    const unused = declared.filter(name => {
+      const uses = source.match(new RegExp(`\\b${name}\\b`, 'g')).length;
+      return uses === 1 && !(imports[file] ?? []).some(entry => entry.name === name);
+    });
+    assert.deepEqual(unused, []);
+  });
+}
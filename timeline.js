@@ -0,0 +1,155 @@
+// Parameter animation timeline
+//
+// Each animated parameter has a track of keyframes { time, value, easing }
+// sorted by time, in seconds. A keyframe's easing shapes the transition from
+// it to the next keyframe; before the first keyframe and after the last the
+// track holds their values. Playback follows wall-clock time and either
+// stops or wraps around at the end.
+
+// Easing curves mapping progress 0..1 through a segment onto 0..1
+export const easings = {
+  linear: { name: 'Linear', ease: s => s },
+  smooth: { name: 'Ease in-out', ease: s => s * s * (3 - 2 * s) },
+  in: { name: 'Ease in', ease: s => s * s },
+  out: { name: 'Ease out', ease: s => s * (2 - s) },
+  hold: { name: 'Hold', ease: () => 0 }
+};
+
+// Keyframes closer together than this are at the same time
+const sameTime = 1e-6;
+
+export function createTimeline({ duration = 20, loop = true } = {}) {
+  const tracks = new Map();
+  let time = 0;
+  let playing = false;
+  let lastTime = null;
+
+  // Add a keyframe, replacing any on the same track at the same time
+  function setKeyframe(param, at, value, easing = 'linear') {
+    const track = (tracks.get(param) ?? []).filter(key => Math.abs(key.time - at) > sameTime);
+    track.push({ time: at, value, easing });
+    track.sort((a, b) => a.time - b.time);
+    tracks.set(param, track);
+  }
+
+  // Change the value or easing of the keyframe at time at
+  function updateKeyframe(param, at, changes) {
+    const key = (tracks.get(param) ?? []).find(k => Math.abs(k.time - at) <= sameTime);
+    if (key) {
+      Object.assign(key, changes);
+    }
+  }
+
+  function removeKeyframe(param, at) {
+    const track = (tracks.get(param) ?? []).filter(key => Math.abs(key.time - at) > sameTime);
+    if (track.length > 0) {
+      tracks.set(param, track);
+    } else {
+      tracks.delete(param);
+    }
+  }
+
+  // Every keyframe as { param, time, value, easing }, in time order
+  function keyframes() {
+    const all = [];
+    tracks.forEach((track, param) => track.forEach(key => all.push({ param, ...key })));
+    return all.sort((a, b) => a.time - b.time || a.param.localeCompare(b.param));
+  }
+
+  // Value of one track at time at
+  function trackValue(track, at) {
+    if (at <= track[0].time) {
+      return track[0].value;
+    }
+    const next = track.findIndex(key => key.time > at);
+    if (next === -1) {
+      return track[track.length - 1].value;
+    }
+    const from = track[next - 1];
+    const to = track[next];
+    const s = easings[from.easing].ease((at - from.time) / (to.time - from.time));
+    return from.value + (to.value - from.value) * s;
+  }
+
+  // { param: value } for every animated parameter at time at
+  function valuesAt(at = time) {
+    const values = {};
+    tracks.forEach((track, param) => {
+      values[param] = trackValue(track, at);
+    });
+    return values;
+  }
+
+  function play() {
+    if (!loop && time >= duration) {
+      time = 0;
+    }
+    lastTime = null;
+    playing = true;
+  }
+
+  function pause() {
+    playing = false;
+  }
+
+  // Move the playhead, clamped to the timeline
+  function seek(at) {
+    time = Math.min(duration, Math.max(0, at));
+    lastTime = null;
+  }
+
+  // Advance the playhead to wall-clock time now (ms) while playing
+  function update(now) {
+    if (!playing) {
+      return;
+    }
+    if (lastTime !== null) {
+      time += (now - lastTime) / 1000;
+      if (time >= duration) {
+        if (loop && duration > 0) {
+          time %= duration;
+        } else {
+          time = duration;
+          playing = false;
+        }
+      }
+    }
+    lastTime = now;
+  }
+
+  // Change { duration } in seconds or whether to { loop }
+  function configure(options) {
+    if (options.duration !== undefined) {
+      duration = options.duration;
+      time = Math.min(time, duration);
+    }
+    if (options.loop !== undefined) {
+      loop = options.loop;
+    }
+  }
+
+  function clear() {
+    tracks.clear();
+    playing = false;
+    time = 0;
+  }
+
+  return {
+    setKeyframe,
+    updateKeyframe,
+    removeKeyframe,
+    keyframes,
+    valuesAt,
+    play,
+    pause,
+    seek,
+    update,
+    configure,
+    clear,
+    get time() { return time; },
+    get playing() { return playing; },
+    get empty() { return tracks.size === 0; },
+    get duration() { return duration; },
+    get loop() { return loop; }
+  };
+}
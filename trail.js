@@ -0,0 +1,716 @@
+import * as THREE from 'three';
+import { LineMaterial } from 'three/addons/lines/LineMaterial.js';
+import { LineSegments2 } from 'three/addons/lines/LineSegments2.js';
+import { LineSegmentsGeometry } from 'three/addons/lines/LineSegmentsGeometry.js';
+import { applyProjection } from './projection.js';
+
+// Ways of drawing the trail, all coloured from the same per-point colours
+export const trailStyles = {
+  line: { name: 'Thin line' },
+  fat: { name: 'Thick line' },
+  tube: { name: 'Tube' },
+  points: { name: 'Points' }
+};
+
+// Sides of the tube's cross-section
+const tubeSides = 6;
+const tubeAngles = Array.from({ length: tubeSides }, (_, k) => 2 * Math.PI * k / tubeSides);
+
+// Fading tail, added to each style's shaders. A vertex's age follows from its
+// ring slot and the uniforms describing where the ring starts, so fading the
+// tail costs nothing on the CPU as the head moves.
+const fadeVertex = `
+attribute float trailSlot;
+uniform float trailStart;
+uniform float trailCount;
+uniform float trailCapacity;
+uniform float trailFade;
+varying float vTrailFade;
+`;
+
+const fadeMain = `void main() {
+  float trailNewness = mod(trailSlot - trailStart + trailCapacity, trailCapacity) / max(trailCount - 1.0, 1.0);
+  vTrailFade = 1.0 - trailFade * (1.0 - trailNewness);
+`;
+
+// Turn of four-dimensional trails, added to each style's shaders. Points
+// are stored as drawn before the turn, each with its left-out coordinate,
+// and the turn mixes that coordinate into one drawn axis as the vertices
+// are drawn, so turning costs nothing on the CPU. A vertex moves with
+// centre, the trail point it belongs to, which is the vertex itself but
+// for the tube's rings.
+const turnVertex = `
+uniform vec3 trailTurnAxis;
+uniform vec2 trailTurn;
+uniform float trailTubeRadius;
+vec3 trailTurned(vec3 point, vec3 centre, float hidden) {
+  return point + trailTurnAxis * ((trailTurn.x - 1.0) * dot(centre, trailTurnAxis) - trailTurn.y * hidden);
+}
+`;
+
+// Soft round sprite for the points style
+function spriteTexture() {
+  const canvas = document.createElement('canvas');
+  canvas.width = 64;
+  canvas.height = 64;
+  const ctx = canvas.getContext('2d');
+  const gradient = ctx.createRadialGradient(32, 32, 0, 32, 32, 32);
+  gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+  gradient.addColorStop(0.5, 'rgba(255, 255, 255, 0.8)');
+  gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, 64, 64);
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+}
+
+// Fixed-capacity trajectory trail stored as a ring buffer
+//
+// New points overwrite the oldest slot instead of shifting the whole buffer,
+// so appending is O(1) and only the written slots are re-uploaded. A full
+// ring is drawn as two lines sharing one set of attributes: the older part
+// from the write head to the end of the buffer, then the newer part from the
+// start. The buffer has one spare slot at the end mirroring slot 0, which
+// joins the two halves without a gap. Each point also keeps the simulation
+// time it was computed at and the scalar its colour was mapped from, so the
+// whole trail can be exported or recoloured. Points of four-dimensional
+// systems also keep the coordinate their projection left out, so the trail
+// can be reprojected, or turned on the GPU by the rotating projection. The
+// points read back and pushed are always as drawn, after the turn.
+//
+// The other styles are built from the same ring. Points share its
+// attributes. Thick lines are screen-space quads, one per slot, joining the
+// point in that slot to the one before it; the oldest point's quad is
+// collapsed so the newest and oldest are never joined. The tube has a ring
+// of vertices around each point, oriented by parallel transport along the
+// trail, and is split into older and newer parts like the line. Their
+// buffers are only allocated while the style is in use, as a long tube
+// takes a few hundred bytes per point.
+export function createTrail(capacity) {
+  const group = new THREE.Group();
+
+  const fadeUniforms = {
+    trailStart: { value: 0 },
+    trailCount: { value: 0 },
+    trailCapacity: { value: capacity },
+    trailFade: { value: 0 }
+  };
+  const turnUniforms = {
+    trailTurnAxis: { value: new THREE.Vector3(1, 0, 0) },
+    trailTurn: { value: new THREE.Vector2(1, 0) },
+    trailTubeRadius: { value: 0 }
+  };
+  // The drawn axis the turn mixes the left-out coordinate into, or -1, and
+  // the cosine and sine of its angle
+  const turn = { axis: -1, cos: 1, sin: 0 };
+  // turnShader() edits the vertex shader to turn its vertices, using the
+  // left-out coordinates of attributes: per instance for the thick line's
+  // segments, per vertex for the others
+  const fading = (material, turnShader, attributes = 'attribute float trailHidden;\n') => {
+    material.onBeforeCompile = shader => {
+      Object.assign(shader.uniforms, fadeUniforms, turnUniforms);
+      shader.vertexShader = fadeVertex + attributes + turnVertex + turnShader(shader.vertexShader.replace('void main() {', fadeMain));
+      shader.fragmentShader = 'varying float vTrailFade;\n' + shader.fragmentShader.replace(
+        '#include <tonemapping_fragment>',
+        'gl_FragColor.a *= vTrailFade;\n#include <tonemapping_fragment>'
+      );
+    };
+    return material;
+  };
+  const turnVertices = centre => shader => shader.replace(
+    '#include <begin_vertex>',
+    `#include <begin_vertex>\ntransformed = trailTurned(transformed, ${centre}, trailHidden);`
+  );
+  const turnSegments = shader => shader
+    .replace('vec4( instanceStart, 1.0 )', 'vec4( trailTurned( instanceStart, instanceStart, trailHiddenStart ), 1.0 )')
+    .replace('vec4( instanceEnd, 1.0 )', 'vec4( trailTurned( instanceEnd, instanceEnd, trailHiddenEnd ), 1.0 )');
+
+  const lineMaterial = fading(new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, opacity: 0.8 }), turnVertices('transformed'));
+  const fatMaterial = fading(
+    new LineMaterial({ vertexColors: true, transparent: true, opacity: 0.8, linewidth: 3 }),
+    turnSegments,
+    'attribute float trailHiddenStart;\nattribute float trailHiddenEnd;\n'
+  );
+  // A tube vertex is its point's centre pushed out along its normal
+  const tubeMaterial = fading(new THREE.MeshStandardMaterial({
+    vertexColors: true,
+    transparent: true,
+    roughness: 0.45,
+    metalness: 0.1
+  }), turnVertices('transformed - trailTubeRadius * normal'));
+  const pointsMaterial = fading(new THREE.PointsMaterial({
+    vertexColors: true,
+    transparent: true,
+    opacity: 0.8,
+    size: 0.3,
+    map: spriteTexture(),
+    depthWrite: false
+  }), turnVertices('transformed'));
+
+  const older = new THREE.Line(new THREE.BufferGeometry(), lineMaterial);
+  const newer = new THREE.Line(new THREE.BufferGeometry(), lineMaterial);
+  const points = new THREE.Points(new THREE.BufferGeometry(), pointsMaterial);
+  const fat = new LineSegments2(new LineSegmentsGeometry(), fatMaterial);
+  const olderTube = new THREE.Mesh(new THREE.BufferGeometry(), tubeMaterial);
+  const newerTube = new THREE.Mesh(new THREE.BufferGeometry(), tubeMaterial);
+  const objects = { line: [older, newer], fat: [fat], tube: [olderTube, newerTube], points: [points] };
+  Object.values(objects).flat().forEach(object => {
+    // The buffers change every frame, so a cached bounding sphere is never valid
+    object.frustumCulled = false;
+    group.add(object);
+  });
+
+  let style = 'line';
+  let tubeRadius = 0.15;
+  turnUniforms.trailTubeRadius.value = tubeRadius;
+  let positions, colors, times, values, hidden;
+  // Instanced segment buffers of the thick line, and vertex buffers of the
+  // tube, while those styles are shown
+  let segments = null;
+  let tube = null;
+  let head = 0;
+  let count = 0;
+  // Slots written since the last flush, starting at dirtyStart
+  let dirtyStart = 0;
+  let dirtyCount = 0;
+  let dirtyAll = false;
+
+  // Frame carried along the tube, and the slot of a point whose ring waits
+  // for the next point to give it a direction
+  const tangent = new THREE.Vector3(1, 0, 0);
+  const normal = new THREE.Vector3(0, 1, 0);
+  const binormal = new THREE.Vector3();
+  const step = new THREE.Vector3();
+  const from = new THREE.Vector3();
+  let pendingRing = -1;
+
+  const dynamic = (array, itemSize) => new THREE.BufferAttribute(array, itemSize).setUsage(THREE.DynamicDrawUsage);
+  const slotIndices = length => Float32Array.from({ length }, (_, i) => i);
+
+  function allocate(size) {
+    capacity = size;
+    positions = new Float32Array((capacity + 1) * 3);
+    colors = new Float32Array((capacity + 1) * 3);
+    times = new Float64Array(capacity);
+    values = new Float32Array(capacity);
+    hidden = new Float32Array(capacity + 1);
+    const slots = slotIndices(capacity + 1);
+    // The mirror slot is slot 0
+    slots[capacity] = 0;
+    const positionAttribute = dynamic(positions, 3);
+    const colorAttribute = dynamic(colors, 3);
+    const hiddenAttribute = dynamic(hidden, 1);
+    const slotAttribute = new THREE.BufferAttribute(slots, 1);
+    [older, newer, points].forEach(object => {
+      object.geometry.dispose();
+      object.geometry = new THREE.BufferGeometry();
+      object.geometry.setAttribute('position', positionAttribute);
+      object.geometry.setAttribute('color', colorAttribute);
+      object.geometry.setAttribute('trailHidden', hiddenAttribute);
+      object.geometry.setAttribute('trailSlot', slotAttribute);
+    });
+    segments = null;
+    tube = null;
+    allocateStyle();
+    fadeUniforms.trailCapacity.value = capacity;
+    head = 0;
+    count = 0;
+    dirtyStart = 0;
+    dirtyCount = 0;
+  }
+
+  // Allocate the current style's own buffers if it has them
+  function allocateStyle() {
+    if (style === 'fat' && !segments) {
+      const segmentPositions = new Float32Array(capacity * 6);
+      const segmentColors = new Float32Array(capacity * 6);
+      const positionBuffer = new THREE.InstancedInterleavedBuffer(segmentPositions, 6, 1).setUsage(THREE.DynamicDrawUsage);
+      const colorBuffer = new THREE.InstancedInterleavedBuffer(segmentColors, 6, 1).setUsage(THREE.DynamicDrawUsage);
+      const segmentHidden = new Float32Array(capacity * 2);
+      const hiddenBuffer = new THREE.InstancedInterleavedBuffer(segmentHidden, 2, 1).setUsage(THREE.DynamicDrawUsage);
+      const geometry = new LineSegmentsGeometry();
+      geometry.setAttribute('instanceStart', new THREE.InterleavedBufferAttribute(positionBuffer, 3, 0));
+      geometry.setAttribute('instanceEnd', new THREE.InterleavedBufferAttribute(positionBuffer, 3, 3));
+      geometry.setAttribute('instanceColorStart', new THREE.InterleavedBufferAttribute(colorBuffer, 3, 0));
+      geometry.setAttribute('instanceColorEnd', new THREE.InterleavedBufferAttribute(colorBuffer, 3, 3));
+      geometry.setAttribute('trailHiddenStart', new THREE.InterleavedBufferAttribute(hiddenBuffer, 1, 0));
+      geometry.setAttribute('trailHiddenEnd', new THREE.InterleavedBufferAttribute(hiddenBuffer, 1, 1));
+      geometry.setAttribute('trailSlot', new THREE.InstancedBufferAttribute(slotIndices(capacity), 1));
+      fat.geometry.dispose();
+      fat.geometry = geometry;
+      segments = { positions: segmentPositions, colors: segmentColors, hidden: segmentHidden, positionBuffer, colorBuffer, hiddenBuffer };
+    } else if (style === 'tube' && !tube) {
+      const vertices = (capacity + 1) * tubeSides;
+      const tubePositions = new Float32Array(vertices * 3);
+      const tubeNormals = new Float32Array(vertices * 3);
+      const tubeColors = new Float32Array(vertices * 3);
+      const tubeHidden = new Float32Array(vertices);
+      const slots = new Float32Array(vertices);
+      for (let i = 0; i < capacity * tubeSides; i++) {
+        slots[i] = Math.floor(i / tubeSides);
+      }
+      // Quads between each ring and the next, facing outwards
+      const index = new Uint32Array(capacity * tubeSides * 6);
+      for (let i = 0, n = 0; i < capacity; i++) {
+        for (let k = 0; k < tubeSides; k++, n += 6) {
+          const a = i * tubeSides + k;
+          const b = i * tubeSides + (k + 1) % tubeSides;
+          const c = a + tubeSides;
+          const d = b + tubeSides;
+          index.set([a, b, c, b, d, c], n);
+        }
+      }
+      const attributes = {
+        position: dynamic(tubePositions, 3),
+        normal: dynamic(tubeNormals, 3),
+        color: dynamic(tubeColors, 3),
+        trailHidden: dynamic(tubeHidden, 1),
+        trailSlot: new THREE.BufferAttribute(slots, 1)
+      };
+      const indexAttribute = new THREE.BufferAttribute(index, 1);
+      [olderTube, newerTube].forEach(mesh => {
+        mesh.geometry.dispose();
+        mesh.geometry = new THREE.BufferGeometry();
+        Object.entries(attributes).forEach(([name, attribute]) => mesh.geometry.setAttribute(name, attribute));
+        mesh.geometry.setIndex(indexAttribute);
+      });
+      tube = { positions: tubePositions, normals: tubeNormals, colors: tubeColors, hidden: tubeHidden };
+    }
+  }
+
+  function write(slot, x, y, z, r, g, b, w) {
+    hidden[slot] = w;
+    const i = slot * 3;
+    positions[i] = x;
+    positions[i + 1] = y;
+    positions[i + 2] = z;
+    colors[i] = r;
+    colors[i + 1] = g;
+    colors[i + 2] = b;
+  }
+
+  // Thick-line segment ending at the point in slot, from the point in slot from
+  function writeSegment(slot, from) {
+    const i = slot * 6;
+    segments.positions.set(positions.subarray(from * 3, from * 3 + 3), i);
+    segments.positions.set(positions.subarray(slot * 3, slot * 3 + 3), i + 3);
+    segments.colors.set(colors.subarray(from * 3, from * 3 + 3), i);
+    segments.colors.set(colors.subarray(slot * 3, slot * 3 + 3), i + 3);
+    segments.hidden[slot * 2] = hidden[from];
+    segments.hidden[slot * 2 + 1] = hidden[slot];
+  }
+
+  // Tube vertices around the point in slot, in the current frame
+  function writeRing(slot) {
+    binormal.crossVectors(tangent, normal);
+    [slot, ...(slot === 0 ? [capacity] : [])].forEach(ring => {
+      tubeAngles.forEach((angle, k) => {
+        tube.hidden[ring * tubeSides + k] = hidden[slot];
+        const i = (ring * tubeSides + k) * 3;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        for (let c = 0; c < 3; c++) {
+          const direction = cos * normal.getComponent(c) + sin * binormal.getComponent(c);
+          tube.positions[i + c] = positions[slot * 3 + c] + tubeRadius * direction;
+          tube.normals[i + c] = direction;
+          tube.colors[i + c] = colors[slot * 3 + c];
+        }
+      });
+    });
+  }
+
+  // Advance the tube's frame to the point in slot, coming from the point in
+  // slot previous, and write its ring. The normal is kept as close as it can
+  // be to the last one, so the tube does not twist.
+  function advanceTube(slot, previous) {
+    if (previous < 0) {
+      pendingRing = slot;
+      return;
+    }
+    step.fromArray(positions, slot * 3).sub(from.fromArray(positions, previous * 3));
+    if (step.lengthSq() > 0) {
+      tangent.copy(step.normalize());
+    }
+    normal.addScaledVector(tangent, -normal.dot(tangent));
+    if (normal.lengthSq() < 1e-12) {
+      // Any direction across the tangent will do
+      normal.set(tangent.y, -tangent.x, 0);
+      if (normal.lengthSq() < 1e-12) {
+        normal.set(0, tangent.z, -tangent.y);
+      }
+    }
+    normal.normalize();
+    if (pendingRing === previous) {
+      writeRing(previous);
+      pendingRing = -1;
+    }
+    writeRing(slot);
+  }
+
+  // Write the current style's data for the point in slot, which follows the
+  // point in slot previous (-1 for the oldest point)
+  function writeStyle(slot, previous) {
+    if (style === 'fat') {
+      writeSegment(slot, previous < 0 ? slot : previous);
+    } else if (style === 'tube') {
+      advanceTube(slot, previous);
+    }
+  }
+
+  // Rebuild the current style's data from the stored points
+  function rebuildStyle() {
+    let previous = -1;
+    pendingRing = -1;
+    eachSlot(slot => {
+      writeStyle(slot, previous);
+      previous = slot;
+    });
+  }
+
+  // Drawn coordinates and left-out coordinate of the point in slot, turned
+  // as its vertices are. The array is reused.
+  const shown = [0, 0, 0, 0];
+  function turned(slot) {
+    shown[0] = positions[slot * 3];
+    shown[1] = positions[slot * 3 + 1];
+    shown[2] = positions[slot * 3 + 2];
+    shown[3] = hidden[slot];
+    if (turn.axis >= 0) {
+      const a = shown[turn.axis];
+      shown[turn.axis] = turn.cos * a - turn.sin * shown[3];
+      shown[3] = turn.sin * a + turn.cos * shown[3];
+    }
+    return shown;
+  }
+
+  // Undo the turn of a point drawn at [x, y, z, w], in place
+  function unturn(point) {
+    if (turn.axis >= 0) {
+      const a = point[turn.axis];
+      point[turn.axis] = turn.cos * a + turn.sin * point[3];
+      point[3] = turn.cos * point[3] - turn.sin * a;
+    }
+    return point;
+  }
+  const pushed = [0, 0, 0, 0];
+
+  // Append a point drawn at x, y, z with its colour, time, colour value and
+  // left-out coordinate, overwriting the oldest one when full. It is stored
+  // as drawn before the turn.
+  function push(drawnX, drawnY, drawnZ, r, g, b, t = 0, value = 0, drawnW = 0) {
+    pushed[0] = drawnX;
+    pushed[1] = drawnY;
+    pushed[2] = drawnZ;
+    pushed[3] = drawnW;
+    const [x, y, z, w] = unturn(pushed);
+    write(head, x, y, z, r, g, b, w);
+    times[head] = t;
+    values[head] = value;
+    if (head === 0) {
+      write(capacity, x, y, z, r, g, b, w);
+    }
+    if (dirtyCount === 0) {
+      dirtyStart = head;
+    }
+    const previous = count > 0 ? (head + capacity - 1) % capacity : -1;
+    // The tube's first ring is written along with the second, in a slot
+    // that may already have been flushed
+    dirtyAll = dirtyAll || (style === 'tube' && previous >= 0 && previous === pendingRing);
+    writeStyle(head, previous);
+    dirtyCount = Math.min(dirtyCount + 1, capacity);
+    head = (head + 1) % capacity;
+    count = Math.min(count + 1, capacity);
+    if (style === 'fat' && count === capacity) {
+      writeSegment(head, head);
+    }
+  }
+
+  // Call callback(slot, n) oldest-to-newest for every stored point
+  function eachSlot(callback) {
+    const start = count < capacity ? 0 : head;
+    for (let n = 0; n < count; n++) {
+      callback((start + n) % capacity, n);
+    }
+  }
+
+  // Call oldest-to-newest for every stored point, as drawn
+  function forEach(callback) {
+    eachSlot((slot, n) => {
+      const [x, y, z, w] = turned(slot);
+      callback(x, y, z, times[slot], values[slot], slot, n, w);
+    });
+  }
+
+  // The nth stored point, oldest first, as drawn: { x, y, z, t, value, w }
+  // with w the left-out coordinate
+  function pointAt(n) {
+    const slot = ((count < capacity ? 0 : head) + n) % capacity;
+    const [x, y, z, w] = turned(slot);
+    return { x, y, z, t: times[slot], value: values[slot], w };
+  }
+
+  // Index, oldest first, of the stored point nearest time t, or -1 if there
+  // are none. Times increase along the trail, so this is a bisection.
+  function indexAt(t) {
+    if (count === 0) {
+      return -1;
+    }
+    const start = count < capacity ? 0 : head;
+    const timeAt = n => times[(start + n) % capacity];
+    let low = 0;
+    let high = count - 1;
+    while (high - low > 1) {
+      const middle = (low + high) >> 1;
+      if (timeAt(middle) < t) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    return high > low && Math.abs(timeAt(high) - t) < Math.abs(timeAt(low) - t) ? high : low;
+  }
+
+  // Recompute every point's colour value with valueFor(x, y, z, t, w)
+  function setValues(valueFor) {
+    forEach((x, y, z, t, value, slot, n, w) => {
+      values[slot] = valueFor(x, y, z, t, w);
+    });
+  }
+
+  // Turn the drawing by angle radians in the plane of the left-out
+  // coordinate and drawn axis axis, as { axis, angle }, or not at all for
+  // null. Only the drawing changes: the points are drawn differently from
+  // now on.
+  function setTurn(next) {
+    turn.axis = next ? next.axis : -1;
+    turn.cos = next ? Math.cos(next.angle) : 1;
+    turn.sin = next ? Math.sin(next.angle) : 0;
+    turnUniforms.trailTurnAxis.value.set(0, 0, 0);
+    if (turn.axis >= 0) {
+      turnUniforms.trailTurnAxis.value.setComponent(turn.axis, 1);
+    }
+    turnUniforms.trailTurn.value.set(turn.cos, turn.sin);
+  }
+
+  // Carry every point over to another projection, where matrix is the
+  // row-major 4×4 change from the old one to the new, applied to each point
+  // as drawn with its left-out coordinate, and draw it with the turn next
+  function reproject(matrix, next = null) {
+    const moved = [];
+    forEach((x, y, z, t, value, slot, n, w) => moved.push(applyProjection(matrix, [x, y, z, w])));
+    setTurn(next);
+    eachSlot((slot, n) => {
+      const [x, y, z, w] = unturn(moved[n]);
+      const [r, g, b] = colors.subarray(slot * 3, slot * 3 + 3);
+      write(slot, x, y, z, r, g, b, w);
+      if (slot === 0) {
+        write(capacity, x, y, z, r, g, b, w);
+      }
+    });
+    rebuildStyle();
+    flush(true);
+  }
+
+  // Rewrite every point's colour with colorFor(value, slot, capacity) and
+  // upload the whole buffer
+  function recolor(colorFor) {
+    eachSlot(slot => {
+      const { r, g, b } = colorFor(values[slot], slot, capacity);
+      colors.set([r, g, b], slot * 3);
+      if (slot === 0) {
+        colors.set([r, g, b], capacity * 3);
+      }
+    });
+    rebuildStyle();
+    flush(true);
+  }
+
+  // Change the capacity, keeping the most recent points and recolouring
+  // them with colorFor as in recolor()
+  function resize(size, colorFor) {
+    const kept = [];
+    forEach((x, y, z, t, value, slot, n, w) => kept.push(x, y, z, t, value, w));
+    allocate(size);
+    const first = Math.max(0, kept.length / 6 - capacity);
+    for (let n = first; n < kept.length / 6; n++) {
+      const [x, y, z, t, value, w] = kept.slice(n * 6, n * 6 + 6);
+      const { r, g, b } = colorFor(value, head, capacity);
+      push(x, y, z, r, g, b, t, value, w);
+    }
+    flush(true);
+  }
+
+  function clear() {
+    positions.fill(0);
+    colors.fill(0);
+    times.fill(0);
+    values.fill(0);
+    hidden.fill(0);
+    head = 0;
+    count = 0;
+    dirtyCount = 0;
+    pendingRing = -1;
+    flush(true);
+  }
+
+  // Draw the trail as one of trailStyles
+  function setStyle(key) {
+    style = key;
+    Object.entries(objects).forEach(([name, list]) => list.forEach(object => {
+      object.visible = name === key;
+    }));
+    // Free the buffers of the style no longer shown
+    if (style !== 'fat' && segments) {
+      fat.geometry.dispose();
+      fat.geometry = new LineSegmentsGeometry();
+      segments = null;
+    }
+    if (style !== 'tube' && tube) {
+      [olderTube, newerTube].forEach(mesh => {
+        mesh.geometry.dispose();
+        mesh.geometry = new THREE.BufferGeometry();
+      });
+      tube = null;
+    }
+    allocateStyle();
+    rebuildStyle();
+    flush(true);
+  }
+
+  // Change how the styles look: { width } of thick lines in pixels, the tube
+  // { radius } in display units, the { size } of points, the { opacity } of
+  // all but the tube, and { fade }, how far the oldest point fades out from 0
+  // (not at all) to 1 (completely)
+  function setAppearance({ width, radius, size, opacity, fade }) {
+    if (width !== undefined) {
+      fatMaterial.linewidth = width;
+    }
+    if (size !== undefined) {
+      pointsMaterial.size = size;
+    }
+    if (opacity !== undefined) {
+      [lineMaterial, fatMaterial, pointsMaterial].forEach(material => {
+        material.opacity = opacity;
+      });
+    }
+    if (fade !== undefined) {
+      fadeUniforms.trailFade.value = fade;
+    }
+    if (radius !== undefined && radius !== tubeRadius) {
+      tubeRadius = radius;
+      turnUniforms.trailTubeRadius.value = radius;
+      if (style === 'tube') {
+        rebuildStyle();
+        flush(true);
+      }
+    }
+  }
+
+  // Free the GPU resources of a trail that is no longer drawn
+  function dispose() {
+    Object.values(objects).flat().forEach(object => object.geometry.dispose());
+    pointsMaterial.map.dispose();
+    [lineMaterial, fatMaterial, tubeMaterial, pointsMaterial].forEach(material => material.dispose());
+  }
+
+  // Thick lines are sized in pixels of a viewport this large
+  function setResolution(width, height) {
+    fatMaterial.resolution.set(width, height);
+  }
+
+  // Mark slots of a buffer holding perSlot numbers for each of its slots as
+  // needing upload
+  function upload(target, perSlot, slots, ranges) {
+    target.clearUpdateRanges();
+    ranges.forEach(([start, length]) => {
+      const end = Math.min(start + length, slots);
+      if (end > start) {
+        target.addUpdateRange(start * perSlot, (end - start) * perSlot);
+      }
+    });
+    target.needsUpdate = true;
+  }
+
+  // Upload the slots written since the last call and update the draw ranges
+  function flush(all = false) {
+    const ranges = [];
+    if (all || dirtyAll || dirtyCount >= capacity) {
+      ranges.push([0, capacity + 1]);
+    } else if (dirtyCount > 0) {
+      const end = dirtyStart + dirtyCount;
+      ranges.push([dirtyStart, Math.min(end, capacity) - dirtyStart]);
+      if (end > capacity) {
+        ranges.push([0, end - capacity]);
+      }
+      // Slot 0 also lives in the mirror slot
+      if (dirtyStart === 0 || end > capacity) {
+        ranges.push([capacity, 1]);
+      }
+      // The oldest point's thick-line segment was collapsed
+      if (count === capacity) {
+        ranges.push([head, 1]);
+      }
+    }
+    if (ranges.length > 0) {
+      const { position, color, trailHidden } = older.geometry.attributes;
+      [position, color].forEach(attribute => upload(attribute, 3, capacity + 1, ranges));
+      upload(trailHidden, 1, capacity + 1, ranges);
+      if (segments) {
+        [segments.positionBuffer, segments.colorBuffer].forEach(buffer => upload(buffer, 6, capacity, ranges));
+        upload(segments.hiddenBuffer, 2, capacity, ranges);
+      }
+      if (tube) {
+        const { position: tubePosition, normal: tubeNormal, color: tubeColor, trailHidden: tubeHidden } = olderTube.geometry.attributes;
+        [tubePosition, tubeNormal, tubeColor].forEach(attribute => upload(attribute, tubeSides * 3, capacity + 1, ranges));
+        upload(tubeHidden, tubeSides, capacity + 1, ranges);
+      }
+    }
+    dirtyCount = 0;
+    dirtyAll = false;
+
+    // Points (not segments) drawn of the older and newer parts
+    const [olderStart, olderCount, newerCount] = count < capacity
+      ? [0, count, 0]
+      : [head, head === 0 ? capacity : capacity + 1 - head, head];
+    older.geometry.setDrawRange(olderStart, olderCount);
+    newer.geometry.setDrawRange(0, newerCount);
+    points.geometry.setDrawRange(0, count);
+    if (segments) {
+      fat.geometry.instanceCount = count;
+    }
+    if (tube) {
+      const quads = tubeSides * 6;
+      olderTube.geometry.setDrawRange(olderStart * quads, Math.max(0, olderCount - 1) * quads);
+      newerTube.geometry.setDrawRange(0, Math.max(0, newerCount - 1) * quads);
+    }
+    fadeUniforms.trailStart.value = count < capacity ? 0 : head;
+    fadeUniforms.trailCount.value = count;
+  }
+
+  allocate(capacity);
+  setStyle(style);
+
+  return {
+    object: group,
+    push,
+    flush,
+    clear,
+    resize,
+    forEach,
+    pointAt,
+    indexAt,
+    setValues,
+    reproject,
+    setTurn,
+    recolor,
+    setStyle,
+    setAppearance,
+    setResolution,
+    dispose,
+    get style() { return style; },
+    get capacity() { return capacity; },
+    get count() { return count; },
+    get head() { return head; }
+  };
+}
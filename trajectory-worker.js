@@ -0,0 +1,61 @@
+import { attractors, customAttractor, defaultParams } from './attractors.js';
+import { advance, integrators } from './integrators.js';
+import { dimensionOf, divergence, vectorField } from './simulation.js';
+
+// Headless trajectory worker
+//
+// Integrates a fresh trajectory for export, away from both the render loop
+// and the live simulation. Points are sampled every dt; adaptive methods
+// take whatever substeps they need in between, so the samples are evenly
+// spaced in time. Cancelling terminates the worker.
+//
+// Message in:
+//   integrate   { attractor, equations?, params, initial, points, integrator, options }
+// Messages out:
+//   progress    { fraction }
+//   trajectory  { times, positions, dimension, diverged }  Float64Arrays,
+//               positions interleaved x, y, z (and w for four-dimensional
+//               systems); cut short if the state diverged
+
+function integrate(request) {
+  if (request.equations) {
+    attractors.custom = customAttractor(request.equations, request.params);
+  }
+  const attractor = attractors[request.attractor];
+  const params = { ...defaultParams(attractor), ...request.params };
+  const integrator = integrators[request.integrator];
+  const f = vectorField(attractor, params);
+
+  const { points } = request;
+  const dimension = dimensionOf(attractor);
+  const times = new Float64Array(points);
+  const positions = new Float64Array(points * dimension);
+  const reportEvery = Math.max(1, Math.floor(points / 100));
+  let state = request.initial.slice();
+  let count = 0;
+  let diverged = false;
+  while (count < points) {
+    if (count > 0) {
+      state = advance(integrator, f, state, params.dt, request.options, (count - 1) * params.dt);
+    }
+    if (divergence(state)) {
+      diverged = true;
+      break;
+    }
+    times[count] = count * params.dt;
+    positions.set(state, count * dimension);
+    if (count % reportEvery === 0) {
+      self.postMessage({ type: 'progress', fraction: count / points });
+    }
+    count++;
+  }
+
+  const trajectory = { times: times.slice(0, count), positions: positions.slice(0, count * dimension) };
+  self.postMessage({ type: 'trajectory', ...trajectory, dimension, diverged }, [trajectory.times.buffer, trajectory.positions.buffer]);
+}
+
+self.onmessage = event => {
+  if (event.data.type === 'integrate') {
+    integrate(event.data);
+  }
+};
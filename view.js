@@ -0,0 +1,124 @@
+import * as THREE from 'three';
+
+// Axis-aligned views, as the direction from the target to the camera
+export const viewDirections = {
+  '+x': { name: '+X', direction: [1, 0, 0] },
+  '-x': { name: '−X', direction: [-1, 0, 0] },
+  '+y': { name: '+Y', direction: [0, 1, 0] },
+  '-y': { name: '−Y', direction: [0, -1, 0] },
+  '+z': { name: '+Z', direction: [0, 0, 1] },
+  '-z': { name: '−Z', direction: [0, 0, -1] }
+};
+
+const storageKey = 'strangeattrs.views';
+
+// Time constant of the eased camera moves, in ms
+const easeTime = 150;
+
+const isVector = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+
+// Saved viewpoints from localStorage as { attractor: [{ name, position,
+// target }] }; malformed entries are dropped, and unreadable storage throws
+export function loadViews() {
+  const stored = JSON.parse(localStorage.getItem(storageKey) ?? '{}');
+  const views = {};
+  Object.entries(stored ?? {}).forEach(([attractor, list]) => {
+    if (Array.isArray(list)) {
+      views[attractor] = list.filter(view =>
+        typeof view?.name === 'string' && isVector(view.position) && isVector(view.target));
+    }
+  });
+  return views;
+}
+
+export function saveViews(views) {
+  localStorage.setItem(storageKey, JSON.stringify(views));
+}
+
+// Camera moves eased over a fraction of a second
+//
+// The camera and the orbit controls' target are moved towards a goal pose
+// on each update(), so the view glides to a fitted box or a saved viewpoint
+// instead of jumping. A box is framed by centring the target on it and
+// backing the camera off along its current direction until the box's
+// bounding sphere fits the narrower side of the view. Near and far planes
+// follow the distance, so very small and very large attractors both draw
+// without clipping.
+export function createCameraRig(camera, controls) {
+  let goal = null;
+  let lastTime = null;
+  const offset = new THREE.Vector3();
+  const sphere = new THREE.Sphere();
+
+  // Head for { position, target } as Vector3s
+  function moveTo(position, target) {
+    if (!goal) {
+      lastTime = null;
+    }
+    goal = { position: position.clone(), target: target.clone() };
+  }
+
+  // Frame box (display units), looking from where the camera is headed
+  function fit(box) {
+    if (box.isEmpty()) {
+      return;
+    }
+    box.getBoundingSphere(sphere);
+    const halfFov = THREE.MathUtils.degToRad(camera.fov / 2);
+    const fitFov = camera.aspect < 1 ? Math.atan(Math.tan(halfFov) * camera.aspect) : halfFov;
+    const distance = Math.max(sphere.radius, 1e-3) / Math.sin(fitFov) * 1.1;
+    offset.subVectors(goal?.position ?? camera.position, goal?.target ?? controls.target).normalize().multiplyScalar(distance);
+    moveTo(sphere.center.clone().add(offset), sphere.center);
+  }
+
+  // Look at the current target from one of the viewDirections, keeping the
+  // distance. Straight up or down the camera's up axis is nudged off it, as
+  // the orbit has no defined heading there.
+  function lookAlong(key) {
+    const direction = new THREE.Vector3().fromArray(viewDirections[key].direction);
+    if (Math.abs(direction.dot(camera.up)) > 0.999) {
+      direction.add(new THREE.Vector3(0, 0, 1e-3).applyQuaternion(camera.quaternion)).normalize();
+    }
+    const target = goal?.target ?? controls.target;
+    const distance = (goal?.position ?? camera.position).distanceTo(target);
+    moveTo(target.clone().addScaledVector(direction, distance), target);
+  }
+
+  // Stop any move in progress, as when the user takes over
+  function cancel() {
+    goal = null;
+  }
+
+  // Advance a move to time now (ms), and fit the clipping planes to the
+  // camera's distance from the target
+  function update(now) {
+    if (goal) {
+      const k = lastTime === null ? 0 : 1 - Math.exp(-(now - lastTime) / easeTime);
+      lastTime = now;
+      camera.position.lerp(goal.position, k);
+      controls.target.lerp(goal.target, k);
+      const close = camera.position.distanceTo(controls.target) * 1e-3;
+      if (camera.position.distanceTo(goal.position) < close && controls.target.distanceTo(goal.target) < close) {
+        camera.position.copy(goal.position);
+        controls.target.copy(goal.target);
+        goal = null;
+      }
+    }
+    const distance = camera.position.distanceTo(controls.target);
+    const near = Math.max(distance / 500, 1e-3);
+    if (Math.abs(camera.near - near) > near * 0.1) {
+      camera.near = near;
+      camera.far = near * 1e5;
+      camera.updateProjectionMatrix();
+    }
+  }
+
+  return {
+    fit,
+    lookAlong,
+    moveTo,
+    cancel,
+    update,
+    get moving() { return goal !== null; }
+  };
+}
@@ -0,0 +1,202 @@
+import { attractors, customAttractor } from './attractors.js';
+import { advance } from './integrators.js';
+import { createLyapunovEstimator } from './lyapunov.js';
+import { createSimulation, dimensionOf, divergence } from './simulation.js';
+
+// Simulation worker
+//
+// Runs the simulation core off the main thread so heavy settings never block
+// rendering, and integrates the ensemble and Lyapunov estimate with it. The
+// main thread configures it with messages and asks for a batch of steps once
+// per frame; each batch comes back as transferable Float32Arrays of display
+// coordinates, with as many per point as the attractor has dimensions.
+//
+// Messages in:
+//   configure  { attractor?, equations?, params?, integrator?, options?, lyapunov? }
+//   reset      { generation, initial?, seeds? }  restart from initial, by
+//                                        default the attractor's initial
+//                                        state, and the seeds from theirs
+//   seed       { states }      Float64Array of ensemble states, or null
+//   addSeed    { id, state }   follow another trajectory from state
+//   removeSeed { id }
+//   pause / resume
+//   step       { steps, single? }  single steps are taken even while paused
+// Messages out:
+//   batch      { generation, dimension, positions, times, ensemble, step: { h, error },
+//                lyapunov, seeds: [{ id, positions, separation }], divergence }
+//                separation is each seed's distance from the main trajectory
+//                after the batch. divergence is { cause, time, h, state } on
+//                the batch whose next step diverged, with the last good
+//                state; stepping then stops until a reset or configure. In
+//                ensemble mode it is the first particle to diverge, and the
+//                ensemble stops until it is seeded again or configured.
+
+const simulation = createSimulation();
+let ensemble = null;
+// Extra trajectories { id, state }, each advanced by the step the main one
+// just took so that all of them stay at the same time
+let seeds = [];
+// Time of the ensemble, which restarts from 0 whenever it is seeded
+let ensembleTime = 0;
+// Scratch states for the ensemble's next step, swapped with it once every
+// particle has stepped safely
+let ensembleNext = null;
+let ensembleDiverged = false;
+let paused = false;
+// Echoed back with every batch so the main thread can drop stale ones
+let generation = 0;
+
+// Lyapunov estimate following the main trajectory, restarted whenever the
+// system it measures changes, with one exponent per dimension
+let lyapunov = createLyapunovEstimator();
+let lyapunovEnabled = true;
+
+function restartLyapunov() {
+  if (lyapunovEnabled) {
+    lyapunov.restart(simulation.state(), simulation.time);
+  }
+}
+
+// Advance every ensemble particle by one dt in lockstep. If any particle
+// diverges no particle moves, and { cause, time, h, state } of the first one
+// is returned with its last good state; otherwise null.
+function stepEnsemble() {
+  const { attractor, field, integrator, options, params } = simulation;
+  const dimension = dimensionOf(attractor);
+  for (let i = 0; i < ensemble.length; i += dimension) {
+    const state = Array.from(ensemble.subarray(i, i + dimension));
+    const next = advance(integrator, field, state, params.dt, options, ensembleTime);
+    const cause = divergence(next);
+    if (cause) {
+      return { cause, time: ensembleTime + params.dt, h: params.dt, state };
+    }
+    ensembleNext.set(next, i);
+  }
+  [ensemble, ensembleNext] = [ensembleNext, ensemble];
+  ensembleTime += params.dt;
+  return null;
+}
+
+const handlers = {
+  configure(message) {
+    if (message.equations) {
+      attractors.custom = customAttractor(message.equations, message.params);
+    }
+    simulation.configure(message);
+    ensembleDiverged = false;
+    if (message.attractor) {
+      lyapunov = createLyapunovEstimator(dimensionOf(simulation.attractor));
+    }
+    if (message.lyapunov !== undefined) {
+      lyapunovEnabled = message.lyapunov;
+    }
+    restartLyapunov();
+  },
+
+  reset(message) {
+    generation = message.generation;
+    simulation.reset(message.initial);
+    seeds = (message.seeds ?? []).map(({ id, state }) => ({ id, state: state.slice() }));
+    restartLyapunov();
+  },
+
+  addSeed(message) {
+    seeds.push({ id: message.id, state: message.state.slice() });
+  },
+
+  removeSeed(message) {
+    seeds = seeds.filter(seed => seed.id !== message.id);
+  },
+
+  seed(message) {
+    ensemble = message.states;
+    ensembleNext = ensemble ? new Float64Array(ensemble.length) : null;
+    ensembleTime = 0;
+    ensembleDiverged = false;
+  },
+
+  pause() {
+    paused = true;
+  },
+
+  resume() {
+    paused = false;
+  },
+
+  step(message) {
+    const steps = paused && !message.single ? 0 : message.steps;
+    const { scale } = simulation.attractor;
+    const dimension = dimensionOf(simulation.attractor);
+    let positions = new Float32Array(ensemble ? 0 : steps * dimension);
+    let times = new Float64Array(positions.length / dimension);
+    let seedPositions = seeds.map(() => new Float32Array(positions.length));
+    let divergence = null;
+    // Ensemble positions are only sent when the particles moved
+    let particles = null;
+
+    if (ensemble && steps > 0 && !ensembleDiverged) {
+      for (let i = 0; i < steps && !divergence; i++) {
+        divergence = stepEnsemble();
+      }
+      ensembleDiverged = divergence !== null;
+      particles = new Float32Array(ensemble.length);
+      for (let i = 0; i < ensemble.length; i++) {
+        particles[i] = ensemble[i] * scale;
+      }
+    } else if (!ensemble) {
+      const { field, integrator, options } = simulation;
+      const alreadyDiverged = simulation.divergence !== null;
+      let i = 0;
+      const taken = simulation.step(steps, (state, time) => {
+        if (lyapunovEnabled) {
+          lyapunov.step(field, integrator, simulation.params.dt, options);
+        }
+        for (let c = 0; c < dimension; c++) {
+          positions[i * dimension + c] = state[c] * scale;
+        }
+        times[i] = time;
+        const { h } = simulation.lastStep;
+        seeds.forEach((seed, k) => {
+          seed.state = advance(integrator, field, seed.state, h, options, time - h);
+          seedPositions[k].set(seed.state.map(value => value * scale), i * dimension);
+        });
+        i++;
+      });
+      if (taken < steps) {
+        positions = positions.slice(0, taken * dimension);
+        times = times.slice(0, taken);
+        seedPositions = seedPositions.map(array => array.slice(0, taken * dimension));
+        if (!alreadyDiverged) {
+          divergence = { ...simulation.divergence, state: simulation.state() };
+        }
+      }
+    }
+
+    const state = simulation.state();
+    const seedBatches = seeds.map(({ id, state: seedState }, k) => ({
+      id,
+      positions: seedPositions[k],
+      separation: Math.hypot(...seedState.map((value, c) => value - state[c]))
+    }));
+    const transfer = [positions.buffer, times.buffer, ...seedPositions.map(array => array.buffer)];
+    if (particles) {
+      transfer.push(particles.buffer);
+    }
+    self.postMessage({
+      type: 'batch',
+      generation,
+      dimension,
+      positions,
+      times,
+      ensemble: particles,
+      step: simulation.lastStep,
+      lyapunov: lyapunovEnabled && lyapunov.running ? lyapunov.estimate() : null,
+      seeds: seedBatches,
+      divergence
+    }, transfer);
+  }
+};
+
+self.onmessage = event => {
+  handlers[event.data.type](event.data);
+};